@@ -0,0 +1,125 @@
+/**
+ * Framework Adapters
+ * 
+ * Thin wrappers around createAuthenticator() for Fastify, Koa, Hono and
+ * bare node:http. All adapters run the same checks and expose the same
+ * auth object:
+ * - Express: req.auth (see contextAuth)
+ * - Fastify: request.auth
+ * - Koa: ctx.state.auth
+ * - Hono: c.get('auth')
+ * - node:http: returned by createAuthenticator(options)(req)
+ * 
+ * No framework is imported; adapters only rely on their public APIs.
+ * 
+ * @module adapters
+ */
+
+import { createAuthenticator } from './middleware.js';
+import { toAuthRequest } from './fetchUtils.js';
+
+/**
+ * Fastify plugin
+ * 
+ * Decorates every request with `request.auth` and replies with a JSON
+ * error when authentication fails. The plugin is not encapsulated, so
+ * the decorator is visible to all routes.
+ * 
+ * @param {Object} fastify - Fastify instance
+ * @param {Object} options - Options (see contextAuth)
+ * @param {Function} done - Plugin callback
+ * 
+ * @example
+ * await fastify.register(fastifyContextAuth, { required: true });
+ * fastify.get('/me', async (request) => request.auth);
+ */
+export function fastifyContextAuth(fastify, options, done) {
+  const authenticate = createAuthenticator(options);
+
+  fastify.decorateRequest('auth', null);
+  fastify.addHook('onRequest', async (request, reply) => {
+    const { auth, error } = await authenticate(request);
+    request.auth = auth;
+
+    if (error) {
+      return reply.code(error.status).send({ error: error.message, code: error.code });
+    }
+  });
+
+  done();
+}
+
+// Same effect as wrapping with fastify-plugin, without the dependency
+fastifyContextAuth[Symbol.for('skip-override')] = true;
+fastifyContextAuth[Symbol.for('fastify.display-name')] = 'multi-context-auth';
+
+/**
+ * Koa middleware
+ * 
+ * Sets `ctx.state.auth` and responds with a JSON error when
+ * authentication fails.
+ * 
+ * @param {Object} [options={}] - Options (see contextAuth)
+ * @returns {Function} - async (ctx, next) => void
+ * 
+ * @example
+ * app.use(koaContextAuth({ required: true }));
+ * app.use((ctx) => { ctx.body = ctx.state.auth; });
+ */
+export function koaContextAuth(options = {}) {
+  const authenticate = createAuthenticator(options);
+
+  return async function contextAuthKoa(ctx, next) {
+    const { auth, error } = await authenticate(ctx.req);
+    ctx.state.auth = auth;
+
+    if (error) {
+      ctx.status = error.status;
+      ctx.body = { error: error.message, code: error.code };
+      return;
+    }
+
+    await next();
+  };
+}
+
+/**
+ * Hono middleware
+ * 
+ * Sets `c.get('auth')` and responds with a JSON error when
+ * authentication fails.
+ * 
+ * The peer address needed by `trustedProxies` comes from `remoteAddress`,
+ * by default the socket of @hono/node-server (`c.env.incoming`); on other
+ * runtimes pass the address from Hono's getConnInfo().
+ * 
+ * @param {Object} [options={}] - Options (see contextAuth)
+ * @param {Function} [options.remoteAddress] - (c) => peer address
+ * @returns {Function} - async (c, next) => Response|void
+ * 
+ * @example
+ * app.use('*', honoContextAuth({ required: true }));
+ * app.get('/me', (c) => c.json(c.get('auth')));
+ * 
+ * @example
+ * import { getConnInfo } from 'hono/bun';
+ * app.use('*', honoContextAuth({
+ *   trustedProxies: ['10.0.0.0/8'],
+ *   remoteAddress: (c) => getConnInfo(c).remote.address,
+ * }));
+ */
+export function honoContextAuth(options = {}) {
+  const { remoteAddress = (c) => c.env?.incoming?.socket?.remoteAddress, ...authOptions } = options;
+  const authenticate = createAuthenticator(authOptions);
+
+  return async function contextAuthHono(c, next) {
+    const { auth, error } = await authenticate(toAuthRequest(c.req.raw, { remoteAddress: remoteAddress(c) }));
+    c.set('auth', auth);
+
+    if (error) {
+      return c.json({ error: error.message, code: error.code }, error.status);
+    }
+
+    await next();
+  };
+}
@@ -0,0 +1,116 @@
+/**
+ * Signed Context Assertions
+ * 
+ * Lets internal callers and test harnesses assert a context in any
+ * environment. An assertion is `{context}.{exp}.{signature}`, where the
+ * signature is an HMAC-SHA256 of `{context}.{exp}` under a shared secret
+ * and `exp` is a Unix timestamp in seconds.
+ * 
+ * @module contextAssertion
+ */
+
+import { createHmac, timingSafeEqual } from 'node:crypto';
+import { assertSecret } from './secrets.js';
+
+/**
+ * Default header carrying the assertion
+ * @type {string}
+ */
+const CONTEXT_ASSERTION_HEADER = 'x-auth-context-assertion';
+
+/**
+ * Default assertion lifetime in seconds
+ * @type {number}
+ */
+const DEFAULT_ASSERTION_TTL = 60;
+
+/**
+ * Assertion format
+ * @private
+ */
+const ASSERTION_PATTERN = /^([A-Za-z0-9_-]+)\.(\d{1,12})\.([A-Za-z0-9_-]{43})$/;
+
+/**
+ * Signs a context assertion
+ * 
+ * @param {string} context - Context to assert
+ * @param {Object} options - Options
+ * @param {string|Buffer} options.secret - Shared HMAC secret
+ * @param {number} [options.expiresIn=60] - Lifetime in seconds
+ * @returns {string} - Assertion header value
+ * @throws {Error} - If the context or secret is invalid
+ * 
+ * @example
+ * const assertion = signContextAssertion('admin', { secret: process.env.CONTEXT_ASSERTION_SECRET });
+ * await fetch(url, { headers: { 'X-Auth-Context-Assertion': assertion } });
+ */
+export function signContextAssertion(context, options = {}) {
+  const { secret, expiresIn = DEFAULT_ASSERTION_TTL } = options;
+  assertSecret(secret, 'Context assertion secret');
+
+  if (typeof context !== 'string' || !/^[A-Za-z0-9_-]+$/.test(context)) {
+    throw new Error('Context must be alphanumeric with dashes or underscores');
+  }
+
+  if (!Number.isInteger(expiresIn) || expiresIn <= 0) {
+    throw new Error('expiresIn must be a positive integer');
+  }
+
+  const exp = Math.floor(Date.now() / 1000) + expiresIn;
+  return `${context}.${exp}.${signAssertion(context, exp, secret)}`;
+}
+
+/**
+ * Verifies a context assertion
+ * 
+ * Several secrets may be given to rotate them without downtime.
+ * 
+ * @param {string} assertion - Assertion header value
+ * @param {Object} options - Options
+ * @param {string|Buffer|Array<string|Buffer>} options.secret - Shared HMAC secret(s)
+ * @param {number} [options.clockTolerance=0] - Allowed clock skew in seconds
+ * @returns {string|null} - Asserted context, or null if invalid or expired
+ * 
+ * @example
+ * verifyContextAssertion(req.headers['x-auth-context-assertion'], { secret });
+ * // Returns: 'admin' | null
+ */
+export function verifyContextAssertion(assertion, options = {}) {
+  const { secret, clockTolerance = 0 } = options;
+  const secrets = Array.isArray(secret) ? secret : [secret];
+  secrets.forEach((candidate) => assertSecret(candidate, 'Context assertion secret'));
+
+  const match = typeof assertion === 'string' ? ASSERTION_PATTERN.exec(assertion) : null;
+  if (!match) {
+    return null;
+  }
+
+  const [, context, expValue, signature] = match;
+  const exp = Number(expValue);
+  if (Math.floor(Date.now() / 1000) - clockTolerance >= exp) {
+    return null;
+  }
+
+  const actual = Buffer.from(signature);
+  const valid = secrets.some((candidate) => {
+    const expected = Buffer.from(signAssertion(context, exp, candidate));
+    return expected.length === actual.length && timingSafeEqual(expected, actual);
+  });
+
+  return valid ? context : null;
+}
+
+/**
+ * Computes the assertion signature
+ * 
+ * @private
+ * @param {string} context - Context
+ * @param {number} exp - Expiry (seconds since the epoch)
+ * @param {string|Buffer} secret - HMAC secret
+ * @returns {string} - Base64url HMAC-SHA256
+ */
+function signAssertion(context, exp, secret) {
+  return createHmac('sha256', secret).update(`${context}.${exp}`).digest('base64url');
+}
+
+export { CONTEXT_ASSERTION_HEADER, DEFAULT_ASSERTION_TTL };
@@ -0,0 +1,245 @@
+/**
+ * Context Registry
+ * 
+ * Single source of truth for the contexts, origins and token types
+ * known to the library. Every resolver and extractor accepts a registry,
+ * so adding a context is one config change.
+ * 
+ * @module contextRegistry
+ */
+
+import { isOriginPattern } from './originMatcher.js';
+
+/**
+ * Default context origins mapping
+ * Maps each context to allowed origin URLs
+ * @type {Object<string, string[]|string>}
+ */
+const DEFAULT_CONTEXT_ORIGINS = {
+  admin: [
+    'https://admin.example.com',
+    'http://localhost:4202',
+  ],
+  vendor: [
+    'https://vendor.example.com',
+    'http://localhost:4201',
+  ],
+  customer: [
+    'https://customer.example.com',
+    'https://app.example.com',
+    'http://localhost:3000',
+    'http://localhost:4200',
+  ],
+};
+
+/**
+ * Valid context types
+ * @type {readonly string[]}
+ */
+const VALID_CONTEXTS = Object.freeze(['customer', 'vendor', 'admin']);
+
+/**
+ * Token types supported by the system
+ * @type {readonly string[]}
+ */
+const VALID_TOKEN_TYPES = Object.freeze([
+  'access',
+  'refresh',
+  'signup',
+  'otp',
+  'password_reset',
+  'csrf',
+  'session',
+]);
+
+/**
+ * Context reserved for service-to-service calls (never read from cookies)
+ * @type {string}
+ */
+const SERVICE_CONTEXT = 'service';
+
+/**
+ * Allowed characters for context names (used verbatim in cookie names)
+ * @private
+ */
+const CONTEXT_NAME_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+/**
+ * Allowed characters for token type names
+ * @private
+ */
+const TOKEN_TYPE_PATTERN = /^[A-Za-z0-9_]+$/;
+
+/**
+ * Brand used to recognise registry objects
+ * @private
+ */
+const REGISTRY_BRAND = Symbol('multi-context-auth.registry');
+
+/**
+ * Creates a context registry
+ * 
+ * When `contexts` is omitted it is derived from the keys of `origins`.
+ * Origins may only reference registered contexts.
+ * 
+ * @param {Object} [config={}] - Registry configuration
+ * @param {string[]} [config.contexts] - Context names (defaults to keys of origins)
+ * @param {Object<string, Array<string|RegExp|Function>|string|RegExp|Function>} [config.origins=DEFAULT_CONTEXT_ORIGINS] - Context origins mapping (exact, wildcard, RegExp or predicate entries)
+ * @param {string[]} [config.tokenTypes=VALID_TOKEN_TYPES] - Token types
+ * @returns {Object} - Frozen registry
+ * @throws {Error} - If the configuration is invalid
+ * 
+ * @example
+ * const registry = createContextRegistry({
+ *   origins: {
+ *     ...DEFAULT_CONTEXT_ORIGINS,
+ *     partner: ['https://partner.example.com'],
+ *   },
+ * });
+ * 
+ * extractToken(req, { registry });
+ * // Finds partner_access_token when the origin is a partner origin
+ */
+export function createContextRegistry(config = {}) {
+  const {
+    origins = DEFAULT_CONTEXT_ORIGINS,
+    tokenTypes = VALID_TOKEN_TYPES,
+  } = config;
+
+  if (!origins || typeof origins !== 'object' || Array.isArray(origins)) {
+    throw new Error('Origins must be an object mapping contexts to origins');
+  }
+
+  const contexts = config.contexts ?? Object.keys(origins);
+
+  if (!Array.isArray(contexts) || contexts.length === 0) {
+    throw new Error('Contexts must be a non-empty array');
+  }
+
+  for (const context of contexts) {
+    if (typeof context !== 'string' || !CONTEXT_NAME_PATTERN.test(context)) {
+      throw new Error(`Invalid context name: ${String(context)}`);
+    }
+    if (context === SERVICE_CONTEXT) {
+      throw new Error(`Context "${SERVICE_CONTEXT}" is reserved for service tokens`);
+    }
+  }
+
+  if (!Array.isArray(tokenTypes) || tokenTypes.length === 0) {
+    throw new Error('Token types must be a non-empty array');
+  }
+
+  for (const tokenType of tokenTypes) {
+    if (typeof tokenType !== 'string' || !TOKEN_TYPE_PATTERN.test(tokenType)) {
+      throw new Error(`Invalid token type: ${String(tokenType)}`);
+    }
+  }
+
+  const normalizedOrigins = {};
+  for (const [context, allowedOrigins] of Object.entries(origins)) {
+    if (!contexts.includes(context)) {
+      throw new Error(`Origins reference unknown context: ${context}`);
+    }
+    const entries = Array.isArray(allowedOrigins) ? [...allowedOrigins] : [allowedOrigins];
+    if (!entries.every(isOriginPattern)) {
+      throw new Error(`Invalid origin entry for context: ${context}`);
+    }
+    normalizedOrigins[context] = Object.freeze(entries);
+  }
+
+  const contextList = Object.freeze([...new Set(contexts)]);
+  const tokenTypeList = Object.freeze([...new Set(tokenTypes)]);
+
+  return Object.freeze({
+    [REGISTRY_BRAND]: true,
+    contexts: contextList,
+    tokenTypes: tokenTypeList,
+    origins: Object.freeze(normalizedOrigins),
+    hasContext: (context) => contextList.includes(context),
+    hasTokenType: (tokenType) => tokenTypeList.includes(tokenType),
+  });
+}
+
+/**
+ * Checks if a value is a registry created by createContextRegistry
+ * 
+ * @param {*} value - Value to check
+ * @returns {boolean} - True if value is a registry
+ */
+export function isContextRegistry(value) {
+  return Boolean(value && typeof value === 'object' && value[REGISTRY_BRAND]);
+}
+
+/**
+ * Default registry (customer/vendor/admin with default origins)
+ * @type {Object}
+ */
+const DEFAULT_CONTEXT_REGISTRY = createContextRegistry({
+  contexts: VALID_CONTEXTS,
+  origins: DEFAULT_CONTEXT_ORIGINS,
+  tokenTypes: VALID_TOKEN_TYPES,
+});
+
+/**
+ * Returns the given registry or the default one
+ * 
+ * @param {Object} [registry] - Registry
+ * @returns {Object} - Registry to use
+ * @throws {Error} - If registry is not a context registry
+ */
+export function resolveRegistry(registry) {
+  if (registry === undefined || registry === null) {
+    return DEFAULT_CONTEXT_REGISTRY;
+  }
+
+  if (!isContextRegistry(registry)) {
+    throw new Error('Registry must be created with createContextRegistry()');
+  }
+
+  return registry;
+}
+
+/**
+ * Builds a registry for a plain contextOrigins map
+ * 
+ * The contexts are the built-in ones plus every key of the map, so
+ * custom contexts passed only as `contextOrigins` can be read from
+ * cookies. Keys that cannot be a context (invalid names, the reserved
+ * 'service' context) and invalid origin entries are skipped rather than
+ * thrown, since this runs on the request path. The map is read on every
+ * call, so later changes to it are picked up.
+ * 
+ * @param {Object<string, string[]|string>} contextOrigins - Context origins mapping
+ * @returns {Object} - Registry
+ * 
+ * @example
+ * registryFromOrigins({ partner: ['https://partner.example.com'] }).contexts;
+ * // Returns: ['customer', 'vendor', 'admin', 'partner']
+ */
+export function registryFromOrigins(contextOrigins) {
+  if (isContextRegistry(contextOrigins)) {
+    return contextOrigins;
+  }
+
+  const origins = {};
+  for (const [context, allowedOrigins] of Object.entries(contextOrigins ?? {})) {
+    if (!CONTEXT_NAME_PATTERN.test(context) || context === SERVICE_CONTEXT) {
+      continue;
+    }
+    const entries = Array.isArray(allowedOrigins) ? allowedOrigins : [allowedOrigins];
+    origins[context] = entries.filter(isOriginPattern);
+  }
+
+  return createContextRegistry({
+    contexts: [...VALID_CONTEXTS, ...Object.keys(origins)],
+    origins,
+  });
+}
+
+export {
+  DEFAULT_CONTEXT_ORIGINS,
+  VALID_CONTEXTS,
+  VALID_TOKEN_TYPES,
+  DEFAULT_CONTEXT_REGISTRY,
+  SERVICE_CONTEXT,
+};
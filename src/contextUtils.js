@@ -4,51 +4,45 @@
  * Resolves user context (customer/vendor/admin) from:
  * - Request origin header
  * - Referer header  
+ * - Forwarded / X-Forwarded-Host from a trusted proxy (opt-in)
+ * - Signed context assertion header (opt-in)
  * - Custom X-Auth-Context header (dev only)
  * 
+ * and, optionally, the tenant from a subdomain, path prefix or header.
+ * 
  * @module contextUtils
  */
 
-/**
- * Default context origins mapping
- * Maps each context to allowed origin URLs
- * @type {Object<string, string[]|string>}
- */
-const DEFAULT_CONTEXT_ORIGINS = {
-  admin: [
-    'https://admin.example.com',
-    'http://localhost:4202',
-  ],
-  vendor: [
-    'https://vendor.example.com',
-    'http://localhost:4201',
-  ],
-  customer: [
-    'https://customer.example.com',
-    'https://app.example.com',
-    'http://localhost:3000',
-    'http://localhost:4200',
-  ],
-};
-
-/**
- * Valid context types
- * @type {readonly string[]}
- */
-const VALID_CONTEXTS = Object.freeze(['customer', 'vendor', 'admin']);
+import {
+  DEFAULT_CONTEXT_ORIGINS,
+  VALID_CONTEXTS,
+  isContextRegistry,
+  resolveRegistry,
+} from './contextRegistry.js';
+import { matchOrigin } from './originMatcher.js';
+import { getForwardedOrigin } from './proxyUtils.js';
+import { CONTEXT_ASSERTION_HEADER, verifyContextAssertion } from './contextAssertion.js';
 
 /**
  * Resolves authentication context from request
  * 
  * Priority order:
- * 1. Origin header
- * 2. Referer header
- * 3. X-Auth-Context header (dev only)
+ * 1. Signed X-Auth-Context-Assertion header (when `contextAssertion` is configured)
+ * 2. Origin header
+ * 3. Referer header
+ * 4. Forwarded / X-Forwarded-Host (only when the peer is a trusted proxy)
+ * 5. X-Auth-Context header (dev only, unsigned)
  * 
  * @param {Object} req - Express request object
  * @param {Object} [options={}] - Configuration options
  * @param {string} [options.nodeEnv='production'] - Node environment
  * @param {Object<string, string[]|string>} [options.contextOrigins] - Custom context origins mapping
+ * @param {Object} [options.registry] - Context registry (see createContextRegistry)
+ * @param {string[]|Function} [options.trustedProxies] - Trusted proxy IPs/CIDRs/presets or (address) => boolean
+ * @param {Object} [options.contextAssertion] - Accept signed context assertions
+ * @param {string|Buffer|Array<string|Buffer>} options.contextAssertion.secret - Shared HMAC secret(s)
+ * @param {string} [options.contextAssertion.header='x-auth-context-assertion'] - Header name
+ * @param {number} [options.contextAssertion.clockTolerance=0] - Allowed clock skew in seconds
  * @returns {string|null} - Resolved context ('customer' | 'vendor' | 'admin') or null
  * 
  * @example
@@ -62,34 +56,185 @@ const VALID_CONTEXTS = Object.freeze(['customer', 'vendor', 'admin']);
  * });
  */
 export function resolveAuthContext(req, options = {}) {
+  return explainAuthContext(req, options).context;
+}
+
+/**
+ * Resolves authentication context and reports how it was resolved
+ * 
+ * Same resolution as resolveAuthContext, but also returns which header
+ * resolved the context and what every checked header yielded.
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} [options={}] - Configuration options (see resolveAuthContext)
+ * @returns {Object} - { context, source, checked: [{ source, value, context }] }
+ * 
+ * @example
+ * explainAuthContext(req);
+ * // Returns: {
+ * //   context: 'vendor',
+ * //   source: 'referer',
+ * //   checked: [
+ * //     { source: 'origin', value: 'https://unknown.com', context: null },
+ * //     { source: 'referer', value: 'https://vendor.example.com/x', context: 'vendor' },
+ * //   ],
+ * // }
+ */
+export function explainAuthContext(req, options = {}) {
+  const checked = [];
+  const resolved = (context, source) => ({ context, source, checked });
+
   if (!req || typeof req !== 'object') {
-    return null;
+    return resolved(null, null);
   }
 
-  const {
-    nodeEnv = 'production',
-    contextOrigins = DEFAULT_CONTEXT_ORIGINS,
-  } = options;
+  const { nodeEnv = 'production' } = options;
+  const registry = resolveRegistry(options.registry);
+  const contextOrigins = options.contextOrigins
+    ?? (options.registry ? registry.origins : DEFAULT_CONTEXT_ORIGINS);
 
-  // 1. Try origin header first (most reliable)
+  // 1. Signed context assertion (verified, so it outranks the headers below)
+  if (options.contextAssertion) {
+    const {
+      header = CONTEXT_ASSERTION_HEADER,
+      ...assertionOptions
+    } = options.contextAssertion;
+    const assertion = req.headers?.[header.toLowerCase()];
+    if (assertion) {
+      const asserted = verifyContextAssertion(assertion, assertionOptions);
+      const context = asserted && isValidContext(asserted, contextOrigins) ? asserted : null;
+      checked.push({
+        source: 'assertion',
+        value: String(assertion).split('.').slice(0, 2).join('.'),
+        context,
+      });
+      if (context) return resolved(context, 'assertion');
+    }
+  }
+
+  // 2. Try origin header (most reliable browser signal)
   const origin = req.headers?.origin;
   if (origin) {
     const context = getContextFromOrigin(origin, contextOrigins);
-    if (context) return context;
+    checked.push({ source: 'origin', value: origin, context });
+    if (context) return resolved(context, 'origin');
   }
 
-  // 2. Try referer header (fallback)
+  // 3. Try referer header (fallback)
   const referer = req.headers?.referer || req.headers?.referrer;
   if (referer) {
     const context = getContextFromOrigin(referer, contextOrigins);
-    if (context) return context;
+    checked.push({ source: 'referer', value: referer, context });
+    if (context) return resolved(context, 'referer');
+  }
+
+  // 4. Host reported by a trusted proxy
+  const forwarded = getForwardedOrigin(req, options.trustedProxies);
+  if (forwarded) {
+    const context = getContextFromOrigin(forwarded, contextOrigins);
+    checked.push({ source: 'forwarded', value: forwarded, context });
+    if (context) return resolved(context, 'forwarded');
   }
 
-  // 3. Dev mode: Allow header override for testing
+  // 5. Dev mode: Allow unsigned header override for testing
   if (nodeEnv === 'development') {
     const customContext = req.headers?.['x-auth-context'];
-    if (customContext && isValidContext(customContext, contextOrigins)) {
-      return customContext;
+    if (customContext) {
+      const context = isValidContext(customContext, contextOrigins) ? customContext : null;
+      checked.push({ source: 'x-auth-context', value: customContext, context });
+      if (context) return resolved(context, 'x-auth-context');
+    }
+  }
+
+  return resolved(null, null);
+}
+
+/**
+ * Tenant ID pattern (safe to embed in cookie names)
+ * @private
+ */
+const TENANT_ID_PATTERN = /^[A-Za-z0-9](?:[A-Za-z0-9-]{0,61}[A-Za-z0-9])?$/;
+
+/**
+ * Resolves authentication context and tenant from request
+ * 
+ * The context is resolved exactly like resolveAuthContext. The tenant is
+ * taken from the first configured source that yields a valid tenant ID:
+ * 1. Custom resolver
+ * 2. Subdomain of a base domain (Origin, Referer, trusted forwarded host, Host)
+ * 3. Path prefix
+ * 4. Header
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} [options={}] - Configuration options (see resolveAuthContext)
+ * @param {Object} [options.tenantResolver] - Tenant sources (named apart from the
+ *   resolved `tenant` string that extractToken takes)
+ * @param {Function} [options.tenantResolver.resolve] - (req, context) => tenant|null
+ * @param {string|string[]} [options.tenantResolver.subdomain] - Base domain(s); the label directly below is the tenant
+ * @param {boolean|string} [options.tenantResolver.pathPrefix] - true for the first path segment, or a prefix such as '/t/'
+ * @param {string} [options.tenantResolver.header] - Header carrying the tenant ID
+ * @returns {Object} - { context: string|null, tenant: string|null }
+ * 
+ * @example
+ * const { context, tenant } = resolveAuthScope(req, {
+ *   contextOrigins: { vendor: ['https://*.vendor.example.com'] },
+ *   tenantResolver: { subdomain: 'vendor.example.com' },
+ * });
+ * // Origin https://acme.vendor.example.com
+ * // Returns: { context: 'vendor', tenant: 'acme' }
+ * 
+ * extractToken(req, { context, tenant });
+ * // Reads: acme_vendor_access_token
+ */
+export function resolveAuthScope(req, options = {}) {
+  const context = resolveAuthContext(req, options);
+
+  if (!req || typeof req !== 'object' || !options.tenantResolver) {
+    return { context, tenant: null };
+  }
+
+  return { context, tenant: resolveTenant(req, context, options.tenantResolver, options.trustedProxies) };
+}
+
+/**
+ * Validates a tenant ID
+ * 
+ * Tenant IDs are DNS-label-like (letters, digits and inner dashes,
+ * up to 63 characters) so they can be embedded in cookie names.
+ * 
+ * @param {string} tenant - Tenant ID
+ * @returns {boolean} - True if tenant ID is valid
+ * 
+ * @example
+ * isValidTenantId('acme'); // Returns: true
+ * isValidTenantId('acme_corp'); // Returns: false
+ */
+export function isValidTenantId(tenant) {
+  return typeof tenant === 'string' && TENANT_ID_PATTERN.test(tenant);
+}
+
+/**
+ * Resolves tenant from configured sources
+ * 
+ * @private
+ * @param {Object} req - Request object
+ * @param {string|null} context - Resolved context
+ * @param {Object} config - Tenant sources
+ * @param {string[]|Function} [trustedProxies] - Trusted proxies
+ * @returns {string|null} - Tenant ID or null
+ */
+function resolveTenant(req, context, config, trustedProxies) {
+  const candidates = [
+    () => (typeof config.resolve === 'function' ? config.resolve(req, context) : null),
+    () => (config.subdomain ? getTenantFromSubdomain(req, config.subdomain, trustedProxies) : null),
+    () => (config.pathPrefix ? getTenantFromPath(req, config.pathPrefix) : null),
+    () => (config.header ? req.headers?.[config.header.toLowerCase()] : null),
+  ];
+
+  for (const candidate of candidates) {
+    const tenant = candidate();
+    if (isValidTenantId(tenant)) {
+      return tenant.toLowerCase();
     }
   }
 
@@ -97,29 +242,104 @@ export function resolveAuthContext(req, options = {}) {
 }
 
 /**
- * Gets context from URL origin
+ * Gets tenant from the host's label directly below a base domain
  * 
  * @private
- * @param {string} url - URL string
- * @param {Object<string, string[]|string>} contextOrigins - Context origins mapping
- * @returns {string|null} - Context or null
+ * @param {Object} req - Request object
+ * @param {string|string[]} baseDomains - Base domain(s)
+ * @param {string[]|Function} [trustedProxies] - Trusted proxies
+ * @returns {string|null} - Tenant or null
  */
-function getContextFromOrigin(url, contextOrigins) {
-  if (!url || typeof url !== 'string') return null;
+function getTenantFromSubdomain(req, baseDomains, trustedProxies) {
+  const hostname = getRequestHostname(req, trustedProxies);
+  if (!hostname) return null;
+
+  const domains = Array.isArray(baseDomains) ? baseDomains : [baseDomains];
+  for (const domain of domains) {
+    const suffix = `.${String(domain).toLowerCase()}`;
+    if (hostname.endsWith(suffix)) {
+      const label = hostname.slice(0, -suffix.length);
+      if (!label.includes('.')) return label;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Gets the browser-facing hostname (Origin, then Referer, then the
+ * trusted proxy's forwarded host, then Host)
+ * 
+ * @private
+ * @param {Object} req - Request object
+ * @param {string[]|Function} [trustedProxies] - Trusted proxies
+ * @returns {string|null} - Lowercase hostname or null
+ */
+function getRequestHostname(req, trustedProxies) {
+  const sources = [
+    req.headers?.origin,
+    req.headers?.referer || req.headers?.referrer,
+    getForwardedOrigin(req, trustedProxies),
+    req.headers?.host ? `http://${req.headers.host}` : null,
+  ];
+
+  for (const source of sources) {
+    if (!source || typeof source !== 'string') continue;
+    try {
+      const { hostname } = new URL(source);
+      if (hostname) return hostname;
+    } catch {
+      // Try the next source
+    }
+  }
 
-  let requestOrigin;
+  return null;
+}
+
+/**
+ * Gets tenant from the request path
+ * 
+ * @private
+ * @param {Object} req - Request object
+ * @param {boolean|string} prefix - true for the first segment, or a path prefix
+ * @returns {string|null} - Tenant or null
+ */
+function getTenantFromPath(req, prefix) {
+  let pathname;
   try {
-    requestOrigin = new URL(url).origin;
+    pathname = req.path ?? new URL(req.url ?? '/', 'http://localhost').pathname;
   } catch {
     return null;
   }
 
+  if (typeof pathname !== 'string') return null;
+
+  if (typeof prefix === 'string') {
+    const normalized = prefix.endsWith('/') ? prefix : `${prefix}/`;
+    if (!pathname.startsWith(normalized)) return null;
+    pathname = pathname.slice(normalized.length - 1);
+  }
+
+  return pathname.split('/')[1] || null;
+}
+
+/**
+ * Gets context from URL origin
+ * 
+ * @private
+ * @param {string} url - URL string
+ * @param {Object<string, Array<string|RegExp|Function>|string|RegExp|Function>} contextOrigins - Context origins mapping (see matchOrigin)
+ * @returns {string|null} - Context or null
+ */
+function getContextFromOrigin(url, contextOrigins) {
+  if (!url || typeof url !== 'string') return null;
+
   for (const [context, allowedOrigins] of Object.entries(contextOrigins)) {
     const origins = Array.isArray(allowedOrigins)
       ? allowedOrigins
       : [allowedOrigins];
 
-    if (origins.includes(requestOrigin)) {
+    if (origins.some(pattern => matchOrigin(url, pattern))) {
       return context;
     }
   }
@@ -146,6 +366,7 @@ function isValidContext(context, contextOrigins) {
  * Maps user type to context
  * 
  * @param {string} type - User type (customer/vendor/admin)
+ * @param {Object} [registry=DEFAULT_CONTEXT_REGISTRY] - Context registry
  * @returns {string|null} - Mapped context or null
  * 
  * @example
@@ -156,12 +377,12 @@ function isValidContext(context, contextOrigins) {
  * const context = getContextFromType('invalid');
  * // Returns: null
  */
-export function getContextFromType(type) {
+export function getContextFromType(type, registry) {
   if (!type || typeof type !== 'string') {
     return null;
   }
 
-  return VALID_CONTEXTS.includes(type) ? type : null;
+  return resolveRegistry(registry).hasContext(type) ? type : null;
 }
 
 /**
@@ -169,7 +390,7 @@ export function getContextFromType(type) {
  * 
  * @param {string} origin - Request origin URL
  * @param {string} context - Context to check
- * @param {Object<string, string[]|string>} [contextOrigins=DEFAULT_CONTEXT_ORIGINS] - Context origins mapping
+ * @param {Object<string, string[]|string>|Object} [contextOrigins=DEFAULT_CONTEXT_ORIGINS] - Context origins mapping or context registry
  * @returns {boolean} - True if origin is allowed
  * 
  * @example
@@ -188,27 +409,20 @@ export function isOriginAllowedForContext(
     return false;
   }
 
-  const allowedOrigins = contextOrigins[context];
+  const allowedOrigins = toOriginsMap(contextOrigins)[context];
   if (!allowedOrigins) return false;
 
-  let requestOrigin;
-  try {
-    requestOrigin = new URL(origin).origin;
-  } catch {
-    return false;
-  }
-
   const origins = Array.isArray(allowedOrigins)
     ? allowedOrigins
     : [allowedOrigins];
 
-  return origins.includes(requestOrigin);
+  return origins.some(pattern => matchOrigin(origin, pattern));
 }
 
 /**
  * Gets all valid contexts
  * 
- * @param {Object<string, string[]|string>} [contextOrigins=DEFAULT_CONTEXT_ORIGINS] - Context origins mapping
+ * @param {Object<string, string[]|string>|Object} [contextOrigins=DEFAULT_CONTEXT_ORIGINS] - Context origins mapping or context registry
  * @returns {readonly string[]} - Array of valid contexts
  * 
  * @example
@@ -216,6 +430,10 @@ export function isOriginAllowedForContext(
  * // Returns: ['admin', 'vendor', 'customer']
  */
 export function getValidContexts(contextOrigins = DEFAULT_CONTEXT_ORIGINS) {
+  if (isContextRegistry(contextOrigins)) {
+    return contextOrigins.contexts;
+  }
+
   return Object.freeze(Object.keys(contextOrigins));
 }
 
@@ -223,14 +441,26 @@ export function getValidContexts(contextOrigins = DEFAULT_CONTEXT_ORIGINS) {
  * Validates if a context string is valid
  * 
  * @param {string} context - Context to validate
+ * @param {Object} [registry=DEFAULT_CONTEXT_REGISTRY] - Context registry
  * @returns {boolean} - True if context is valid
  * 
  * @example
  * isValidContextType('customer'); // Returns: true
  * isValidContextType('invalid');  // Returns: false
  */
-export function isValidContextType(context) {
-  return VALID_CONTEXTS.includes(context);
+export function isValidContextType(context, registry) {
+  return resolveRegistry(registry).hasContext(context);
+}
+
+/**
+ * Normalizes a context origins mapping or registry to a mapping
+ * 
+ * @private
+ * @param {Object<string, string[]|string>|Object} contextOrigins - Context origins mapping or registry
+ * @returns {Object<string, string[]|string>} - Context origins mapping
+ */
+function toOriginsMap(contextOrigins) {
+  return isContextRegistry(contextOrigins) ? contextOrigins.origins : contextOrigins;
 }
 
 // Export default context origins for customization
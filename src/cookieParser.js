@@ -0,0 +1,131 @@
+/**
+ * Cookie Header Parsing
+ * 
+ * RFC 6265 Cookie header parser used by the extractors when no
+ * middleware (cookie-parser, @fastify/cookie, ...) has populated
+ * `req.cookies`.
+ * 
+ * @module cookieParser
+ */
+
+/**
+ * Default maximum Cookie header size in bytes
+ * @type {number}
+ */
+const MAX_COOKIE_HEADER_SIZE = 8192;
+
+/**
+ * Parsed cookies per request, so repeated lookups parse only once
+ * @private
+ * @type {WeakMap<Object, { header: *, maxHeaderSize: number, cookies: Object }>}
+ */
+const parsedCookies = new WeakMap();
+
+/**
+ * Parses a Cookie request header
+ * 
+ * - Splits on `;` and trims optional whitespace
+ * - Strips surrounding double quotes from values
+ * - Percent-decodes values (invalid sequences are kept as-is)
+ * - Keeps the first occurrence of duplicate names, which browsers send
+ *   for the most specific Path
+ * 
+ * @param {string|string[]} header - Cookie header value
+ * @param {Object} [options={}] - Parser options
+ * @param {number} [options.maxHeaderSize=MAX_COOKIE_HEADER_SIZE] - Headers larger than this are ignored
+ * @returns {Object<string, string>} - Cookie name to value mapping (null prototype)
+ * 
+ * @example
+ * parseCookieHeader('customer_access_token=abc; theme="dark"');
+ * // Returns: { customer_access_token: 'abc', theme: 'dark' }
+ */
+export function parseCookieHeader(header, options = {}) {
+  const { maxHeaderSize = MAX_COOKIE_HEADER_SIZE } = options;
+  const cookies = Object.create(null);
+
+  const value = Array.isArray(header) ? header.join('; ') : header;
+  if (!value || typeof value !== 'string') {
+    return cookies;
+  }
+
+  if (Buffer.byteLength(value) > maxHeaderSize) {
+    return cookies;
+  }
+
+  for (const pair of value.split(';')) {
+    const separator = pair.indexOf('=');
+    if (separator === -1) continue;
+
+    const name = pair.slice(0, separator).trim();
+    if (!name || name in cookies) continue;
+
+    let cookieValue = pair.slice(separator + 1).trim();
+    if (
+      cookieValue.length >= 2 &&
+      cookieValue.startsWith('"') &&
+      cookieValue.endsWith('"')
+    ) {
+      cookieValue = cookieValue.slice(1, -1);
+    }
+
+    cookies[name] = decodeCookieValue(cookieValue);
+  }
+
+  return cookies;
+}
+
+/**
+ * Gets cookies for a request
+ * 
+ * Returns `req.cookies` when middleware already parsed them, otherwise
+ * parses the raw Cookie header.
+ * 
+ * @param {Object} req - Request object
+ * @param {Object} [options={}] - Parser options (see parseCookieHeader)
+ * @returns {Object<string, string>} - Cookie name to value mapping
+ * 
+ * @example
+ * const cookies = getRequestCookies(req);
+ * // Works with or without cookie-parser
+ */
+export function getRequestCookies(req, options = {}) {
+  if (!req || typeof req !== 'object') {
+    return Object.create(null);
+  }
+
+  if (req.cookies && typeof req.cookies === 'object') {
+    return req.cookies;
+  }
+
+  const header = req.headers?.cookie;
+  const { maxHeaderSize = MAX_COOKIE_HEADER_SIZE } = options;
+  const cached = parsedCookies.get(req);
+  if (cached && cached.header === header && cached.maxHeaderSize === maxHeaderSize) {
+    return cached.cookies;
+  }
+
+  const cookies = parseCookieHeader(header, { maxHeaderSize });
+  parsedCookies.set(req, { header, maxHeaderSize, cookies });
+  return cookies;
+}
+
+/**
+ * Percent-decodes a cookie value
+ * 
+ * @private
+ * @param {string} value - Raw value
+ * @returns {string} - Decoded value, or the raw value if decoding fails
+ */
+function decodeCookieValue(value) {
+  if (!value.includes('%')) {
+    return value;
+  }
+
+  try {
+    return decodeURIComponent(value);
+  } catch {
+    return value;
+  }
+}
+
+export { MAX_COOKIE_HEADER_SIZE };
@@ -4,35 +4,78 @@
  * Handles extraction and management of context-specific cookies
  * following the pattern: {context}_{tokenType}_token
  * 
+ * Cookies are read from `req.cookies` when populated by middleware,
+ * otherwise from the raw Cookie header.
+ * 
+ * Values too large for one cookie may be split across `{name}.0`,
+ * `{name}.1`, ... (see the cookie policy's `maxChunks`). The first chunk
+ * starts with `{count}.{digest}.`, where the digest is a truncated
+ * SHA-256 of the whole value, so stale or missing chunks are detected.
+ * 
  * @module cookieUtils
  */
 
-import { VALID_CONTEXTS } from './contextUtils.js';
+import { createHash } from 'node:crypto';
+import { VALID_TOKEN_TYPES, resolveRegistry } from './contextRegistry.js';
+import { getRequestCookies } from './cookieParser.js';
+import { isValidTenantId } from './contextUtils.js';
 
 /**
- * Token types supported by the system
+ * Cookie name prefixes understood by browsers
+ * 
+ * Prefixed cookies can only be set over HTTPS, so they are preferred
+ * over the plain name when both are present.
  * @type {readonly string[]}
  */
-const VALID_TOKEN_TYPES = Object.freeze([
-  'access',
-  'refresh',
-  'signup',
-  'otp',
-  'password_reset',
-]);
+const COOKIE_PREFIXES = Object.freeze(['__Host-', '__Secure-']);
+
+/**
+ * Maximum number of chunks a cookie value may be split into
+ * 
+ * The chunk format limit; setContextCookie also caps the total size at
+ * MAX_CHUNKED_COOKIE_SIZE so the value still fits in a Cookie header.
+ * @type {number}
+ */
+const MAX_COOKIE_CHUNKS = 10;
+
+/**
+ * Length of the chunk digest
+ * @private
+ */
+const CHUNK_DIGEST_LENGTH = 16;
+
+/**
+ * Characters reserved for the `{count}.{digest}.` header of the first chunk
+ * @private
+ */
+const CHUNK_HEADER_LENGTH = String(MAX_COOKIE_CHUNKS).length + CHUNK_DIGEST_LENGTH + 2;
+
+/**
+ * First chunk format: count, digest, then the start of the value
+ * @private
+ */
+const CHUNK_HEADER_PATTERN = /^([1-9]\d*)\.([A-Za-z0-9_-]{16})\.(.*)$/s;
 
 /**
  * Extracts token from context-specific cookie
  * 
- * Cookie naming pattern: {context}_{tokenType}_token
+ * Cookie naming pattern: [{tenant}_]{context}_{tokenType}_token
+ * (optionally prefixed with __Host- or __Secure-)
  * Examples:
  * - customer_access_token
  * - vendor_refresh_token
  * - admin_signup_token
+ * - acme_vendor_access_token (tenant 'acme')
+ * 
+ * A value split into chunks is reassembled; it is ignored if a chunk is
+ * missing or does not match the digest.
  * 
  * @param {Object} req - Express request object
  * @param {string} context - Context (customer/vendor/admin)
  * @param {string} [tokenType='access'] - Token type (access/refresh/signup/otp/password_reset)
+ * @param {Object} [options={}] - Lookup options
+ * @param {Object} [options.registry=DEFAULT_CONTEXT_REGISTRY] - Context registry
+ * @param {string} [options.tenant] - Tenant namespace for the cookie name
  * @returns {string|null} - Token value or null
  * 
  * @example
@@ -43,7 +86,7 @@ const VALID_TOKEN_TYPES = Object.freeze([
  * const refreshToken = extractContextToken(req, 'vendor', 'refresh');
  * // Gets: vendor_refresh_token cookie value
  */
-export function extractContextToken(req, context, tokenType = 'access') {
+export function extractContextToken(req, context, tokenType = 'access', options = {}) {
   // Input validation
   if (!req || typeof req !== 'object') {
     return null;
@@ -53,16 +96,25 @@ export function extractContextToken(req, context, tokenType = 'access') {
     return null;
   }
 
-  if (!VALID_CONTEXTS.includes(context)) {
+  const { registry, tenant } = options;
+
+  if (!resolveRegistry(registry).hasContext(context)) {
     return null;
   }
 
-  if (!req.cookies || typeof req.cookies !== 'object') {
+  if (tenant !== undefined && tenant !== null && !isValidTenantId(tenant)) {
     return null;
   }
 
-  const cookieName = getCookieName(context, tokenType);
-  return req.cookies[cookieName] || null;
+  const cookies = getRequestCookies(req);
+  for (const name of getCookieLookupNames(context, tokenType, tenant)) {
+    if (cookies[name]) return cookies[name];
+
+    const chunked = readChunkedCookie(cookies, name);
+    if (chunked) return chunked;
+  }
+
+  return null;
 }
 
 /**
@@ -73,7 +125,8 @@ export function extractContextToken(req, context, tokenType = 'access') {
  * 
  * @param {Object} req - Express request object
  * @param {string} [tokenType='access'] - Token type (access/refresh/signup/otp/password_reset)
- * @param {string[]} [contexts=VALID_CONTEXTS] - Array of contexts to check
+ * @param {string[]} [contexts=registry.contexts] - Array of contexts to check
+ * @param {Object} [options={}] - Lookup options (see extractContextToken)
  * @returns {Object} - { token: string|null, context: string|null }
  * 
  * @example
@@ -83,23 +136,22 @@ export function extractContextToken(req, context, tokenType = 'access') {
 export function extractTokenFromAllContexts(
   req,
   tokenType = 'access',
-  contexts = VALID_CONTEXTS
+  contexts,
+  options = {}
 ) {
-  if (!req || typeof req !== 'object') {
-    return { token: null, context: null };
-  }
+  const { contexts: registeredContexts } = resolveRegistry(options.registry);
 
-  if (!req.cookies || typeof req.cookies !== 'object') {
+  if (!req || typeof req !== 'object') {
     return { token: null, context: null };
   }
 
   // Validate contexts array
   const validContexts = Array.isArray(contexts)
-    ? contexts.filter(ctx => VALID_CONTEXTS.includes(ctx))
-    : VALID_CONTEXTS;
+    ? contexts.filter(ctx => registeredContexts.includes(ctx))
+    : registeredContexts;
 
   for (const context of validContexts) {
-    const token = extractContextToken(req, context, tokenType);
+    const token = extractContextToken(req, context, tokenType, options);
     if (token) {
       return { token, context };
     }
@@ -113,6 +165,7 @@ export function extractTokenFromAllContexts(
  * 
  * @param {string} context - Context (customer/vendor/admin)
  * @param {string} [tokenType='access'] - Token type (access/refresh/signup/otp/password_reset)
+ * @param {string} [tenant] - Tenant namespace
  * @returns {string} - Cookie name
  * 
  * @example
@@ -122,8 +175,12 @@ export function extractTokenFromAllContexts(
  * @example
  * const cookieName = getCookieName('vendor', 'refresh');
  * // Returns: 'vendor_refresh_token'
+ * 
+ * @example
+ * const cookieName = getCookieName('vendor', 'access', 'acme');
+ * // Returns: 'acme_vendor_access_token'
  */
-export function getCookieName(context, tokenType = 'access') {
+export function getCookieName(context, tokenType = 'access', tenant) {
   if (!context || typeof context !== 'string') {
     throw new Error('Context must be a non-empty string');
   }
@@ -132,6 +189,13 @@ export function getCookieName(context, tokenType = 'access') {
     throw new Error('Token type must be a non-empty string');
   }
 
+  if (tenant !== undefined && tenant !== null) {
+    if (!isValidTenantId(tenant)) {
+      throw new Error('Tenant must be alphanumeric with dashes');
+    }
+    return `${tenant}_${context}_${tokenType}_token`;
+  }
+
   return `${context}_${tokenType}_token`;
 }
 
@@ -141,6 +205,7 @@ export function getCookieName(context, tokenType = 'access') {
  * @param {Object} req - Express request object
  * @param {string} context - Context
  * @param {string[]} [tokenTypes=['access', 'refresh']] - Array of token types to extract
+ * @param {Object} [options={}] - Lookup options (see extractContextToken)
  * @returns {Object} - Object with token types as keys and token values as values
  * 
  * @example
@@ -150,7 +215,8 @@ export function getCookieName(context, tokenType = 'access') {
 export function extractContextTokens(
   req,
   context,
-  tokenTypes = ['access', 'refresh']
+  tokenTypes = ['access', 'refresh'],
+  options = {}
 ) {
   if (!req || typeof req !== 'object') {
     return {};
@@ -168,7 +234,7 @@ export function extractContextTokens(
 
   for (const tokenType of tokenTypes) {
     if (typeof tokenType === 'string') {
-      tokens[tokenType] = extractContextToken(req, context, tokenType);
+      tokens[tokenType] = extractContextToken(req, context, tokenType, options);
     }
   }
 
@@ -179,20 +245,165 @@ export function extractContextTokens(
  * Validates token type
  * 
  * @param {string} tokenType - Token type to validate
+ * @param {Object} [registry=DEFAULT_CONTEXT_REGISTRY] - Context registry
  * @returns {boolean} - True if token type is valid
  */
-export function isValidTokenType(tokenType) {
-  return VALID_TOKEN_TYPES.includes(tokenType);
+export function isValidTokenType(tokenType, registry) {
+  return resolveRegistry(registry).hasTokenType(tokenType);
 }
 
 /**
  * Gets all valid token types
  * 
+ * @param {Object} [registry=DEFAULT_CONTEXT_REGISTRY] - Context registry
  * @returns {readonly string[]} - Array of valid token types
  */
-export function getValidTokenTypes() {
-  return VALID_TOKEN_TYPES;
+export function getValidTokenTypes(registry) {
+  return resolveRegistry(registry).tokenTypes;
+}
+
+/**
+ * Gets the cookie names checked for a context and token type, in lookup order
+ * 
+ * __Host- and __Secure- prefixed names come first: prefixed cookies can
+ * only be set over HTTPS, so they win over the plain name.
+ * 
+ * @param {string} context - Context (customer/vendor/admin)
+ * @param {string} [tokenType='access'] - Token type
+ * @param {string} [tenant] - Tenant namespace
+ * @returns {string[]} - Cookie names
+ * 
+ * @example
+ * getCookieLookupNames('admin', 'access');
+ * // Returns: ['__Host-admin_access_token', '__Secure-admin_access_token', 'admin_access_token']
+ */
+export function getCookieLookupNames(context, tokenType = 'access', tenant) {
+  const cookieName = getCookieName(context, tokenType, tenant);
+  return [...COOKIE_PREFIXES.map(prefix => `${prefix}${cookieName}`), cookieName];
+}
+
+/**
+ * Gets the generic legacy cookie names checked for a token type, in lookup order
+ * 
+ * These predate context-scoped cookies and are only read by extractToken's
+ * legacy fallback.
+ * 
+ * @param {string} [tokenType='access'] - Token type
+ * @returns {string[]} - Cookie names
+ * 
+ * @example
+ * getLegacyCookieNames('refresh');
+ * // Returns: ['refreshToken', 'refresh', 'refresh_token', 'accessToken', 'access_token']
+ */
+export function getLegacyCookieNames(tokenType = 'access') {
+  return [
+    `${tokenType}Token`,
+    tokenType,
+    `${tokenType}_token`,
+    'accessToken', // Common legacy format
+    'access_token', // Common legacy format
+  ];
+}
+
+/**
+ * Splits a cookie value into chunks
+ * 
+ * Splits on character boundaries, so each chunk percent-encodes to at
+ * most `size` characters and decodes on its own. The first chunk carries
+ * the `{count}.{digest}.` header read by readChunkedCookie.
+ * 
+ * @param {string} value - Cookie value
+ * @param {number} size - Maximum encoded length of a chunk
+ * @returns {string[]} - Chunk values, in order
+ * @throws {Error} - If the size is too small or the value needs more than MAX_COOKIE_CHUNKS chunks
+ * 
+ * @example
+ * const chunks = encodeCookieChunks(token, 3900);
+ * // Returns: ['2.{digest}.eyJhbGciOi...', '...'] for a 6 KB token
+ */
+export function encodeCookieChunks(value, size) {
+  if (typeof value !== 'string') {
+    throw new Error('Cookie value must be a string');
+  }
+
+  // A single character encodes to at most 12 characters (%XX%XX%XX%XX)
+  if (!Number.isInteger(size) || size < CHUNK_HEADER_LENGTH + 12) {
+    throw new Error(`Chunk size must be an integer of at least ${CHUNK_HEADER_LENGTH + 12}`);
+  }
+
+  const chunks = [];
+  let chunk = '';
+  let length = CHUNK_HEADER_LENGTH;
+
+  for (const char of value) {
+    const encodedLength = encodeURIComponent(char).length;
+    if (chunk && length + encodedLength > size) {
+      chunks.push(chunk);
+      chunk = '';
+      length = 0;
+    }
+    chunk += char;
+    length += encodedLength;
+  }
+  chunks.push(chunk);
+
+  if (chunks.length > MAX_COOKIE_CHUNKS) {
+    throw new Error(`Cookie value needs ${chunks.length} chunks, more than ${MAX_COOKIE_CHUNKS}`);
+  }
+
+  chunks[0] = `${chunks.length}.${chunkDigest(value)}.${chunks[0]}`;
+  return chunks;
+}
+
+/**
+ * Reassembles a cookie value split into `{name}.0`, `{name}.1`, ...
+ * 
+ * Extra chunks beyond the count in the first chunk are ignored.
+ * 
+ * @param {Object<string, string>} cookies - Cookie name to value mapping
+ * @param {string} name - Cookie name without the chunk index
+ * @returns {string|null} - Value, or null if absent, incomplete or corrupted
+ * 
+ * @example
+ * readChunkedCookie(getRequestCookies(req), 'admin_access_token');
+ * // Joins admin_access_token.0, admin_access_token.1, ...
+ */
+export function readChunkedCookie(cookies, name) {
+  const first = cookies?.[`${name}.0`];
+  const match = typeof first === 'string' ? CHUNK_HEADER_PATTERN.exec(first) : null;
+  if (!match) {
+    return null;
+  }
+
+  const [, countText, digest, start] = match;
+  const count = Number(countText);
+  if (count > MAX_COOKIE_CHUNKS) {
+    return null;
+  }
+
+  const parts = [start];
+  for (let index = 1; index < count; index++) {
+    const part = cookies[`${name}.${index}`];
+    if (typeof part !== 'string' || !part) {
+      return null;
+    }
+    parts.push(part);
+  }
+
+  const value = parts.join('');
+  return value && chunkDigest(value) === digest ? value : null;
+}
+
+/**
+ * Computes the digest stored in the first chunk
+ * 
+ * @private
+ * @param {string} value - Whole cookie value
+ * @returns {string} - Truncated base64url SHA-256
+ */
+function chunkDigest(value) {
+  return createHash('sha256').update(value).digest('base64url').slice(0, CHUNK_DIGEST_LENGTH);
 }
 
 // Export constants
-export { VALID_TOKEN_TYPES };
+export { VALID_TOKEN_TYPES, COOKIE_PREFIXES, MAX_COOKIE_CHUNKS };
@@ -0,0 +1,562 @@
+/**
+ * Context-Scoped Cookie Writer
+ * 
+ * Writes and clears {context}_{tokenType}_token cookies with a shared,
+ * secure-by-default attribute policy. Works with Express responses and
+ * raw http.ServerResponse objects alike.
+ * 
+ * With a `maxChunks` attribute above 1, values that do not fit in one
+ * cookie are split across `{name}.0`, `{name}.1`, ... and every write
+ * expires the chunks (or the unchunked cookie) it no longer uses.
+ * 
+ * @module cookieWriter
+ */
+
+import { resolveRegistry } from './contextRegistry.js';
+import { MAX_COOKIE_HEADER_SIZE } from './cookieParser.js';
+import {
+  COOKIE_PREFIXES,
+  MAX_COOKIE_CHUNKS,
+  getCookieName,
+  getLegacyCookieNames,
+  encodeCookieChunks,
+} from './cookieUtils.js';
+
+/**
+ * Default cookie policy
+ * 
+ * Every cookie is HttpOnly, Secure, SameSite=Lax and scoped to `/`.
+ * Admin cookies are additionally SameSite=Strict. CSRF cookies are
+ * readable by scripts, as double-submit requires.
+ * @type {Object}
+ */
+const DEFAULT_COOKIE_POLICY = Object.freeze({
+  defaults: Object.freeze({
+    httpOnly: true,
+    secure: true,
+    sameSite: 'Lax',
+    path: '/',
+  }),
+  contexts: Object.freeze({
+    admin: Object.freeze({ sameSite: 'Strict' }),
+  }),
+  tokenTypes: Object.freeze({
+    csrf: Object.freeze({ httpOnly: false }),
+  }),
+});
+
+/**
+ * Largest Set-Cookie header written as a single cookie
+ * 
+ * Browsers drop cookies above about 4 KB (name, value and attributes).
+ * @type {number}
+ */
+const MAX_COOKIE_SIZE = 4096;
+
+/**
+ * Largest total size of the chunks of one value in the Cookie header
+ * 
+ * Keeps a chunked value, plus 2 KB of other cookies, within the Cookie
+ * header size the built-in parser accepts (MAX_COOKIE_HEADER_SIZE).
+ * @type {number}
+ */
+const MAX_CHUNKED_COOKIE_SIZE = MAX_COOKIE_HEADER_SIZE - 2048;
+
+/**
+ * Token types cleared by logoutContext unless told otherwise
+ * @type {readonly string[]}
+ */
+const LOGOUT_TOKEN_TYPES = Object.freeze(['access', 'refresh', 'csrf', 'session']);
+
+/**
+ * Clear-Site-Data directives accepted by logoutContext
+ * @private
+ */
+const CLEAR_SITE_DATA_TYPES = Object.freeze(['cache', 'cookies', 'storage', 'executionContexts', '*']);
+
+/**
+ * Allowed characters for cookie names (RFC 6265 token)
+ * @private
+ */
+const COOKIE_NAME_PATTERN = /^[!#$%&'*+\-.^_`|~0-9A-Za-z]+$/;
+
+/**
+ * Allowed SameSite values (normalized)
+ * @private
+ */
+const SAME_SITE_VALUES = Object.freeze({
+  strict: 'Strict',
+  lax: 'Lax',
+  none: 'None',
+});
+
+/**
+ * Creates a cookie policy
+ * 
+ * Attributes are merged in order: defaults, per-context, per-token-type,
+ * then the options passed to setContextCookie/clearContextCookie.
+ * 
+ * @param {Object} [config={}] - Policy configuration
+ * @param {Object} [config.defaults] - Attributes for every cookie
+ * @param {Object<string, Object>} [config.contexts] - Attributes per context
+ * @param {Object<string, Object>} [config.tokenTypes] - Attributes per token type
+ * @returns {Object} - Frozen cookie policy
+ * 
+ * @example
+ * const policy = createCookiePolicy({
+ *   defaults: { domain: 'example.com' },
+ *   tokenTypes: {
+ *     access: { maxAge: 15 * 60 },
+ *     refresh: { path: '/auth/refresh', maxAge: 7 * 24 * 60 * 60 },
+ *   },
+ *   contexts: { admin: { prefix: '__Host-', domain: undefined, maxChunks: 3 } },
+ * });
+ */
+export function createCookiePolicy(config = {}) {
+  if (!config || typeof config !== 'object') {
+    throw new Error('Cookie policy must be an object');
+  }
+
+  const merge = (base = {}, extra = {}) => {
+    const result = { ...base };
+    for (const [key, value] of Object.entries(extra)) {
+      result[key] = Object.freeze({ ...base[key], ...value });
+    }
+    return Object.freeze(result);
+  };
+
+  return Object.freeze({
+    defaults: Object.freeze({
+      ...DEFAULT_COOKIE_POLICY.defaults,
+      ...config.defaults,
+    }),
+    contexts: merge(DEFAULT_COOKIE_POLICY.contexts, config.contexts),
+    tokenTypes: merge(DEFAULT_COOKIE_POLICY.tokenTypes, config.tokenTypes),
+  });
+}
+
+/**
+ * Resolves the cookie attributes for a context and token type
+ * 
+ * @param {string} context - Context (customer/vendor/admin)
+ * @param {string} [tokenType='access'] - Token type
+ * @param {Object} [options={}] - Attribute overrides
+ * @param {Object} [options.policy=DEFAULT_COOKIE_POLICY] - Cookie policy
+ * @param {string} [options.tenant] - Tenant namespace for the cookie name
+ * @returns {Object} - { name, httpOnly, secure, sameSite, path, domain, maxAge, expires, prefix, maxChunks }
+ * @throws {Error} - If the attribute combination is invalid
+ * 
+ * @example
+ * resolveCookieOptions('admin', 'access');
+ * // Returns: { name: 'admin_access_token', httpOnly: true, secure: true, sameSite: 'Strict', path: '/', ... }
+ */
+export function resolveCookieOptions(context, tokenType = 'access', options = {}) {
+  const { policy = DEFAULT_COOKIE_POLICY, registry, tenant, ...overrides } = options;
+
+  const attributes = {
+    ...policy.defaults,
+    ...policy.contexts?.[context],
+    ...policy.tokenTypes?.[tokenType],
+    ...overrides,
+  };
+
+  const prefix = attributes.prefix || null;
+  if (prefix && !COOKIE_PREFIXES.includes(prefix)) {
+    throw new Error(`Invalid cookie prefix: ${prefix}`);
+  }
+
+  if (prefix && !attributes.secure) {
+    throw new Error(`${prefix} cookies must be Secure`);
+  }
+
+  if (prefix === '__Host-' && (attributes.domain || attributes.path !== '/')) {
+    throw new Error('__Host- cookies must have Path=/ and no Domain');
+  }
+
+  const maxChunks = attributes.maxChunks ?? 1;
+  if (!Number.isInteger(maxChunks) || maxChunks < 1 || maxChunks > MAX_COOKIE_CHUNKS) {
+    throw new Error(`maxChunks must be an integer from 1 to ${MAX_COOKIE_CHUNKS}`);
+  }
+
+  let sameSite = null;
+  if (attributes.sameSite) {
+    sameSite = SAME_SITE_VALUES[String(attributes.sameSite).toLowerCase()];
+    if (!sameSite) {
+      throw new Error(`Invalid SameSite value: ${attributes.sameSite}`);
+    }
+    if (sameSite === 'None' && !attributes.secure) {
+      throw new Error('SameSite=None cookies must be Secure');
+    }
+  }
+
+  return {
+    name: `${prefix || ''}${getCookieName(context, tokenType, tenant)}`,
+    httpOnly: Boolean(attributes.httpOnly),
+    secure: Boolean(attributes.secure),
+    sameSite,
+    path: attributes.path || null,
+    domain: attributes.domain || null,
+    maxAge: attributes.maxAge ?? null,
+    expires: attributes.expires ?? null,
+    prefix,
+    maxChunks,
+  };
+}
+
+/**
+ * Serializes a Set-Cookie header value
+ * 
+ * @param {string} name - Cookie name
+ * @param {string} value - Cookie value (percent-encoded on output)
+ * @param {Object} [attributes={}] - Cookie attributes
+ * @param {number} [attributes.maxAge] - Max-Age in seconds
+ * @param {Date} [attributes.expires] - Expiry date
+ * @param {string} [attributes.domain] - Domain
+ * @param {string} [attributes.path] - Path
+ * @param {boolean} [attributes.secure] - Secure flag
+ * @param {boolean} [attributes.httpOnly] - HttpOnly flag
+ * @param {string} [attributes.sameSite] - SameSite value
+ * @returns {string} - Set-Cookie header value
+ * @throws {Error} - If the name or an attribute is invalid
+ * 
+ * @example
+ * serializeCookie('customer_access_token', 'abc', { path: '/', httpOnly: true });
+ * // Returns: 'customer_access_token=abc; Path=/; HttpOnly'
+ */
+export function serializeCookie(name, value, attributes = {}) {
+  if (!name || typeof name !== 'string' || !COOKIE_NAME_PATTERN.test(name)) {
+    throw new Error(`Invalid cookie name: ${name}`);
+  }
+
+  if (typeof value !== 'string') {
+    throw new Error('Cookie value must be a string');
+  }
+
+  const parts = [`${name}=${encodeURIComponent(value)}`];
+
+  if (attributes.maxAge !== null && attributes.maxAge !== undefined) {
+    if (!Number.isFinite(attributes.maxAge)) {
+      throw new Error('Max-Age must be a finite number of seconds');
+    }
+    parts.push(`Max-Age=${Math.floor(attributes.maxAge)}`);
+  }
+
+  if (attributes.expires) {
+    if (!(attributes.expires instanceof Date) || Number.isNaN(attributes.expires.getTime())) {
+      throw new Error('Expires must be a valid Date');
+    }
+    parts.push(`Expires=${attributes.expires.toUTCString()}`);
+  }
+
+  if (attributes.domain) parts.push(`Domain=${attributes.domain}`);
+  if (attributes.path) parts.push(`Path=${attributes.path}`);
+  if (attributes.secure) parts.push('Secure');
+  if (attributes.httpOnly) parts.push('HttpOnly');
+  if (attributes.sameSite) parts.push(`SameSite=${attributes.sameSite}`);
+
+  return parts.join('; ');
+}
+
+/**
+ * Sets a context-scoped cookie on the response
+ * 
+ * @param {Object} res - Express response or http.ServerResponse
+ * @param {string} context - Context (customer/vendor/admin)
+ * @param {string} tokenType - Token type (access/refresh/signup/otp/password_reset)
+ * @param {string} value - Cookie value
+ * @param {Object} [options={}] - Cookie attributes overriding the policy
+ * @param {Object} [options.policy=DEFAULT_COOKIE_POLICY] - Cookie policy
+ * @param {Object} [options.registry] - Context registry
+ * @param {string} [options.tenant] - Tenant namespace for the cookie name
+ * @param {number} [options.maxAge] - Max-Age in seconds
+ * @param {string} [options.prefix] - '__Host-' or '__Secure-'
+ * @param {number} [options.maxChunks=1] - Split values larger than MAX_COOKIE_SIZE
+ *   across up to this many `{name}.{index}` cookies
+ * @returns {string} - The Set-Cookie header value that was written (the first chunk's when split)
+ * @throws {Error} - If the context, token type or attributes are invalid, or
+ *   the value is too large: over MAX_COOKIE_SIZE without chunking, over
+ *   maxChunks chunks, or over MAX_CHUNKED_COOKIE_SIZE in total
+ * 
+ * @example
+ * setContextCookie(res, 'customer', 'access', token, { maxAge: 900 });
+ * // Set-Cookie: customer_access_token=...; Max-Age=900; Path=/; Secure; HttpOnly; SameSite=Lax
+ * 
+ * @example
+ * setContextCookie(res, 'admin', 'access', largeToken, { maxChunks: 3 });
+ * // Set-Cookie: admin_access_token.0=2.{digest}.eyJ...; ...
+ * // Set-Cookie: admin_access_token.1=...; ...
+ * // Set-Cookie: admin_access_token=; Max-Age=0; ... (and admin_access_token.2)
+ */
+export function setContextCookie(res, context, tokenType, value, options = {}) {
+  assertWritable(res, context, tokenType, options.registry);
+
+  const { name, maxChunks, ...attributes } = resolveCookieOptions(context, tokenType, options);
+  const header = serializeCookie(name, value, attributes);
+
+  if (header.length <= MAX_COOKIE_SIZE) {
+    appendSetCookie(res, name, header);
+    expireCookieChunks(res, name, attributes, 0, maxChunks);
+    return header;
+  }
+
+  // Browsers would drop the cookie without an error
+  if (maxChunks === 1) {
+    throw new Error(
+      `Cookie ${name} is ${header.length} bytes, over the ${MAX_COOKIE_SIZE}-byte limit; set maxChunks to split it`
+    );
+  }
+
+  // Reserve room for the longest chunk name and the attributes
+  const overhead = serializeCookie(`${name}.${maxChunks - 1}`, '', attributes).length;
+  const chunks = encodeCookieChunks(value, MAX_COOKIE_SIZE - overhead);
+  if (chunks.length > maxChunks) {
+    throw new Error(`Cookie ${name} needs ${chunks.length} chunks, more than maxChunks (${maxChunks})`);
+  }
+
+  // What the browser sends back: name=value pairs joined by '; '
+  const cookieSize = chunks.reduce(
+    (size, chunk, index) => size + `${name}.${index}=${encodeURIComponent(chunk)}; `.length,
+    -2
+  );
+  if (cookieSize > MAX_CHUNKED_COOKIE_SIZE) {
+    throw new Error(
+      `Cookie ${name} is ${cookieSize} bytes when chunked, over the ${MAX_CHUNKED_COOKIE_SIZE}-byte limit`
+    );
+  }
+
+  const headers = chunks.map((chunk, index) => {
+    const chunkHeader = serializeCookie(`${name}.${index}`, chunk, attributes);
+    appendSetCookie(res, `${name}.${index}`, chunkHeader);
+    return chunkHeader;
+  });
+
+  expireCookie(res, name, attributes);
+  expireCookieChunks(res, name, attributes, chunks.length, maxChunks);
+  return headers[0];
+}
+
+/**
+ * Clears a context-scoped cookie on the response
+ * 
+ * Uses the same Path, Domain and prefix as setContextCookie so the
+ * browser matches and removes the original cookie. With maxChunks above
+ * 1, the chunk cookies are cleared too.
+ * 
+ * @param {Object} res - Express response or http.ServerResponse
+ * @param {string} context - Context (customer/vendor/admin)
+ * @param {string} [tokenType='access'] - Token type
+ * @param {Object} [options={}] - Cookie attributes overriding the policy
+ * @returns {string} - The Set-Cookie header value that was written
+ * @throws {Error} - If the context, token type or attributes are invalid
+ * 
+ * @example
+ * clearContextCookie(res, 'vendor', 'refresh');
+ * // Set-Cookie: vendor_refresh_token=; Max-Age=0; Expires=Thu, 01 Jan 1970 00:00:00 GMT; ...
+ */
+export function clearContextCookie(res, context, tokenType = 'access', options = {}) {
+  return clearCookie(res, context, tokenType, options)[0];
+}
+
+/**
+ * Clears every cookie of a context (logout)
+ * 
+ * Each cookie is expired with the attributes the policy sets it with, so
+ * per-token-type paths and domains are matched. Other contexts' cookies
+ * are left alone.
+ * 
+ * Clear-Site-Data wipes the whole origin, not just one context: only
+ * enable it when the context is all the origin serves.
+ * 
+ * @param {Object} res - Express response or http.ServerResponse
+ * @param {string} context - Context (customer/vendor/admin)
+ * @param {Object} [options={}] - Options (also cookie attributes, as for clearContextCookie)
+ * @param {string[]} [options.tokenTypes] - Token types to clear (default: access, refresh, csrf, session)
+ * @param {boolean} [options.allTokenTypes=false] - Clear every token type of the registry
+ * @param {boolean} [options.includeLegacy=false] - Also clear the generic legacy cookies
+ *   (accessToken, refresh_token, ...) read by extractToken's fallback
+ * @param {boolean|string[]} [options.clearSiteData=false] - Send Clear-Site-Data
+ *   (true: "cookies"; or a list of 'cache' | 'cookies' | 'storage' | 'executionContexts' | '*')
+ * @param {Object} [options.policy=DEFAULT_COOKIE_POLICY] - Cookie policy
+ * @param {Object} [options.registry] - Context registry
+ * @param {string} [options.tenant] - Tenant namespace for the cookie names
+ * @returns {string[]} - The Set-Cookie header values that were written
+ * @throws {Error} - If the context, a token type or an attribute is invalid
+ * 
+ * @example
+ * app.post('/vendor/logout', (req, res) => {
+ *   logoutContext(res, 'vendor', { allTokenTypes: true, includeLegacy: true });
+ *   res.sendStatus(204);
+ * });
+ */
+export function logoutContext(res, context, options = {}) {
+  const {
+    tokenTypes,
+    allTokenTypes = false,
+    includeLegacy = false,
+    clearSiteData = false,
+    ...cookieOptions
+  } = options;
+
+  const clearSiteDataHeader = formatClearSiteData(clearSiteData);
+  const known = resolveRegistry(cookieOptions.registry).tokenTypes;
+  const types = tokenTypes
+    ?? (allTokenTypes ? known : LOGOUT_TOKEN_TYPES.filter(tokenType => known.includes(tokenType)));
+
+  const headers = types.flatMap(tokenType => clearCookie(res, context, tokenType, cookieOptions));
+
+  if (includeLegacy) {
+    const cleared = new Set();
+    for (const tokenType of types) {
+      const { name, prefix, maxChunks, ...attributes } = resolveCookieOptions(context, tokenType, {
+        ...cookieOptions,
+        prefix: null,
+      });
+      for (const legacyName of getLegacyCookieNames(tokenType)) {
+        if (cleared.has(legacyName)) continue;
+        cleared.add(legacyName);
+        headers.push(expireCookie(res, legacyName, attributes));
+      }
+    }
+  }
+
+  if (clearSiteDataHeader) {
+    res.setHeader('Clear-Site-Data', clearSiteDataHeader);
+  }
+
+  return headers;
+}
+
+/**
+ * Clears a context cookie and its chunks
+ * 
+ * @private
+ * @param {Object} res - Response object
+ * @param {string} context - Context
+ * @param {string} tokenType - Token type
+ * @param {Object} options - Cookie attributes overriding the policy
+ * @returns {string[]} - Set-Cookie header values, the unchunked cookie first
+ */
+function clearCookie(res, context, tokenType, options) {
+  assertWritable(res, context, tokenType, options.registry);
+
+  const { name, maxChunks, ...attributes } = resolveCookieOptions(context, tokenType, options);
+  return [
+    expireCookie(res, name, attributes),
+    ...expireCookieChunks(res, name, attributes, 0, maxChunks),
+  ];
+}
+
+/**
+ * Expires a cookie
+ * 
+ * @private
+ * @param {Object} res - Response object
+ * @param {string} name - Cookie name
+ * @param {Object} attributes - Attributes the cookie was set with
+ * @returns {string} - Set-Cookie header value
+ */
+function expireCookie(res, name, attributes) {
+  const header = serializeCookie(name, '', {
+    ...attributes,
+    maxAge: 0,
+    expires: new Date(0),
+  });
+  appendSetCookie(res, name, header);
+  return header;
+}
+
+/**
+ * Expires the chunks of a cookie from an index up to maxChunks
+ * 
+ * Nothing is written when chunking is disabled (maxChunks of 1).
+ * 
+ * @private
+ * @param {Object} res - Response object
+ * @param {string} name - Cookie name without the chunk index
+ * @param {Object} attributes - Attributes the chunks were set with
+ * @param {number} from - First chunk index to expire
+ * @param {number} maxChunks - Chunk limit of the cookie
+ * @returns {string[]} - Set-Cookie header values
+ */
+function expireCookieChunks(res, name, attributes, from, maxChunks) {
+  const headers = [];
+  for (let index = from; maxChunks > 1 && index < maxChunks; index++) {
+    headers.push(expireCookie(res, `${name}.${index}`, attributes));
+  }
+  return headers;
+}
+
+/**
+ * Formats the Clear-Site-Data header value
+ * 
+ * @private
+ * @param {boolean|string[]} clearSiteData - logoutContext option
+ * @returns {string|null} - Header value, or null when disabled
+ * @throws {Error} - If a directive is unknown
+ */
+function formatClearSiteData(clearSiteData) {
+  if (!clearSiteData) {
+    return null;
+  }
+
+  const types = clearSiteData === true ? ['cookies'] : clearSiteData;
+  if (!Array.isArray(types) || types.length === 0) {
+    throw new Error('clearSiteData must be true or a non-empty array');
+  }
+
+  for (const type of types) {
+    if (!CLEAR_SITE_DATA_TYPES.includes(type)) {
+      throw new Error(`Invalid Clear-Site-Data type: ${type}`);
+    }
+  }
+
+  return types.map(type => `"${type}"`).join(', ');
+}
+
+/**
+ * Validates writer arguments
+ * 
+ * @private
+ * @param {Object} res - Response object
+ * @param {string} context - Context
+ * @param {string} tokenType - Token type
+ * @param {Object} [registry] - Context registry
+ * @throws {Error} - If any argument is invalid
+ */
+function assertWritable(res, context, tokenType, registry) {
+  if (!res || typeof res.setHeader !== 'function' || typeof res.getHeader !== 'function') {
+    throw new Error('Response must support getHeader() and setHeader()');
+  }
+
+  const { hasContext, hasTokenType } = resolveRegistry(registry);
+
+  if (!hasContext(context)) {
+    throw new Error(`Unknown context: ${context}`);
+  }
+
+  if (!hasTokenType(tokenType)) {
+    throw new Error(`Unknown token type: ${tokenType}`);
+  }
+}
+
+/**
+ * Appends a Set-Cookie header, replacing any earlier one for the same cookie
+ * 
+ * @private
+ * @param {Object} res - Response object
+ * @param {string} name - Cookie name
+ * @param {string} header - Set-Cookie header value
+ */
+function appendSetCookie(res, name, header) {
+  const existing = res.getHeader('Set-Cookie');
+  const headers = existing === undefined
+    ? []
+    : (Array.isArray(existing) ? existing : [String(existing)]);
+
+  res.setHeader('Set-Cookie', [
+    ...headers.filter(value => !value.startsWith(`${name}=`)),
+    header,
+  ]);
+}
+
+export { DEFAULT_COOKIE_POLICY, LOGOUT_TOKEN_TYPES, MAX_COOKIE_SIZE, MAX_CHUNKED_COOKIE_SIZE };
@@ -0,0 +1,172 @@
+/**
+ * CORS Middleware
+ * 
+ * CORS generated from the context origins mapping, so the origins a
+ * context accepts and the origins allowed to call the API with
+ * credentials cannot drift apart.
+ * 
+ * @module cors
+ */
+
+import { DEFAULT_CONTEXT_ORIGINS, getValidContexts, isOriginAllowedForContext } from './contextUtils.js';
+
+/**
+ * Default CORS settings
+ * @type {Object}
+ */
+const DEFAULT_CORS_OPTIONS = Object.freeze({
+  methods: Object.freeze(['GET', 'HEAD', 'POST', 'PUT', 'PATCH', 'DELETE']),
+  allowedHeaders: Object.freeze(['Content-Type', 'Authorization', 'X-CSRF-Token']),
+  exposedHeaders: Object.freeze([]),
+  credentials: true,
+  maxAge: 600,
+});
+
+/**
+ * Computes the CORS response headers for a request
+ * 
+ * The Origin is reflected only when it is registered for a context; the
+ * settings of the first matching context apply. `Vary: Origin` is always
+ * included so caches never serve one origin's response to another.
+ * 
+ * @param {Object} req - Request object
+ * @param {Object<string, string[]|string>|Object} [contextOrigins=DEFAULT_CONTEXT_ORIGINS] - Context origins mapping or context registry
+ * @param {Object} [options={}] - CORS settings (see contextCors)
+ * @returns {Object} - { context: string|null, preflight: boolean, headers: Object<string, string> }
+ * 
+ * @example
+ * resolveCorsHeaders({ method: 'GET', headers: { origin: 'https://admin.example.com' } });
+ * // Returns: {
+ * //   context: 'admin',
+ * //   preflight: false,
+ * //   headers: {
+ * //     'Vary': 'Origin',
+ * //     'Access-Control-Allow-Origin': 'https://admin.example.com',
+ * //     'Access-Control-Allow-Credentials': 'true',
+ * //   },
+ * // }
+ */
+export function resolveCorsHeaders(req, contextOrigins = DEFAULT_CONTEXT_ORIGINS, options = {}) {
+  const requestHeaders = req?.headers ?? {};
+  const origin = requestHeaders.origin;
+  const preflight = String(req?.method).toUpperCase() === 'OPTIONS'
+    && Boolean(requestHeaders['access-control-request-method']);
+
+  const headers = {
+    Vary: preflight
+      ? 'Origin, Access-Control-Request-Method, Access-Control-Request-Headers'
+      : 'Origin',
+  };
+
+  const context = origin && origin !== 'null'
+    ? getValidContexts(contextOrigins).find(
+      candidate => isOriginAllowedForContext(origin, candidate, contextOrigins)
+    ) ?? null
+    : null;
+
+  if (!context) {
+    return { context: null, preflight, headers };
+  }
+
+  const { contexts, ...defaults } = options;
+  const settings = {
+    ...DEFAULT_CORS_OPTIONS,
+    ...defaults,
+    ...(contexts && Object.hasOwn(contexts, context) ? contexts[context] : {}),
+  };
+
+  headers['Access-Control-Allow-Origin'] = origin;
+  if (settings.credentials) {
+    headers['Access-Control-Allow-Credentials'] = 'true';
+  }
+
+  if (preflight) {
+    headers['Access-Control-Allow-Methods'] = settings.methods.join(', ');
+    if (settings.allowedHeaders.length) {
+      headers['Access-Control-Allow-Headers'] = settings.allowedHeaders.join(', ');
+    }
+    if (settings.maxAge !== undefined && settings.maxAge !== null) {
+      headers['Access-Control-Max-Age'] = String(settings.maxAge);
+    }
+  } else if (settings.exposedHeaders.length) {
+    headers['Access-Control-Expose-Headers'] = settings.exposedHeaders.join(', ');
+  }
+
+  return { context, preflight, headers };
+}
+
+/**
+ * Creates CORS middleware from context origins
+ * 
+ * Preflight requests (OPTIONS with Access-Control-Request-Method) are
+ * answered with 204 and not passed on. Requests from unregistered
+ * origins get no CORS headers, so the browser blocks them.
+ * 
+ * @param {Object<string, string[]|string>|Object} [contextOrigins=DEFAULT_CONTEXT_ORIGINS] - Context origins mapping or context registry
+ * @param {Object} [options={}] - CORS settings
+ * @param {string[]} [options.methods] - Allowed methods
+ * @param {string[]} [options.allowedHeaders] - Allowed request headers
+ * @param {string[]} [options.exposedHeaders] - Response headers exposed to scripts
+ * @param {boolean} [options.credentials=true] - Send Access-Control-Allow-Credentials
+ * @param {number} [options.maxAge=600] - Preflight cache lifetime in seconds
+ * @param {Object<string, Object>} [options.contexts] - Per-context overrides of the settings above
+ * @returns {Function} - (req, res, next) => void
+ * 
+ * @example
+ * app.use(contextCors(contextOrigins, {
+ *   contexts: {
+ *     admin: { methods: ['GET', 'POST', 'DELETE'], maxAge: 60 },
+ *     customer: { credentials: true, allowedHeaders: ['Content-Type', 'X-CSRF-Token'] },
+ *   },
+ * }));
+ */
+export function contextCors(contextOrigins = DEFAULT_CONTEXT_ORIGINS, options = {}) {
+  return function contextCorsMiddleware(req, res, next) {
+    const { preflight, headers } = resolveCorsHeaders(req, contextOrigins, options);
+
+    for (const [name, value] of Object.entries(headers)) {
+      if (name === 'Vary') {
+        appendVary(res, value);
+      } else {
+        res.setHeader(name, value);
+      }
+    }
+
+    if (preflight) {
+      res.statusCode = 204;
+      res.setHeader('Content-Length', '0');
+      return res.end();
+    }
+
+    return next();
+  };
+}
+
+/**
+ * Adds values to the Vary header without duplicating existing ones
+ * 
+ * @private
+ * @param {Object} res - Response object
+ * @param {string} value - Comma-separated header names
+ */
+function appendVary(res, value) {
+  const existing = res.getHeader('Vary');
+  const current = existing
+    ? String(existing).split(',').map(name => name.trim()).filter(Boolean)
+    : [];
+
+  if (current.includes('*')) {
+    return;
+  }
+
+  const lower = current.map(name => name.toLowerCase());
+  for (const name of value.split(', ')) {
+    if (!lower.includes(name.toLowerCase())) {
+      current.push(name);
+    }
+  }
+
+  res.setHeader('Vary', current.join(', '));
+}
+
+export { DEFAULT_CORS_OPTIONS };
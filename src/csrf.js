@@ -0,0 +1,225 @@
+/**
+ * CSRF Protection
+ * 
+ * Double-submit CSRF tokens kept in a per-context `{context}_csrf_token`
+ * cookie. The client echoes the cookie value in a header on unsafe
+ * requests. With a secret, tokens are additionally HMAC-signed and bound
+ * to their context, so a cookie planted by a sibling subdomain or
+ * copied from another context is rejected.
+ * 
+ * @module csrf
+ */
+
+import { createHmac, randomBytes, timingSafeEqual } from 'node:crypto';
+import { extractToken } from './tokenExtractor.js';
+import { resolveAuthContext } from './contextUtils.js';
+import { extractContextToken } from './cookieUtils.js';
+import { setContextCookie } from './cookieWriter.js';
+import { sendAuthError } from './middleware.js';
+
+/**
+ * Default header carrying the CSRF token
+ * @type {string}
+ */
+const CSRF_HEADER = 'x-csrf-token';
+
+/**
+ * Methods that do not change state and are never checked
+ * @type {readonly string[]}
+ */
+const CSRF_SAFE_METHODS = Object.freeze(['GET', 'HEAD', 'OPTIONS', 'TRACE']);
+
+/**
+ * Rejection returned for missing or mismatched tokens
+ * @private
+ */
+const CSRF_ERROR = Object.freeze({
+  status: 403,
+  code: 'CSRF_TOKEN_INVALID',
+  message: 'Invalid CSRF token',
+});
+
+/**
+ * Generates a CSRF token
+ * 
+ * @param {string} context - Context the token is bound to
+ * @param {Object} [options={}] - Options
+ * @param {string|Buffer} [options.secret] - HMAC secret (signed tokens)
+ * @returns {string} - Token (`random` or `random.signature`)
+ * 
+ * @example
+ * const token = generateCsrfToken('vendor', { secret: process.env.CSRF_SECRET });
+ */
+export function generateCsrfToken(context, options = {}) {
+  const nonce = randomBytes(32).toString('base64url');
+
+  if (options.secret === undefined) {
+    return nonce;
+  }
+
+  return `${nonce}.${signCsrfNonce(nonce, context, options.secret)}`;
+}
+
+/**
+ * Generates a CSRF token and writes it to the context's CSRF cookie
+ * 
+ * Call on login or when rendering the app shell. The cookie is readable
+ * by scripts (not HttpOnly) so the client can copy it into the header.
+ * 
+ * @param {Object} res - Express response or http.ServerResponse
+ * @param {string} context - Context (customer/vendor/admin)
+ * @param {Object} [options={}] - Options
+ * @param {string|Buffer} [options.secret] - HMAC secret (signed tokens)
+ * @param {Object} [options.policy] - Cookie policy
+ * @param {Object} [options.registry] - Context registry
+ * @param {string} [options.tenant] - Tenant namespace for the cookie name
+ * @returns {string} - The token that was written
+ * 
+ * @example
+ * issueCsrfToken(res, 'vendor', { secret });
+ * // Set-Cookie: vendor_csrf_token=...; Path=/; Secure; SameSite=Lax
+ */
+export function issueCsrfToken(res, context, options = {}) {
+  const { secret, ...cookieOptions } = options;
+  const token = generateCsrfToken(context, { secret });
+  setContextCookie(res, context, 'csrf', token, cookieOptions);
+  return token;
+}
+
+/**
+ * Checks the submitted CSRF token against the context's CSRF cookie
+ * 
+ * @param {Object} req - Request object
+ * @param {string} context - Context (customer/vendor/admin)
+ * @param {Object} [options={}] - Options
+ * @param {string|Buffer} [options.secret] - HMAC secret (signed tokens)
+ * @param {string} [options.headerName='x-csrf-token'] - Header carrying the token
+ * @param {Function} [options.getToken] - (req) => submitted token (default: header)
+ * @param {Object} [options.registry] - Context registry
+ * @param {string} [options.tenant] - Tenant namespace for the cookie name
+ * @returns {boolean} - True if the token is present, matches and (when signed) is valid
+ */
+export function verifyCsrfToken(req, context, options = {}) {
+  const { secret, headerName = CSRF_HEADER, getToken, registry, tenant } = options;
+
+  if (!context) {
+    return false;
+  }
+
+  const cookie = extractContextToken(req, context, 'csrf', { registry, tenant });
+  const submitted = getToken ? getToken(req) : getHeader(req, headerName);
+
+  if (!cookie || typeof submitted !== 'string' || !safeEqual(cookie, submitted)) {
+    return false;
+  }
+
+  if (secret === undefined) {
+    return true;
+  }
+
+  const [nonce, signature, ...rest] = cookie.split('.');
+  return Boolean(nonce && signature && rest.length === 0)
+    && safeEqual(signature, signCsrfNonce(nonce, context, secret));
+}
+
+/**
+ * Creates CSRF middleware
+ * 
+ * Checks unsafe methods (everything except GET, HEAD, OPTIONS, TRACE).
+ * Requests authenticated by an Authorization Bearer header or a service
+ * token (`source: 'header'` or `'service'`) are skipped, as browsers
+ * never attach those automatically. Uses `req.auth` when contextAuth() ran first, and
+ * extracts the token itself otherwise.
+ * 
+ * @param {Object} [options={}] - Options (see verifyCsrfToken; also passed to extractToken)
+ * @param {string|Function} [options.expectedContext] - Context or (req) => context (default: req.auth or resolveAuthContext)
+ * @param {Function} [options.onReject] - (req, res, { status, code, message }) => void
+ * @returns {Function} - (req, res, next) => void
+ * 
+ * @example
+ * app.use(contextAuth({ required: true }));
+ * app.use(csrfProtection({ secret: process.env.CSRF_SECRET }));
+ */
+export function csrfProtection(options = {}) {
+  const {
+    expectedContext,
+    onReject = sendAuthError,
+    secret,
+    headerName,
+    getToken,
+    ...extractOptions
+  } = options;
+
+  const verifyOptions = {
+    secret,
+    headerName,
+    getToken,
+    registry: extractOptions.registry,
+    tenant: extractOptions.tenant,
+  };
+
+  return function csrfMiddleware(req, res, next) {
+    const method = String(req.method || 'GET').toUpperCase();
+    if (CSRF_SAFE_METHODS.includes(method)) {
+      return next();
+    }
+
+    const auth = req.auth ?? extractToken(req, extractOptions);
+    if (auth.source === 'header' || auth.source === 'service') {
+      return next();
+    }
+
+    const context = typeof expectedContext === 'function'
+      ? expectedContext(req)
+      : (expectedContext ?? req.auth?.expectedContext ?? auth.context
+        ?? resolveAuthContext(req, extractOptions));
+
+    if (!verifyCsrfToken(req, context, verifyOptions)) {
+      return onReject(req, res, { ...CSRF_ERROR });
+    }
+
+    return next();
+  };
+}
+
+/**
+ * Signs a nonce for a context
+ * 
+ * @private
+ * @param {string} nonce - Random nonce
+ * @param {string} context - Context
+ * @param {string|Buffer} secret - HMAC secret
+ * @returns {string} - Base64url HMAC-SHA256
+ */
+function signCsrfNonce(nonce, context, secret) {
+  return createHmac('sha256', secret).update(`${context}.${nonce}`).digest('base64url');
+}
+
+/**
+ * Compares two strings in constant time
+ * 
+ * @private
+ * @param {string} a - First value
+ * @param {string} b - Second value
+ * @returns {boolean} - True if equal
+ */
+function safeEqual(a, b) {
+  const left = Buffer.from(a);
+  const right = Buffer.from(b);
+  return left.length === right.length && timingSafeEqual(left, right);
+}
+
+/**
+ * Reads a single request header
+ * 
+ * @private
+ * @param {Object} req - Request object
+ * @param {string} name - Header name
+ * @returns {string|undefined} - Header value
+ */
+function getHeader(req, name) {
+  const value = req?.headers?.[name.toLowerCase()];
+  return Array.isArray(value) ? value[0] : value;
+}
+
+export { CSRF_HEADER, CSRF_SAFE_METHODS };
@@ -0,0 +1,46 @@
+/**
+ * Error Types
+ * 
+ * Errors thrown by the verification helpers carry a stable `code`
+ * so callers can branch on it without matching messages.
+ * 
+ * @module errors
+ */
+
+/**
+ * Base class for authentication errors
+ * 
+ * @extends Error
+ * @property {string} code - Machine-readable error code
+ */
+export class AuthError extends Error {
+  /**
+   * @param {string} code - Machine-readable error code
+   * @param {string} message - Human-readable message
+   */
+  constructor(code, message) {
+    super(message);
+    this.name = 'AuthError';
+    this.code = code;
+  }
+}
+
+/**
+ * Thrown when a token fails verification
+ * 
+ * Codes: MALFORMED_TOKEN, UNSUPPORTED_ALGORITHM, INVALID_KEY,
+ * INVALID_SIGNATURE, TOKEN_EXPIRED, TOKEN_NOT_ACTIVE, INVALID_CLAIM,
+ * CONTEXT_MISMATCH, JWKS_UNAVAILABLE
+ * 
+ * @extends AuthError
+ */
+export class TokenVerificationError extends AuthError {
+  /**
+   * @param {string} code - Machine-readable error code
+   * @param {string} message - Human-readable message
+   */
+  constructor(code, message) {
+    super(code, message);
+    this.name = 'TokenVerificationError';
+  }
+}
@@ -0,0 +1,168 @@
+/**
+ * Fetch API Utilities
+ * 
+ * Variants of the extractors, resolvers and cookie writers for WHATWG
+ * `Request`, `Headers` and `Response` objects, as used by edge and
+ * serverless runtimes, Hono and Node's built-in fetch.
+ * 
+ * @module fetchUtils
+ */
+
+import { extractToken } from './tokenExtractor.js';
+import { resolveAuthContext } from './contextUtils.js';
+import { extractContextToken } from './cookieUtils.js';
+import { setContextCookie, clearContextCookie } from './cookieWriter.js';
+
+/**
+ * Converts a Fetch Request to the plain request shape used by the library
+ * 
+ * A Fetch Request does not carry the peer address, so trusted proxy
+ * headers (see resolveAuthContext `trustedProxies`) are only honoured when
+ * the runtime's connection info is passed as `remoteAddress`.
+ * 
+ * @param {Request} request - Fetch API Request
+ * @param {Object} [options={}] - Options
+ * @param {string} [options.remoteAddress] - Peer address, exposed as `socket.remoteAddress`
+ * @returns {Object|null} - { method, headers, path, url, socket? } or null if not a Request
+ * 
+ * @example
+ * const req = toAuthRequest(request);
+ * // Returns: { method: 'GET', headers: { origin: '...', cookie: '...' }, path: '/orders', url: '/orders?page=2' }
+ * 
+ * @example
+ * // Deno.serve((request, info) => ...)
+ * toAuthRequest(request, { remoteAddress: info.remoteAddr.hostname });
+ */
+export function toAuthRequest(request, options = {}) {
+  if (!request || typeof request.headers?.get !== 'function') {
+    return null;
+  }
+
+  let url = null;
+  try {
+    url = new URL(request.url);
+  } catch {
+    // Relative or missing URL
+  }
+
+  const req = {
+    method: request.method,
+    headers: Object.fromEntries(request.headers),
+    path: url ? url.pathname : undefined,
+    url: url ? `${url.pathname}${url.search}` : undefined,
+  };
+
+  if (options.remoteAddress) {
+    req.socket = { remoteAddress: options.remoteAddress };
+  }
+
+  return req;
+}
+
+/**
+ * Extracts authentication token from a Fetch Request
+ * 
+ * @param {Request} request - Fetch API Request
+ * @param {Object} [options={}] - Extraction options (see extractToken)
+ * @param {string} [options.remoteAddress] - Peer address (see toAuthRequest)
+ * @returns {Object} - { token: string|null, source: string|null, context: string|null }
+ * 
+ * @example
+ * export default {
+ *   async fetch(request) {
+ *     const { token, context } = extractTokenFromRequest(request);
+ *   },
+ * };
+ */
+export function extractTokenFromRequest(request, options = {}) {
+  const { remoteAddress, ...extractOptions } = options;
+  return extractToken(toAuthRequest(request, { remoteAddress }), extractOptions);
+}
+
+/**
+ * Resolves authentication context from a Fetch Request
+ * 
+ * @param {Request} request - Fetch API Request
+ * @param {Object} [options={}] - Configuration options (see resolveAuthContext)
+ * @param {string} [options.remoteAddress] - Peer address (see toAuthRequest)
+ * @returns {string|null} - Resolved context or null
+ */
+export function resolveAuthContextFromRequest(request, options = {}) {
+  const { remoteAddress, ...resolveOptions } = options;
+  return resolveAuthContext(toAuthRequest(request, { remoteAddress }), resolveOptions);
+}
+
+/**
+ * Extracts token from a context-specific cookie of a Fetch Request
+ * 
+ * @param {Request} request - Fetch API Request
+ * @param {string} context - Context (customer/vendor/admin)
+ * @param {string} [tokenType='access'] - Token type
+ * @param {Object} [options={}] - Lookup options (see extractContextToken)
+ * @returns {string|null} - Token value or null
+ */
+export function extractContextTokenFromRequest(request, context, tokenType = 'access', options = {}) {
+  return extractContextToken(toAuthRequest(request), context, tokenType, options);
+}
+
+/**
+ * Appends a context-scoped Set-Cookie header to Headers or a Response
+ * 
+ * Same policy and validation as setContextCookie. An earlier Set-Cookie
+ * for the same cookie is replaced.
+ * 
+ * @param {Headers|Response} target - Headers, or a Response with mutable headers
+ * @param {string} context - Context (customer/vendor/admin)
+ * @param {string} tokenType - Token type
+ * @param {string} value - Cookie value
+ * @param {Object} [options={}] - Cookie attributes (see setContextCookie)
+ * @returns {string} - The Set-Cookie header value that was written
+ * 
+ * @example
+ * const response = Response.json({ ok: true });
+ * setContextCookieHeader(response, 'customer', 'access', token, { maxAge: 900 });
+ * return response;
+ */
+export function setContextCookieHeader(target, context, tokenType, value, options = {}) {
+  return setContextCookie(toHeaderWriter(target), context, tokenType, value, options);
+}
+
+/**
+ * Appends a Set-Cookie header clearing a context cookie to Headers or a Response
+ * 
+ * @param {Headers|Response} target - Headers, or a Response with mutable headers
+ * @param {string} context - Context (customer/vendor/admin)
+ * @param {string} [tokenType='access'] - Token type
+ * @param {Object} [options={}] - Cookie attributes (see clearContextCookie)
+ * @returns {string} - The Set-Cookie header value that was written
+ */
+export function clearContextCookieHeader(target, context, tokenType = 'access', options = {}) {
+  return clearContextCookie(toHeaderWriter(target), context, tokenType, options);
+}
+
+/**
+ * Wraps Headers in the getHeader/setHeader interface of http.ServerResponse
+ * 
+ * @private
+ * @param {Headers|Response} target - Headers or Response
+ * @returns {Object} - { getHeader, setHeader }
+ */
+function toHeaderWriter(target) {
+  const headers = typeof target?.headers?.append === 'function' ? target.headers : target;
+  if (!headers || typeof headers.append !== 'function' || typeof headers.getSetCookie !== 'function') {
+    throw new Error('Target must be Headers or a Response');
+  }
+
+  return {
+    getHeader: (name) => {
+      const values = headers.getSetCookie();
+      return name.toLowerCase() === 'set-cookie' && values.length ? values : undefined;
+    },
+    setHeader: (name, values) => {
+      headers.delete(name);
+      for (const value of [].concat(values)) {
+        headers.append(name, value);
+      }
+    },
+  };
+}
@@ -0,0 +1,281 @@
+/**
+ * Flow Tokens
+ * 
+ * Short-lived, single-use tokens for signup, OTP and password reset
+ * flows. A token is `{payload}.{signature}`, where the payload is
+ * base64url JSON `{ ctx, pur, sub, dat, exp, jti }` and the signature an
+ * HMAC-SHA256 of `flow.{payload}` under a shared secret.
+ * 
+ * The purpose and context are signed: a password_reset token never
+ * verifies as a signup token, nor a vendor token in the customer context.
+ * The `jti` is consumed through a nonce store, so each token works once.
+ * 
+ * @module flowTokens
+ */
+
+import { createHmac, randomBytes, timingSafeEqual } from 'node:crypto';
+import { resolveRegistry } from './contextRegistry.js';
+import { AuthError } from './errors.js';
+import { assertSecret } from './secrets.js';
+
+/**
+ * Token types treated as flows (default `purposes` of issueFlowToken)
+ * @type {readonly string[]}
+ */
+const FLOW_PURPOSES = Object.freeze(['signup', 'otp', 'password_reset']);
+
+/**
+ * Default flow token lifetimes in seconds
+ * 
+ * - signup: 24 hours
+ * - otp: 5 minutes
+ * - password_reset: 1 hour
+ * @type {Object<string, number>}
+ */
+const DEFAULT_FLOW_TTL = Object.freeze({
+  signup: 24 * 60 * 60,
+  otp: 5 * 60,
+  password_reset: 60 * 60,
+});
+
+/**
+ * Token format
+ * @private
+ */
+const FLOW_TOKEN_PATTERN = /^([A-Za-z0-9_-]+)\.([A-Za-z0-9_-]{43})$/;
+
+/**
+ * Nonce store interface
+ * 
+ * Implementations for Redis or SQL record consumed token IDs.
+ * All methods may be async.
+ * 
+ * - `consume(nonce, expiresAt)` - Records the nonce and returns true, or
+ *   returns false if it was already consumed. Must be atomic (e.g. Redis
+ *   `SET NX`, SQL `INSERT` on a unique key), as it decides which of two
+ *   concurrent requests wins. The nonce may be forgotten after
+ *   `expiresAt` (milliseconds since the epoch).
+ * 
+ * @typedef {Object} NonceStore
+ */
+
+/**
+ * Creates an in-memory nonce store
+ * 
+ * Suitable for tests and single-process deployments. Expired nonces are
+ * pruned on write.
+ * 
+ * @returns {NonceStore} - Store
+ * 
+ * @example
+ * const nonceStore = createMemoryNonceStore();
+ */
+export function createMemoryNonceStore() {
+  const nonces = new Map();
+
+  const prune = () => {
+    const now = Date.now();
+    for (const [nonce, expiresAt] of nonces) {
+      if (expiresAt <= now) {
+        nonces.delete(nonce);
+      }
+    }
+  };
+
+  return {
+    consume: async (nonce, expiresAt) => {
+      prune();
+      if (nonces.has(nonce)) {
+        return false;
+      }
+      nonces.set(nonce, expiresAt);
+      return true;
+    },
+  };
+}
+
+/**
+ * Issues a flow token
+ * 
+ * @param {string} context - Context the flow runs in
+ * @param {string} purpose - Flow, one of `options.purposes` (signup/otp/password_reset by default)
+ * @param {Object} options - Options
+ * @param {string|Buffer} options.secret - Shared HMAC secret (at least 32 bytes)
+ * @param {string|number} [options.subject] - User or address the flow is for
+ * @param {*} [options.data] - JSON data carried by the token (readable by the holder)
+ * @param {number} [options.expiresIn] - Lifetime in seconds (default: DEFAULT_FLOW_TTL[purpose], or 1 hour)
+ * @param {Object} [options.registry] - Context registry
+ * @param {string[]} [options.purposes=FLOW_PURPOSES] - Allowed flows; each must also be a registry token type
+ * @returns {string} - Flow token
+ * @throws {Error} - If the context, purpose, secret or lifetime is invalid
+ * 
+ * @example
+ * const token = issueFlowToken('vendor', 'password_reset', { secret, subject: user.id });
+ * await sendMail(user.email, `https://vendor.example.com/reset?token=${token}`);
+ * 
+ * @example
+ * // A custom flow registered as a token type
+ * issueFlowToken('partner', 'magic_link', { secret, registry, purposes: [...FLOW_PURPOSES, 'magic_link'] });
+ */
+export function issueFlowToken(context, purpose, options = {}) {
+  const { secret, subject, data, registry, purposes = FLOW_PURPOSES } = options;
+  assertSecret(secret, 'Flow token secret');
+
+  const { hasContext, hasTokenType } = resolveRegistry(registry);
+  if (!hasContext(context)) {
+    throw new Error(`Unknown context: ${context}`);
+  }
+
+  if (!hasTokenType(purpose)) {
+    throw new Error(`Unknown token type: ${purpose}`);
+  }
+
+  if (!purposes.includes(purpose)) {
+    throw new Error(`Not a flow purpose: ${purpose}`);
+  }
+
+  const expiresIn = options.expiresIn ?? DEFAULT_FLOW_TTL[purpose] ?? 60 * 60;
+  if (!Number.isInteger(expiresIn) || expiresIn <= 0) {
+    throw new Error('expiresIn must be a positive integer');
+  }
+
+  const payload = Buffer.from(JSON.stringify({
+    ctx: context,
+    pur: purpose,
+    sub: subject ?? null,
+    dat: data ?? null,
+    exp: Math.floor(Date.now() / 1000) + expiresIn,
+    jti: randomBytes(16).toString('base64url'),
+  })).toString('base64url');
+
+  return `${payload}.${signFlowToken(payload, secret)}`;
+}
+
+/**
+ * Verifies and consumes a flow token
+ * 
+ * Several secrets may be given to rotate them without downtime. With
+ * `consume: false` the token is checked but stays usable (e.g. to render
+ * a reset form before the final submit).
+ * 
+ * @param {string} token - Flow token
+ * @param {Object} options - Options
+ * @param {string} options.context - Context the request runs in
+ * @param {string} options.purpose - Expected flow
+ * @param {string|Buffer|Array<string|Buffer>} options.secret - Shared HMAC secret(s)
+ * @param {NonceStore} options.nonceStore - Store of consumed tokens
+ * @param {boolean} [options.consume=true] - Mark the token as used
+ * @param {number} [options.clockTolerance=0] - Allowed clock skew in seconds
+ * @returns {Promise<Object>} - { context, purpose, subject, data, expiresAt }
+ * @throws {AuthError} - FLOW_TOKEN_INVALID, FLOW_TOKEN_PURPOSE_MISMATCH,
+ *   FLOW_TOKEN_CONTEXT_MISMATCH, FLOW_TOKEN_EXPIRED, FLOW_TOKEN_USED
+ * 
+ * @example
+ * app.post('/vendor/reset', async (req, res) => {
+ *   try {
+ *     const { subject } = await verifyFlowToken(req.body.token, {
+ *       context: 'vendor',
+ *       purpose: 'password_reset',
+ *       secret,
+ *       nonceStore,
+ *     });
+ *     await setPassword(subject, req.body.password);
+ *     res.sendStatus(204);
+ *   } catch (error) {
+ *     res.status(400).json({ error: error.message, code: error.code });
+ *   }
+ * });
+ */
+export async function verifyFlowToken(token, options = {}) {
+  const { secret, context, purpose, nonceStore, consume = true, clockTolerance = 0 } = options;
+  const secrets = Array.isArray(secret) ? secret : [secret];
+  secrets.forEach((candidate) => assertSecret(candidate, 'Flow token secret'));
+
+  if (!context || !purpose) {
+    throw new Error('context and purpose are required');
+  }
+
+  if (consume && typeof nonceStore?.consume !== 'function') {
+    throw new Error('nonceStore must implement consume');
+  }
+
+  const match = typeof token === 'string' ? FLOW_TOKEN_PATTERN.exec(token) : null;
+  if (!match) {
+    throw new AuthError('FLOW_TOKEN_INVALID', 'Flow token is invalid');
+  }
+
+  const [, payload, signature] = match;
+  const actual = Buffer.from(signature);
+  const valid = secrets.some((candidate) => {
+    const expected = Buffer.from(signFlowToken(payload, candidate));
+    return expected.length === actual.length && timingSafeEqual(expected, actual);
+  });
+
+  const claims = valid ? decodePayload(payload) : null;
+  if (!claims) {
+    throw new AuthError('FLOW_TOKEN_INVALID', 'Flow token is invalid');
+  }
+
+  if (claims.pur !== purpose) {
+    throw new AuthError('FLOW_TOKEN_PURPOSE_MISMATCH', 'Flow token was issued for another purpose');
+  }
+
+  if (claims.ctx !== context) {
+    throw new AuthError('FLOW_TOKEN_CONTEXT_MISMATCH', 'Flow token was issued for another context');
+  }
+
+  if (Math.floor(Date.now() / 1000) - clockTolerance >= claims.exp) {
+    throw new AuthError('FLOW_TOKEN_EXPIRED', 'Flow token has expired');
+  }
+
+  const expiresAt = claims.exp * 1000;
+  if (consume && !(await nonceStore.consume(claims.jti, expiresAt + clockTolerance * 1000))) {
+    throw new AuthError('FLOW_TOKEN_USED', 'Flow token was already used');
+  }
+
+  return {
+    context: claims.ctx,
+    purpose: claims.pur,
+    subject: claims.sub,
+    data: claims.dat,
+    expiresAt,
+  };
+}
+
+/**
+ * Computes the flow token signature
+ * 
+ * @private
+ * @param {string} payload - Base64url payload
+ * @param {string|Buffer} secret - HMAC secret
+ * @returns {string} - Base64url HMAC-SHA256
+ */
+function signFlowToken(payload, secret) {
+  return createHmac('sha256', secret).update(`flow.${payload}`).digest('base64url');
+}
+
+/**
+ * Decodes and checks the payload of a signed token
+ * 
+ * @private
+ * @param {string} payload - Base64url payload
+ * @returns {Object|null} - Claims, or null if malformed
+ */
+function decodePayload(payload) {
+  let claims;
+  try {
+    claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  } catch {
+    return null;
+  }
+
+  const valid = claims && typeof claims === 'object'
+    && typeof claims.ctx === 'string'
+    && typeof claims.pur === 'string'
+    && typeof claims.jti === 'string'
+    && Number.isInteger(claims.exp);
+
+  return valid ? claims : null;
+}
+
+export { FLOW_PURPOSES, DEFAULT_FLOW_TTL };
@@ -0,0 +1,929 @@
+/**
+ * multi-context-auth
+ *
+ * Type declarations. Contexts and token types default to the built-in
+ * unions and are narrowed to custom unions by passing a registry from
+ * createContextRegistry().
+ */
+
+/// <reference types="node" />
+
+import type { KeyObject } from 'node:crypto';
+
+// ---------------------------------------------------------------------------
+// Contexts, token types and registries
+// ---------------------------------------------------------------------------
+
+/** Built-in contexts */
+export type DefaultContext = 'customer' | 'vendor' | 'admin';
+
+/** Built-in token types */
+export type DefaultTokenType = 'access' | 'refresh' | 'signup' | 'otp' | 'password_reset' | 'csrf' | 'session';
+
+/** Context reserved for service-to-service calls */
+export type ServiceContext = 'service';
+
+/** Exact origin, wildcard pattern, RegExp or predicate */
+export type OriginPattern = string | RegExp | ((origin: string) => boolean);
+
+/** Origins allowed per context */
+export type ContextOrigins<C extends string = string> = {
+  [K in C]?: OriginPattern | readonly OriginPattern[];
+};
+
+export interface ContextRegistry<C extends string = string, T extends string = string> {
+  readonly contexts: readonly C[];
+  readonly tokenTypes: readonly T[];
+  readonly origins: Readonly<ContextOrigins<C>>;
+  hasContext(context: unknown): context is C;
+  hasTokenType(tokenType: unknown): tokenType is T;
+}
+
+export interface ContextRegistryConfig<C extends string, T extends string> {
+  contexts?: readonly C[];
+  origins?: ContextOrigins<C>;
+  tokenTypes?: readonly T[];
+}
+
+export function createContextRegistry<
+  const C extends string = DefaultContext,
+  const T extends string = DefaultTokenType,
+>(config?: ContextRegistryConfig<C, T>): ContextRegistry<C, T>;
+export function isContextRegistry(value: unknown): value is ContextRegistry;
+export const DEFAULT_CONTEXT_REGISTRY: ContextRegistry<DefaultContext, DefaultTokenType>;
+export const DEFAULT_CONTEXT_ORIGINS: Readonly<Record<DefaultContext, readonly string[]>>;
+export const VALID_CONTEXTS: readonly DefaultContext[];
+export const VALID_TOKEN_TYPES: readonly DefaultTokenType[];
+export const SERVICE_CONTEXT: ServiceContext;
+
+// ---------------------------------------------------------------------------
+// Requests and responses
+// ---------------------------------------------------------------------------
+
+type MaybePromise<T> = T | Promise<T>;
+
+export type HeaderValue = string | string[] | undefined;
+
+/** Any request exposing Node-style lowercase headers (Express, node:http, Koa's ctx.req, ...) */
+export interface AuthRequest {
+  headers?: Record<string, HeaderValue>;
+  cookies?: Record<string, string | undefined>;
+  method?: string;
+  url?: string;
+  path?: string;
+  socket?: { remoteAddress?: string };
+  auth?: AuthInfo<string>;
+}
+
+/** Any response supporting getHeader/setHeader (Express, http.ServerResponse) */
+export interface CookieResponse {
+  getHeader(name: string): unknown;
+  setHeader(name: string, value: string | number | readonly string[]): unknown;
+}
+
+/** Express or node:http response used by the middleware */
+export interface MiddlewareResponse extends CookieResponse {
+  statusCode: number;
+  end(chunk?: unknown): unknown;
+  status?(code: number): unknown;
+  json?(body: unknown): unknown;
+}
+
+export type NextFunction = (error?: unknown) => void;
+export type Middleware<Req = AuthRequest> = (req: Req, res: MiddlewareResponse, next: NextFunction) => void;
+export type AsyncMiddleware<Req = AuthRequest> = (req: Req, res: MiddlewareResponse, next: NextFunction) => Promise<void>;
+
+// ---------------------------------------------------------------------------
+// Context resolution
+// ---------------------------------------------------------------------------
+
+export type TrustedProxies = readonly string[] | ((address: string) => boolean);
+
+export interface ContextAssertionSettings {
+  secret: string | Buffer | ReadonlyArray<string | Buffer>;
+  header?: string;
+  clockTolerance?: number;
+}
+
+export interface ResolveContextOptions<C extends string = DefaultContext, T extends string = string> {
+  nodeEnv?: string;
+  contextOrigins?: ContextOrigins<C>;
+  registry?: ContextRegistry<C, T>;
+  trustedProxies?: TrustedProxies;
+  contextAssertion?: ContextAssertionSettings;
+}
+
+export type ContextSource = 'assertion' | 'origin' | 'referer' | 'forwarded' | 'x-auth-context';
+
+export interface ContextExplanation<C extends string = DefaultContext> {
+  context: C | null;
+  source: ContextSource | null;
+  checked: Array<{ source: ContextSource; value: string; context: C | null }>;
+}
+
+export interface TenantOptions {
+  resolve?: (req: AuthRequest, context: string | null) => string | null | undefined;
+  subdomain?: string | readonly string[];
+  pathPrefix?: boolean | string;
+  header?: string;
+}
+
+export function resolveAuthContext<C extends string = DefaultContext>(
+  req: AuthRequest | null | undefined,
+  options?: ResolveContextOptions<C>
+): C | null;
+export function explainAuthContext<C extends string = DefaultContext>(
+  req: AuthRequest | null | undefined,
+  options?: ResolveContextOptions<C>
+): ContextExplanation<C>;
+export function resolveAuthScope<C extends string = DefaultContext>(
+  req: AuthRequest | null | undefined,
+  options?: ResolveContextOptions<C> & { tenantResolver?: TenantOptions }
+): { context: C | null; tenant: string | null };
+export function isValidTenantId(tenant: unknown): tenant is string;
+export function getContextFromType<C extends string = DefaultContext>(
+  type: unknown,
+  registry?: ContextRegistry<C, any>
+): C | null;
+export function isOriginAllowedForContext(
+  origin: string | null | undefined,
+  context: string | null | undefined,
+  contextOrigins?: ContextOrigins<string> | ContextRegistry
+): boolean;
+export function getValidContexts<C extends string = DefaultContext>(
+  contextOrigins?: ContextOrigins<C> | ContextRegistry<C, any>
+): readonly C[];
+export function isValidContextType<C extends string = DefaultContext>(
+  context: unknown,
+  registry?: ContextRegistry<C, any>
+): context is C;
+export function matchOrigin(origin: string | null | undefined, pattern: OriginPattern): boolean;
+
+// ---------------------------------------------------------------------------
+// Cookies
+// ---------------------------------------------------------------------------
+
+export interface CookieLookupOptions<C extends string = DefaultContext, T extends string = DefaultTokenType> {
+  registry?: ContextRegistry<C, T>;
+  tenant?: string | null;
+}
+
+export const COOKIE_PREFIXES: readonly ['__Host-', '__Secure-'];
+export const MAX_COOKIE_HEADER_SIZE: number;
+
+export function extractContextToken<C extends string = DefaultContext, T extends string = DefaultTokenType>(
+  req: AuthRequest | null | undefined,
+  context: NoInfer<C>,
+  tokenType?: NoInfer<T>,
+  options?: CookieLookupOptions<C, T>
+): string | null;
+export function extractTokenFromAllContexts<C extends string = DefaultContext, T extends string = DefaultTokenType>(
+  req: AuthRequest | null | undefined,
+  tokenType?: NoInfer<T>,
+  contexts?: readonly NoInfer<C>[],
+  options?: CookieLookupOptions<C, T>
+): { token: string; context: C } | { token: null; context: null };
+export function extractContextTokens<
+  C extends string = DefaultContext,
+  T extends string = DefaultTokenType,
+  const K extends T = Extract<T, 'access' | 'refresh'>,
+>(
+  req: AuthRequest | null | undefined,
+  context: NoInfer<C>,
+  tokenTypes?: readonly K[],
+  options?: CookieLookupOptions<C, T>
+): Record<K, string | null>;
+export function getCookieName(context: string, tokenType?: string, tenant?: string | null): string;
+export function getCookieLookupNames(context: string, tokenType?: string, tenant?: string | null): string[];
+export function getLegacyCookieNames(tokenType?: string): string[];
+export const MAX_COOKIE_CHUNKS: number;
+export function encodeCookieChunks(value: string, size: number): string[];
+export function readChunkedCookie(cookies: Record<string, string | undefined>, name: string): string | null;
+export function isValidTokenType<T extends string = DefaultTokenType>(
+  tokenType: unknown,
+  registry?: ContextRegistry<any, T>
+): tokenType is T;
+export function getValidTokenTypes<T extends string = DefaultTokenType>(
+  registry?: ContextRegistry<any, T>
+): readonly T[];
+
+export function parseCookieHeader(
+  header: string | readonly string[] | null | undefined,
+  options?: { maxHeaderSize?: number }
+): Record<string, string>;
+export function getRequestCookies(
+  req: AuthRequest | null | undefined,
+  options?: { maxHeaderSize?: number }
+): Record<string, string>;
+
+export type SameSite = 'Strict' | 'Lax' | 'None' | 'strict' | 'lax' | 'none';
+
+export interface CookieAttributes {
+  httpOnly?: boolean;
+  secure?: boolean;
+  sameSite?: SameSite;
+  path?: string;
+  domain?: string;
+  maxAge?: number;
+  expires?: Date;
+  prefix?: '__Host-' | '__Secure-' | null;
+  maxChunks?: number;
+}
+
+export interface CookiePolicy {
+  readonly defaults: Readonly<CookieAttributes>;
+  readonly contexts: Readonly<Record<string, Readonly<CookieAttributes>>>;
+  readonly tokenTypes: Readonly<Record<string, Readonly<CookieAttributes>>>;
+}
+
+export interface CookieWriteOptions<C extends string = DefaultContext, T extends string = DefaultTokenType>
+  extends CookieAttributes {
+  policy?: CookiePolicy;
+  registry?: ContextRegistry<C, T>;
+  tenant?: string | null;
+}
+
+export interface ResolvedCookieOptions {
+  name: string;
+  httpOnly: boolean;
+  secure: boolean;
+  sameSite: 'Strict' | 'Lax' | 'None' | null;
+  path?: string;
+  domain?: string;
+  maxAge?: number;
+  expires?: Date;
+  prefix: '__Host-' | '__Secure-' | null;
+  maxChunks: number;
+}
+
+export const DEFAULT_COOKIE_POLICY: CookiePolicy;
+export const MAX_COOKIE_SIZE: number;
+export const MAX_CHUNKED_COOKIE_SIZE: number;
+export function createCookiePolicy(config?: {
+  defaults?: CookieAttributes;
+  contexts?: Record<string, CookieAttributes>;
+  tokenTypes?: Record<string, CookieAttributes>;
+}): CookiePolicy;
+export function resolveCookieOptions<C extends string = DefaultContext, T extends string = DefaultTokenType>(
+  context: NoInfer<C>,
+  tokenType?: NoInfer<T>,
+  options?: CookieWriteOptions<C, T>
+): ResolvedCookieOptions;
+export function serializeCookie(
+  name: string,
+  value: string,
+  attributes?: Omit<CookieAttributes, 'prefix' | 'maxChunks'>
+): string;
+export function setContextCookie<C extends string = DefaultContext, T extends string = DefaultTokenType>(
+  res: CookieResponse,
+  context: NoInfer<C>,
+  tokenType: NoInfer<T>,
+  value: string,
+  options?: CookieWriteOptions<C, T>
+): string;
+export function clearContextCookie<C extends string = DefaultContext, T extends string = DefaultTokenType>(
+  res: CookieResponse,
+  context: NoInfer<C>,
+  tokenType?: NoInfer<T>,
+  options?: CookieWriteOptions<C, T>
+): string;
+
+export type ClearSiteDataType = 'cache' | 'cookies' | 'storage' | 'executionContexts' | '*';
+
+export interface LogoutOptions<C extends string = DefaultContext, T extends string = DefaultTokenType>
+  extends CookieWriteOptions<C, T> {
+  tokenTypes?: readonly NoInfer<T>[];
+  allTokenTypes?: boolean;
+  includeLegacy?: boolean;
+  /** Wipes the whole origin; only for origins serving a single context */
+  clearSiteData?: boolean | readonly ClearSiteDataType[];
+}
+
+export const LOGOUT_TOKEN_TYPES: readonly DefaultTokenType[];
+export function logoutContext<C extends string = DefaultContext, T extends string = DefaultTokenType>(
+  res: CookieResponse,
+  context: NoInfer<C>,
+  options?: LogoutOptions<C, T>
+): string[];
+
+// ---------------------------------------------------------------------------
+// Token extraction
+// ---------------------------------------------------------------------------
+
+export type IsolationPolicy = 'strict' | 'lenient' | 'legacy';
+export const ISOLATION_POLICIES: readonly IsolationPolicy[];
+
+export interface ExtractTokenOptions<C extends string = DefaultContext, T extends string = DefaultTokenType>
+  extends ResolveContextOptions<C, T> {
+  preferContext?: boolean;
+  tokenType?: NoInfer<T>;
+  context?: NoInfer<C> | ServiceContext;
+  tenant?: string | null;
+  trace?: boolean;
+  isolation?: IsolationPolicy;
+  service?: boolean | { header?: string };
+}
+
+export type TraceStepSource = 'service' | 'header' | 'context-cookie' | 'all-contexts' | 'legacy';
+
+export interface TraceStep {
+  source: TraceStepSource;
+  outcome: 'found' | 'not-found' | 'skipped';
+  reason?: string;
+  context?: string | null;
+  probed?: string[];
+  matched?: string | null;
+  /** Redacted token */
+  token?: string;
+}
+
+export interface TokenTrace<C extends string = DefaultContext> {
+  context: ContextExplanation<C> | { context: C | ServiceContext; source: 'option'; checked: [] } | null;
+  steps: TraceStep[];
+}
+
+interface ExtractionExtras<C extends string> {
+  /** Contexts with cookies present under strict isolation */
+  conflict?: C[];
+  /** Present when `trace` is set */
+  trace?: TokenTrace<C>;
+}
+
+/** Result of extractToken, discriminated on `source` */
+export type ExtractTokenResult<C extends string = DefaultContext> =
+  | ({ token: null; source: null; context: null } & ExtractionExtras<C>)
+  | ({ token: string; source: 'header'; context: null } & ExtractionExtras<C>)
+  | ({ token: string; source: 'service'; context: ServiceContext } & ExtractionExtras<C>)
+  | ({ token: string; source: 'cookie'; context: C | null } & ExtractionExtras<C>);
+
+export type TokenSource = Exclude<ExtractTokenResult['source'], null>;
+
+export function extractToken<C extends string = DefaultContext, T extends string = DefaultTokenType>(
+  req: AuthRequest | null | undefined,
+  options?: ExtractTokenOptions<C, T>
+): ExtractTokenResult<C>;
+export function explainTokenExtraction<C extends string = DefaultContext, T extends string = DefaultTokenType>(
+  req: AuthRequest | null | undefined,
+  options?: ExtractTokenOptions<C, T>
+): ExtractTokenResult<C> & { trace: TokenTrace<C> };
+export function extractTokenWithContext<C extends string = DefaultContext, T extends string = DefaultTokenType>(
+  req: AuthRequest | null | undefined,
+  expectedContext: NoInfer<C>,
+  options?: { tokenType?: NoInfer<T>; registry?: ContextRegistry<C, T>; tenant?: string | null }
+): ExtractTokenResult<C>;
+export function redactToken(token: string): string;
+
+// ---------------------------------------------------------------------------
+// Middleware and adapters
+// ---------------------------------------------------------------------------
+
+export type AuthErrorCode =
+  | 'AUTH_REQUIRED'
+  | 'INVALID_TOKEN'
+  | 'CONTEXT_MISMATCH'
+  | 'TOKEN_REVOKED'
+  | 'REVOCATION_UNAVAILABLE';
+
+export interface AuthRejection<Code extends string = string> {
+  status: number;
+  code: Code;
+  message: string;
+}
+
+export interface AuthInfo<C extends string = DefaultContext, P = unknown> {
+  token: string | null;
+  source: TokenSource | 'session' | null;
+  context: C | ServiceContext | null;
+  expectedContext: C | ServiceContext | null;
+  payload: P | null;
+  conflict?: C[];
+  /** Calling service, for service tokens */
+  service?: string;
+  /** Resolved tenant, with `tenantResolver` */
+  tenant?: string | null;
+}
+
+export interface ContextAuthOptions<C extends string = DefaultContext, T extends string = DefaultTokenType, P = unknown>
+  extends Omit<ExtractTokenOptions<C, T>, 'context' | 'service' | 'trace'> {
+  required?: boolean;
+  expectedContext?: NoInfer<C> | ServiceContext | ((req: any) => NoInfer<C> | ServiceContext | null | undefined);
+  verify?: (token: string, context: C | null) => P | Promise<P>;
+  mismatchStatus?: 401 | 403;
+  onReject?: (req: any, res: any, error: AuthRejection<AuthErrorCode>) => unknown;
+  services?: ServiceVerificationConfig & { header?: string };
+  /** Checked before token extraction; the session record becomes the payload */
+  sessions?: SessionOptions;
+  /** Checked after `verify`; listed tokens are rejected with TOKEN_REVOKED */
+  revocation?: RevocationList;
+  /** Resolves the tenant per request (see resolveAuthScope) instead of a fixed `tenant` */
+  tenantResolver?: TenantOptions;
+}
+
+export const AUTH_ERROR_STATUS: Readonly<Record<AuthErrorCode, number>>;
+
+export function createAuthenticator<C extends string = DefaultContext, T extends string = DefaultTokenType, P = unknown>(
+  options?: ContextAuthOptions<C, T, P>
+): (req: AuthRequest) => Promise<{ auth: AuthInfo<C, P>; error: AuthRejection<AuthErrorCode> | null }>;
+export function contextAuth<C extends string = DefaultContext, T extends string = DefaultTokenType, P = unknown>(
+  options?: ContextAuthOptions<C, T, P>
+): AsyncMiddleware<any>;
+export function sendAuthError(req: unknown, res: MiddlewareResponse, error: AuthRejection): void;
+
+export function fastifyContextAuth(
+  fastify: { decorateRequest(name: string, value: unknown): unknown; addHook(name: string, hook: (...args: any[]) => unknown): unknown },
+  options: ContextAuthOptions<any, any, any>,
+  done: (error?: Error) => void
+): void;
+export function koaContextAuth<C extends string = DefaultContext, T extends string = DefaultTokenType, P = unknown>(
+  options?: ContextAuthOptions<C, T, P>
+): (ctx: any, next: () => Promise<unknown>) => Promise<void>;
+export function honoContextAuth<C extends string = DefaultContext, T extends string = DefaultTokenType, P = unknown>(
+  options?: ContextAuthOptions<C, T, P> & { remoteAddress?: (c: any) => string | undefined }
+): (c: any, next: () => Promise<void>) => Promise<Response | void>;
+
+// ---------------------------------------------------------------------------
+// Fetch API
+// ---------------------------------------------------------------------------
+
+export interface FetchRequestOptions {
+  /** Peer address, exposed as `socket.remoteAddress` for `trustedProxies` */
+  remoteAddress?: string;
+}
+
+export function toAuthRequest(
+  request: Request,
+  options?: FetchRequestOptions
+): Required<Pick<AuthRequest, 'method' | 'headers'>> & Pick<AuthRequest, 'path' | 'url' | 'socket'>;
+export function toAuthRequest(request: unknown, options?: FetchRequestOptions): AuthRequest | null;
+export function extractTokenFromRequest<C extends string = DefaultContext, T extends string = DefaultTokenType>(
+  request: Request | null | undefined,
+  options?: ExtractTokenOptions<C, T> & FetchRequestOptions
+): ExtractTokenResult<C>;
+export function resolveAuthContextFromRequest<C extends string = DefaultContext>(
+  request: Request | null | undefined,
+  options?: ResolveContextOptions<C> & FetchRequestOptions
+): C | null;
+export function extractContextTokenFromRequest<C extends string = DefaultContext, T extends string = DefaultTokenType>(
+  request: Request | null | undefined,
+  context: NoInfer<C>,
+  tokenType?: NoInfer<T>,
+  options?: CookieLookupOptions<C, T>
+): string | null;
+export function setContextCookieHeader<C extends string = DefaultContext, T extends string = DefaultTokenType>(
+  target: Headers | Response,
+  context: NoInfer<C>,
+  tokenType: NoInfer<T>,
+  value: string,
+  options?: CookieWriteOptions<C, T>
+): string;
+export function clearContextCookieHeader<C extends string = DefaultContext, T extends string = DefaultTokenType>(
+  target: Headers | Response,
+  context: NoInfer<C>,
+  tokenType?: NoInfer<T>,
+  options?: CookieWriteOptions<C, T>
+): string;
+
+// ---------------------------------------------------------------------------
+// Token verification
+// ---------------------------------------------------------------------------
+
+export type JwsAlgorithm = 'HS256' | 'RS256' | 'ES256' | 'EdDSA';
+export const SUPPORTED_ALGORITHMS: readonly JwsAlgorithm[];
+
+export type VerificationKey = string | Buffer | KeyObject | JsonWebKey;
+
+export interface JwksKeySet {
+  getKey(kid?: string, alg?: string): Promise<KeyObject>;
+  refresh(): Promise<void>;
+}
+
+export interface VerificationSettings {
+  key?: VerificationKey;
+  jwks?: JwksKeySet;
+  algorithms?: readonly JwsAlgorithm[];
+  issuer?: string | readonly string[];
+  audience?: string | readonly string[];
+  clockTolerance?: number;
+  contextClaim?: string;
+}
+
+export interface VerificationConfig<C extends string = string> extends VerificationSettings {
+  contexts?: { [K in C]?: VerificationSettings };
+}
+
+export interface JwtPayload {
+  iss?: string;
+  sub?: string;
+  aud?: string | string[];
+  exp?: number;
+  nbf?: number;
+  iat?: number;
+  jti?: string;
+  [claim: string]: unknown;
+}
+
+export function verifyContextToken<P extends JwtPayload = JwtPayload>(
+  token: string,
+  context: string | null,
+  config?: VerificationConfig
+): Promise<P>;
+export function createTokenVerifier<P extends JwtPayload = JwtPayload>(
+  config: VerificationConfig
+): (token: string, context: string | null) => Promise<P>;
+export function decodeToken(token: string): {
+  header: { alg?: string; kid?: string; typ?: string; [name: string]: unknown };
+  payload: JwtPayload;
+  signingInput: string;
+  signature: Buffer;
+};
+export function toKeyObject(key: VerificationKey): KeyObject;
+
+export const DEFAULT_JWKS_TTL: number;
+export const DEFAULT_JWKS_COOLDOWN: number;
+export function createJwksKeySet(options: {
+  jwks?: { keys: JsonWebKey[] };
+  file?: string;
+  fetcher?: () => Promise<{ keys: JsonWebKey[] }>;
+  ttl?: number;
+  cooldown?: number;
+}): JwksKeySet;
+
+export type TokenVerificationErrorCode =
+  | 'MALFORMED_TOKEN'
+  | 'UNSUPPORTED_ALGORITHM'
+  | 'INVALID_KEY'
+  | 'INVALID_SIGNATURE'
+  | 'TOKEN_EXPIRED'
+  | 'TOKEN_NOT_ACTIVE'
+  | 'INVALID_CLAIM'
+  | 'CONTEXT_MISMATCH'
+  | 'JWKS_UNAVAILABLE';
+
+export class AuthError<Code extends string = string> extends Error {
+  constructor(code: Code, message: string);
+  readonly code: Code;
+}
+
+export class TokenVerificationError extends AuthError<TokenVerificationErrorCode> {}
+
+// ---------------------------------------------------------------------------
+// Service-to-service authentication
+// ---------------------------------------------------------------------------
+
+export interface ServiceVerificationConfig extends VerificationSettings {
+  services: Record<string, VerificationSettings>;
+  serviceClaim?: string;
+}
+
+export interface ServiceAuthResult<P extends JwtPayload = JwtPayload> {
+  context: ServiceContext;
+  service: string;
+  payload: P;
+}
+
+export const SERVICE_TOKEN_HEADER: string;
+export function extractServiceToken(req: AuthRequest | null | undefined, options?: { header?: string }): string | null;
+export function verifyServiceToken<P extends JwtPayload = JwtPayload>(
+  token: string,
+  config: ServiceVerificationConfig
+): Promise<ServiceAuthResult<P>>;
+export function createServiceVerifier<P extends JwtPayload = JwtPayload>(
+  config: ServiceVerificationConfig
+): (token: string) => Promise<ServiceAuthResult<P>>;
+
+// ---------------------------------------------------------------------------
+// Server-side sessions
+// ---------------------------------------------------------------------------
+
+export interface SessionRecord<D = unknown> {
+  context: string;
+  subject: string | number;
+  data: D | null;
+  createdAt: number;
+  lastSeenAt: number;
+  expiresAt: number;
+  absoluteExpiresAt: number;
+}
+
+export interface SessionStore {
+  get(id: string): MaybePromise<SessionRecord | null>;
+  set(id: string, record: SessionRecord): MaybePromise<void>;
+  delete(id: string): MaybePromise<void>;
+  deleteBySubject(context: string, subject: string | number): MaybePromise<number>;
+}
+
+export interface SessionTimeouts {
+  /** Seconds without a request; null disables the idle timeout */
+  idleTimeout?: number | null;
+  absoluteTimeout?: number;
+}
+
+export interface SessionOptions<C extends string = DefaultContext> extends SessionTimeouts, ResolveContextOptions<C> {
+  store: SessionStore;
+  contexts?: { [K in C]?: SessionTimeouts };
+  context?: NoInfer<C>;
+  policy?: CookiePolicy;
+  tenant?: string | null;
+}
+
+export type SessionResult<C extends string = DefaultContext, D = unknown> =
+  | { token: string; source: 'session'; context: C; session: SessionRecord<D> & { context: C } }
+  | { token: null; source: null; context: null; session: null };
+
+export const DEFAULT_SESSION_TIMEOUTS: Readonly<{ idleTimeout: number; absoluteTimeout: number }>;
+export const DEFAULT_SESSION_STORE_SIZE: number;
+export function createMemorySessionStore(options?: { maxSize?: number }): SessionStore;
+export function createSession<C extends string = DefaultContext, D = unknown>(
+  res: CookieResponse,
+  context: NoInfer<C>,
+  options: SessionOptions<C> & { subject: string | number; data?: D }
+): Promise<{ id: string; session: SessionRecord<D> & { context: C } }>;
+export function resolveSession<C extends string = DefaultContext, D = unknown>(
+  req: AuthRequest,
+  res: CookieResponse | null,
+  options: SessionOptions<C>
+): Promise<SessionResult<C, D>>;
+export function destroySession<C extends string = DefaultContext>(
+  req: AuthRequest,
+  res: CookieResponse,
+  options: SessionOptions<C>
+): Promise<boolean>;
+export function destroyUserSessions<C extends string = DefaultContext>(
+  context: NoInfer<C>,
+  subject: string | number,
+  options: { store: SessionStore; registry?: ContextRegistry<C, any> }
+): Promise<number>;
+export function resolveSessionTimeouts(
+  context: string,
+  options?: SessionTimeouts & { contexts?: Record<string, SessionTimeouts> }
+): { idleTimeout: number | null; absoluteTimeout: number };
+export function hashSessionId(id: string): string;
+
+// ---------------------------------------------------------------------------
+// Token revocation
+// ---------------------------------------------------------------------------
+
+export interface RevocationBackend {
+  has(key: string): MaybePromise<boolean>;
+  add(key: string, expiresAt: number | null): MaybePromise<void>;
+  getCutoff(context: string): MaybePromise<number | null>;
+  setCutoff(context: string, timestamp: number): MaybePromise<void>;
+}
+
+export interface RevocationEntry {
+  jti?: string;
+  token?: string;
+  fingerprint?: string;
+  /** Omit to revoke in every context */
+  context?: string;
+  /** Milliseconds since the epoch (default: the token's `exp`) */
+  expiresAt?: number | null;
+}
+
+export interface RevocationList {
+  revoke(entry: RevocationEntry): Promise<void>;
+  revokeBefore(context: string, timestamp: number | Date): Promise<void>;
+  isRevoked(check: { token?: string | null; payload?: unknown; context?: string | null }): Promise<boolean>;
+}
+
+export const DEFAULT_REVOCATION_CACHE: Readonly<{ cacheSize: number; cacheTtl: number }>;
+export function createMemoryRevocationBackend(): RevocationBackend;
+export function createRevocationList(options?: {
+  backend?: RevocationBackend;
+  cacheSize?: number;
+  cacheTtl?: number;
+  contextClaim?: string;
+  registry?: ContextRegistry;
+}): RevocationList;
+export function tokenFingerprint(token: string): string;
+
+// ---------------------------------------------------------------------------
+// Flow tokens
+// ---------------------------------------------------------------------------
+
+export type FlowPurpose = 'signup' | 'otp' | 'password_reset';
+
+export type FlowTokenErrorCode =
+  | 'FLOW_TOKEN_INVALID'
+  | 'FLOW_TOKEN_PURPOSE_MISMATCH'
+  | 'FLOW_TOKEN_CONTEXT_MISMATCH'
+  | 'FLOW_TOKEN_EXPIRED'
+  | 'FLOW_TOKEN_USED';
+
+export interface NonceStore {
+  consume(nonce: string, expiresAt: number): MaybePromise<boolean>;
+}
+
+export interface FlowTokenClaims<C extends string = DefaultContext, T extends string = DefaultTokenType, D = unknown> {
+  context: C;
+  purpose: T;
+  subject: string | number | null;
+  data: D | null;
+  /** Milliseconds since the epoch */
+  expiresAt: number;
+}
+
+export const FLOW_PURPOSES: readonly FlowPurpose[];
+export const DEFAULT_FLOW_TTL: Readonly<Record<FlowPurpose, number>>;
+export function createMemoryNonceStore(): NonceStore;
+export function issueFlowToken<C extends string = DefaultContext, T extends string = DefaultTokenType>(
+  context: NoInfer<C>,
+  purpose: NoInfer<T>,
+  options: {
+    secret: string | Buffer;
+    subject?: string | number;
+    data?: unknown;
+    expiresIn?: number;
+    registry?: ContextRegistry<C, T>;
+    /** Allowed flows (default: FLOW_PURPOSES) */
+    purposes?: readonly NoInfer<T>[];
+  }
+): string;
+export function verifyFlowToken<const C extends string = DefaultContext, const T extends string = FlowPurpose, D = unknown>(
+  token: string | null | undefined,
+  options: {
+    context: C;
+    purpose: T;
+    secret: string | Buffer | ReadonlyArray<string | Buffer>;
+    clockTolerance?: number;
+  } & ({ nonceStore: NonceStore; consume?: true } | { nonceStore?: NonceStore; consume: false })
+): Promise<FlowTokenClaims<C, T, D>>;
+
+// ---------------------------------------------------------------------------
+// Refresh token rotation
+// ---------------------------------------------------------------------------
+
+export interface RefreshTokenRecord {
+  family: string;
+  context: string;
+  subject: string | number;
+  expiresAt: number;
+  rotatedAt: number | null;
+  revoked: boolean;
+}
+
+export interface RefreshTokenStore {
+  get(id: string): MaybePromise<RefreshTokenRecord | null>;
+  create(id: string, record: RefreshTokenRecord): MaybePromise<void>;
+  markRotated(id: string): MaybePromise<boolean>;
+  revokeFamily(family: string): MaybePromise<void>;
+}
+
+export interface RefreshRotationOptions<C extends string = DefaultContext> extends ResolveContextOptions<C> {
+  store: RefreshTokenStore;
+  issue: (claims: {
+    context: C;
+    subject: string | number;
+    family: string;
+    tenant?: string | null;
+  }) => MaybePromise<{ accessToken: string; refreshToken: string }>;
+  context?: C;
+  ttl?: number;
+  accessMaxAge?: number;
+  policy?: CookiePolicy;
+  tenant?: string | null;
+}
+
+export interface RefreshRotationResult<C extends string = DefaultContext> {
+  context: C;
+  subject: string | number;
+  family: string;
+  accessToken: string;
+  refreshToken: string;
+}
+
+export type RefreshTokenErrorCode =
+  | 'CONTEXT_REQUIRED'
+  | 'REFRESH_TOKEN_MISSING'
+  | 'REFRESH_TOKEN_INVALID'
+  | 'REFRESH_TOKEN_EXPIRED'
+  | 'REFRESH_TOKEN_REVOKED'
+  | 'REFRESH_TOKEN_REUSED';
+
+export const DEFAULT_REFRESH_TTL: number;
+export function createMemoryRefreshTokenStore(): RefreshTokenStore;
+export function startRefreshFamily<C extends string = DefaultContext>(
+  res: CookieResponse,
+  context: NoInfer<C>,
+  options: RefreshRotationOptions<C> & { subject: string | number }
+): Promise<RefreshRotationResult<C>>;
+export function rotateRefreshToken<C extends string = DefaultContext>(
+  req: AuthRequest,
+  res: CookieResponse,
+  options: RefreshRotationOptions<C>
+): Promise<RefreshRotationResult<C>>;
+export function hashRefreshToken(token: string): string;
+
+// ---------------------------------------------------------------------------
+// CSRF, origin enforcement and CORS
+// ---------------------------------------------------------------------------
+
+export interface CsrfOptions<C extends string = DefaultContext> {
+  secret?: string | Buffer;
+  headerName?: string;
+  getToken?: (req: any) => string | null | undefined;
+  registry?: ContextRegistry<C, any>;
+  tenant?: string | null;
+}
+
+export const CSRF_HEADER: string;
+export const CSRF_SAFE_METHODS: readonly string[];
+export function generateCsrfToken(context: string, options?: { secret?: string | Buffer }): string;
+export function issueCsrfToken<C extends string = DefaultContext>(
+  res: CookieResponse,
+  context: NoInfer<C>,
+  options?: CookieWriteOptions<C> & { secret?: string | Buffer }
+): string;
+export function verifyCsrfToken<C extends string = DefaultContext>(
+  req: AuthRequest,
+  context: C | null | undefined,
+  options?: CsrfOptions<C>
+): boolean;
+export function csrfProtection<C extends string = DefaultContext, T extends string = DefaultTokenType>(
+  options?: CsrfOptions<C> & Omit<ExtractTokenOptions<C, T>, 'trace'> & {
+    expectedContext?: C | ((req: any) => C | null | undefined);
+    onReject?: (req: any, res: any, error: AuthRejection<'CSRF_TOKEN_INVALID'>) => unknown;
+  }
+): Middleware<any>;
+
+export type OriginCheckReason =
+  | 'allowed'
+  | 'same-origin'
+  | 'missing-origin-allowed'
+  | 'null-origin'
+  | 'untrusted-origin'
+  | 'context-mismatch'
+  | 'missing-origin';
+
+export interface OriginCheckOptions<C extends string = DefaultContext> {
+  contexts?: readonly C[];
+  allowMissingOrigin?: boolean | ((req: any) => boolean);
+  contextOrigins?: ContextOrigins<C>;
+  registry?: ContextRegistry<C, any>;
+}
+
+export const ORIGIN_CHECKED_METHODS: readonly string[];
+export function checkRequestOrigin<C extends string = DefaultContext>(
+  req: AuthRequest,
+  options?: OriginCheckOptions<C>
+): { trusted: boolean; origin: string | null; reason: OriginCheckReason };
+export function requireTrustedOrigin<C extends string = DefaultContext>(
+  options?: OriginCheckOptions<C> & {
+    methods?: readonly string[];
+    onReject?: (req: any, res: any, error: AuthRejection<'UNTRUSTED_ORIGIN'>) => unknown;
+  }
+): Middleware<any>;
+
+export interface CorsSettings {
+  methods?: readonly string[];
+  allowedHeaders?: readonly string[];
+  exposedHeaders?: readonly string[];
+  credentials?: boolean;
+  maxAge?: number | null;
+}
+
+export interface CorsOptions<C extends string = DefaultContext> extends CorsSettings {
+  contexts?: { [K in C]?: CorsSettings };
+}
+
+export const DEFAULT_CORS_OPTIONS: Readonly<Required<CorsSettings>>;
+export function resolveCorsHeaders<C extends string = DefaultContext>(
+  req: AuthRequest,
+  contextOrigins?: ContextOrigins<C> | ContextRegistry<C, any>,
+  options?: CorsOptions<C>
+): { context: C | null; preflight: boolean; headers: Record<string, string> };
+export function contextCors<C extends string = DefaultContext>(
+  contextOrigins?: ContextOrigins<C> | ContextRegistry<C, any>,
+  options?: CorsOptions<C>
+): Middleware<any>;
+
+// ---------------------------------------------------------------------------
+// Proxies and context assertions
+// ---------------------------------------------------------------------------
+
+export const PROXY_PRESETS: Readonly<Record<'loopback' | 'linklocal' | 'uniquelocal', readonly string[]>>;
+export function createTrustedProxyMatcher(entries: readonly string[]): (address: string | null | undefined) => boolean;
+export function isTrustedProxy(address: string | null | undefined, trustedProxies: TrustedProxies): boolean;
+export function getForwardedOrigin(req: AuthRequest | null | undefined, trustedProxies?: TrustedProxies): string | null;
+export function parseForwardedHeader(header: string | readonly string[] | null | undefined): Array<Record<string, string>>;
+
+export const CONTEXT_ASSERTION_HEADER: string;
+export const DEFAULT_ASSERTION_TTL: number;
+export function signContextAssertion(context: string, options: { secret: string | Buffer; expiresIn?: number }): string;
+export function verifyContextAssertion(
+  assertion: string | null | undefined,
+  options: { secret: string | Buffer | ReadonlyArray<string | Buffer>; clockTolerance?: number }
+): string | null;
+
+// ---------------------------------------------------------------------------
+// Aliases
+// ---------------------------------------------------------------------------
+
+export { extractToken as getAuthToken };
+export { resolveAuthContext as getContext };
+export { extractContextToken as getContextToken };
+export { extractTokenFromAllContexts as getAllContextTokens };
+export { getCookieName as getContextCookieName };
+export { getContextFromType as mapTypeToContext };
+export { isValidContextType as isValidContext };
+export { isOriginAllowedForContext as validateOrigin };
@@ -34,12 +34,52 @@
  * 
  * const token = extractContextToken(req, 'customer', 'access');
  * // Gets: customer_access_token cookie
+ * 
+ * @example
+ * // Custom contexts
+ * import { createContextRegistry, extractToken } from 'multi-context-auth';
+ * 
+ * const registry = createContextRegistry({
+ *   origins: { customer: ['https://app.example.com'], partner: ['https://partner.example.com'] },
+ * });
+ * const { token, context } = extractToken(req, { registry });
+ * 
+ * @example
+ * // Writing cookies
+ * import { setContextCookie, clearContextCookie } from 'multi-context-auth';
+ * 
+ * setContextCookie(res, 'customer', 'access', token, { maxAge: 900 });
+ * clearContextCookie(res, 'customer', 'refresh');
  */
 
 // Export all utilities
 export * from './cookieUtils.js';
 export * from './contextUtils.js';
 export * from './tokenExtractor.js';
+export * from './cookieWriter.js';
+export * from './cookieParser.js';
+export { matchOrigin } from './originMatcher.js';
+export * from './middleware.js';
+export * from './adapters.js';
+export * from './fetchUtils.js';
+export * from './tokenVerifier.js';
+export * from './jwks.js';
+export * from './refreshTokens.js';
+export * from './csrf.js';
+export * from './originGuard.js';
+export * from './cors.js';
+export * from './proxyUtils.js';
+export * from './contextAssertion.js';
+export * from './serviceAuth.js';
+export * from './sessions.js';
+export * from './revocation.js';
+export * from './flowTokens.js';
+export * from './errors.js';
+export {
+  createContextRegistry,
+  isContextRegistry,
+  DEFAULT_CONTEXT_REGISTRY,
+} from './contextRegistry.js';
 
 // Convenience exports with cleaner names
 export { extractToken as getAuthToken } from './tokenExtractor.js';
@@ -0,0 +1,204 @@
+/**
+ * JWKS Key Sets
+ * 
+ * Resolves verification keys from a JSON Web Key Set held in memory,
+ * read from a file, or returned by a user-supplied async fetcher.
+ * Keys are selected by `kid`, cached with a TTL, and refetched on an
+ * unknown `kid` at most once per cooldown period. Failed fetches count
+ * towards the cooldown too, so an unreachable endpoint is not hammered.
+ * 
+ * @module jwks
+ */
+
+import { readFile } from 'node:fs/promises';
+import { TokenVerificationError } from './errors.js';
+import { toKeyObject } from './tokenVerifier.js';
+
+/**
+ * Default cache TTL in seconds
+ * @type {number}
+ */
+const DEFAULT_JWKS_TTL = 600;
+
+/**
+ * Default minimum time between refetches triggered by unknown kids, in seconds
+ * @type {number}
+ */
+const DEFAULT_JWKS_COOLDOWN = 30;
+
+/**
+ * Creates a JWKS key set
+ * 
+ * Exactly one source must be given.
+ * 
+ * While the source fails, the last good key set keeps being served until
+ * its TTL runs out; after that the failure is reported, and retried at
+ * most once per cooldown.
+ * 
+ * @param {Object} options - Key set options
+ * @param {Object} [options.jwks] - In-memory JWKS document ({ keys: [...] })
+ * @param {string} [options.file] - Path to a JWKS JSON file
+ * @param {Function} [options.fetcher] - async () => JWKS document
+ * @param {number} [options.ttl=DEFAULT_JWKS_TTL] - Cache TTL in seconds
+ * @param {number} [options.cooldown=DEFAULT_JWKS_COOLDOWN] - Minimum seconds between unknown-kid refetches
+ * @returns {Object} - { getKey(kid, alg), refresh() }
+ * @throws {Error} - If the options are invalid
+ * 
+ * @example
+ * const adminKeys = createJwksKeySet({
+ *   fetcher: async () => (await fetch('https://auth.example.com/admin/jwks.json')).json(),
+ * });
+ * 
+ * await verifyContextToken(token, 'admin', {
+ *   contexts: { admin: { jwks: adminKeys } },
+ * });
+ */
+export function createJwksKeySet(options = {}) {
+  const {
+    jwks,
+    file,
+    fetcher,
+    ttl = DEFAULT_JWKS_TTL,
+    cooldown = DEFAULT_JWKS_COOLDOWN,
+  } = options;
+
+  const sources = [jwks, file, fetcher].filter(source => source !== undefined);
+  if (sources.length !== 1) {
+    throw new Error('Exactly one of jwks, file or fetcher is required');
+  }
+
+  if (fetcher !== undefined && typeof fetcher !== 'function') {
+    throw new Error('fetcher must be a function');
+  }
+
+  if (file !== undefined && (typeof file !== 'string' || !file)) {
+    throw new Error('file must be a non-empty string');
+  }
+
+  const load = jwks !== undefined
+    ? async () => jwks
+    : file !== undefined
+      ? async () => JSON.parse(await readFile(file, 'utf8'))
+      : fetcher;
+
+  let keys = null;
+  let fetchedAt = 0;
+  let attemptedAt = -Infinity;
+  let lastError = null;
+  let pending = null;
+
+  const refresh = () => {
+    if (!pending) {
+      attemptedAt = Date.now();
+      pending = (async () => {
+        try {
+          keys = parseJwks(await load());
+          fetchedAt = Date.now();
+          lastError = null;
+          return keys;
+        } catch (error) {
+          lastError = error instanceof TokenVerificationError
+            ? error
+            : new TokenVerificationError('JWKS_UNAVAILABLE', `Unable to load JWKS: ${error.message}`);
+          throw lastError;
+        } finally {
+          pending = null;
+        }
+      })();
+    }
+    return pending;
+  };
+
+  const coolingDown = () => Date.now() - attemptedAt < cooldown * 1000;
+
+  const getKey = async (kid, alg) => {
+    if (!keys || Date.now() - fetchedAt >= ttl * 1000) {
+      if (lastError && coolingDown()) {
+        throw lastError;
+      }
+      await refresh();
+    }
+
+    let key = selectKey(keys, kid, alg);
+    if (!key && kid && !coolingDown()) {
+      try {
+        await refresh();
+      } catch {
+        // Keep serving the cached key set until its TTL runs out
+      }
+      key = selectKey(keys, kid, alg);
+    }
+
+    if (!key) {
+      throw new TokenVerificationError(
+        'INVALID_KEY',
+        kid ? `No key found for kid "${kid}"` : 'Token has no kid and the key set is ambiguous'
+      );
+    }
+
+    return key.keyObject;
+  };
+
+  return Object.freeze({
+    getKey,
+    refresh: async () => {
+      await refresh();
+    },
+  });
+}
+
+/**
+ * Parses a JWKS document into signing keys
+ * 
+ * Keys with `use` other than `sig` are skipped. Keys that cannot be
+ * imported are skipped so one bad entry does not break rotation.
+ * 
+ * @private
+ * @param {Object} document - JWKS document
+ * @returns {Object[]} - [{ kid, alg, keyObject }]
+ */
+function parseJwks(document) {
+  if (!document || !Array.isArray(document.keys)) {
+    throw new TokenVerificationError('JWKS_UNAVAILABLE', 'JWKS document must have a keys array');
+  }
+
+  const keys = [];
+  for (const jwk of document.keys) {
+    if (!jwk || typeof jwk !== 'object' || (jwk.use && jwk.use !== 'sig')) continue;
+
+    try {
+      keys.push({
+        kid: jwk.kid ?? null,
+        alg: jwk.alg ?? null,
+        keyObject: toKeyObject(jwk),
+      });
+    } catch {
+      // Unusable key, e.g. an unsupported curve
+    }
+  }
+
+  return keys;
+}
+
+/**
+ * Selects a key by kid and algorithm
+ * 
+ * Without a kid, a key is only selected if it is the single candidate.
+ * 
+ * @private
+ * @param {Object[]} keys - Parsed keys
+ * @param {string} [kid] - Key ID from the token header
+ * @param {string} [alg] - Algorithm from the token header
+ * @returns {Object|undefined} - Matching key
+ */
+function selectKey(keys, kid, alg) {
+  const candidates = keys.filter(key => !key.alg || !alg || key.alg === alg);
+
+  if (kid) {
+    return candidates.find(key => key.kid === kid);
+  }
+
+  return candidates.length === 1 ? candidates[0] : undefined;
+}
+
+export { DEFAULT_JWKS_TTL, DEFAULT_JWKS_COOLDOWN };
@@ -0,0 +1,304 @@
+/**
+ * Express Middleware
+ * 
+ * Ready-made middleware around extractToken/resolveAuthContext that
+ * populates `req.auth` and enforces the expected context.
+ * 
+ * @module middleware
+ */
+
+import { extractToken } from './tokenExtractor.js';
+import { resolveAuthContext, resolveAuthScope } from './contextUtils.js';
+import { SERVICE_CONTEXT } from './contextRegistry.js';
+import { verifyServiceToken } from './serviceAuth.js';
+import { resolveSession } from './sessions.js';
+
+/**
+ * Rejection reasons and their default status codes
+ * @type {Object<string, number>}
+ */
+const AUTH_ERROR_STATUS = Object.freeze({
+  AUTH_REQUIRED: 401,
+  INVALID_TOKEN: 401,
+  CONTEXT_MISMATCH: 403,
+  TOKEN_REVOKED: 401,
+  REVOCATION_UNAVAILABLE: 503,
+});
+
+/**
+ * Default rejection messages
+ * @private
+ */
+const AUTH_ERROR_MESSAGES = Object.freeze({
+  AUTH_REQUIRED: 'Authentication required',
+  INVALID_TOKEN: 'Invalid token',
+  CONTEXT_MISMATCH: 'Token context does not match request context',
+  TOKEN_REVOKED: 'Token has been revoked',
+  REVOCATION_UNAVAILABLE: 'Token revocation status unavailable',
+});
+
+/**
+ * Creates a framework-independent authenticator
+ * 
+ * Performs the checks of contextAuth() and returns the outcome instead
+ * of writing a response, so any framework (or a bare node:http handler)
+ * can act on it.
+ * 
+ * A request is rejected when:
+ * - `required` is true and no token was found (401 AUTH_REQUIRED)
+ * - the token came from another context's cookie (403 CONTEXT_MISMATCH)
+ * - a context is expected and the token came from a generic legacy cookie,
+ *   or is a Bearer token without `verify` (403 CONTEXT_MISMATCH)
+ * - a service token reaches a route expecting a user context, or a user
+ *   token reaches a route expecting 'service' (403 CONTEXT_MISMATCH)
+ * - `verify` throws or returns a falsy value (401 INVALID_TOKEN)
+ * - a service token fails verification against `services` (401 INVALID_TOKEN)
+ * - `revocation` lists the token, after verification (401 TOKEN_REVOKED)
+ * - the revocation backend fails (503 REVOCATION_UNAVAILABLE)
+ * 
+ * With `sessions`, a live `{context}_session_token` session is checked
+ * first and takes precedence over token extraction; `auth.source` is then
+ * 'session' and `auth.payload` the session record (`verify` is not called).
+ * 
+ * @param {Object} [options={}] - Options (see contextAuth; also passed to extractToken)
+ * @returns {Function} - async (req) => { auth, error }, where error is null or { status, code, message }
+ * 
+ * @example
+ * const authenticate = createAuthenticator({ required: true });
+ * 
+ * http.createServer(async (req, res) => {
+ *   const { auth, error } = await authenticate(req);
+ *   if (error) return sendAuthError(req, res, error);
+ *   // auth: { token, source, context, expectedContext, payload }
+ * });
+ */
+export function createAuthenticator(options = {}) {
+  const {
+    required = false,
+    expectedContext,
+    verify,
+    mismatchStatus = AUTH_ERROR_STATUS.CONTEXT_MISMATCH,
+    onReject,
+    services,
+    sessions,
+    revocation,
+    tenantResolver,
+    ...extractOptions
+  } = options;
+
+  if (verify !== undefined && typeof verify !== 'function') {
+    throw new Error('verify must be a function');
+  }
+
+  if (mismatchStatus !== 401 && mismatchStatus !== 403) {
+    throw new Error('mismatchStatus must be 401 or 403');
+  }
+
+  if (sessions !== undefined && typeof sessions?.store?.get !== 'function') {
+    throw new Error('sessions.store must be a session store');
+  }
+
+  if (revocation !== undefined && typeof revocation?.isRevoked !== 'function') {
+    throw new Error('revocation must be a revocation list');
+  }
+
+  const { tenant } = extractOptions;
+  if (tenant !== undefined && tenant !== null && typeof tenant !== 'string') {
+    throw new Error('tenant must be a tenant ID string (resolve it with tenantResolver / resolveAuthScope)');
+  }
+
+  const status = { ...AUTH_ERROR_STATUS, CONTEXT_MISMATCH: mismatchStatus };
+  const toError = (code) => ({
+    status: status[code],
+    code,
+    message: AUTH_ERROR_MESSAGES[code],
+  });
+
+  const checkRevocation = async (auth) => {
+    if (!revocation) {
+      return null;
+    }
+    let revoked;
+    try {
+      revoked = await revocation.isRevoked({
+        token: auth.token,
+        payload: auth.payload,
+        context: auth.context || auth.expectedContext,
+      });
+    } catch {
+      // Fail closed: a token is not accepted while its status is unknown
+      return toError('REVOCATION_UNAVAILABLE');
+    }
+    return revoked ? toError('TOKEN_REVOKED') : null;
+  };
+
+  return async function authenticate(req) {
+    const scope = tenantResolver ? resolveAuthScope(req, { ...extractOptions, tenantResolver }) : null;
+    const expected = typeof expectedContext === 'function'
+      ? expectedContext(req)
+      : (expectedContext ?? (scope ? scope.context : resolveAuthContext(req, extractOptions)));
+    const requestOptions = scope ? { ...extractOptions, tenant: scope.tenant } : extractOptions;
+
+    if (sessions && expected !== SERVICE_CONTEXT) {
+      const { token, source, context, session } = await resolveSession(req, null, {
+        ...requestOptions,
+        ...sessions,
+        context: expected || undefined,
+      });
+      if (session) {
+        const auth = { token, source, context, expectedContext: expected || null, payload: session };
+        if (scope) {
+          auth.tenant = scope.tenant;
+        }
+        return { auth, error: null };
+      }
+    }
+
+    const { token, source, context, conflict } = extractToken(req, {
+      ...requestOptions,
+      context: expected || undefined,
+      service: services ? { header: services.header } : undefined,
+    });
+
+    const auth = {
+      token,
+      source,
+      context,
+      expectedContext: expected || null,
+      payload: null,
+    };
+
+    if (conflict) {
+      auth.conflict = conflict;
+    }
+
+    if (scope) {
+      auth.tenant = scope.tenant;
+    }
+
+    if (!token) {
+      return { auth, error: required ? toError('AUTH_REQUIRED') : null };
+    }
+
+    if (expected && context && context !== expected) {
+      return { auth, error: toError('CONTEXT_MISMATCH') };
+    }
+
+    // A context-less token (generic legacy cookie, or a Bearer token nothing
+    // checks against the context) cannot prove it belongs to the expected one
+    if (expected && !context && (source === 'cookie' || !verify)) {
+      return { auth, error: toError('CONTEXT_MISMATCH') };
+    }
+
+    if (source === 'service') {
+      const { header, ...serviceConfig } = services;
+      try {
+        const verified = await verifyServiceToken(token, serviceConfig);
+        auth.service = verified.service;
+        auth.payload = verified.payload;
+      } catch {
+        return { auth, error: toError('INVALID_TOKEN') };
+      }
+      return { auth, error: await checkRevocation(auth) };
+    }
+
+    if (expected === SERVICE_CONTEXT) {
+      return { auth, error: toError('CONTEXT_MISMATCH') };
+    }
+
+    if (verify) {
+      let payload;
+      try {
+        payload = await verify(token, expected || context);
+      } catch {
+        return { auth, error: toError('INVALID_TOKEN') };
+      }
+
+      if (!payload) {
+        return { auth, error: toError('INVALID_TOKEN') };
+      }
+
+      auth.payload = payload;
+    }
+
+    return { auth, error: await checkRevocation(auth) };
+  };
+}
+
+/**
+ * Creates authentication middleware
+ * 
+ * Attaches `req.auth = { token, source, context, expectedContext, payload }`
+ * (plus `conflict` under strict isolation, `tenant` with tenantResolver) and
+ * calls `next()`, or rejects the request with a JSON error (see
+ * createAuthenticator for the checks).
+ * Unexpected errors (a throwing expectedContext function, an unreachable
+ * session store) are passed to `next(err)`; an unreachable revocation
+ * backend rejects the request with 503 REVOCATION_UNAVAILABLE.
+ * 
+ * @param {Object} [options={}] - Middleware options (also passed to extractToken)
+ * @param {boolean} [options.required=false] - Reject requests without a token
+ * @param {string|Function} [options.expectedContext] - Context or (req) => context (default: resolveAuthContext)
+ * @param {Function} [options.verify] - async (token, context) => payload
+ * @param {number} [options.mismatchStatus=403] - Status for CONTEXT_MISMATCH (401 or 403)
+ * @param {Function} [options.onReject] - (req, res, { status, code, message }) => void
+ * @param {string} [options.tokenType='access'] - Token type to extract
+ * @param {string} [options.isolation='legacy'] - Cookie isolation policy (see extractToken)
+ * @param {Object} [options.registry] - Context registry
+ * @param {Object} [options.services] - Accept service tokens (see verifyServiceToken; plus `header`)
+ * @param {Object} [options.sessions] - Accept server-side sessions (see resolveSession; `store` and timeouts)
+ * @param {Object} [options.revocation] - Revocation list checked after verification (see createRevocationList)
+ * @param {Object} [options.tenantResolver] - Resolve the tenant per request (see resolveAuthScope);
+ *   the tenant namespaces the cookies read and is exposed as `req.auth.tenant`
+ * @returns {Function} - async (req, res, next) => void
+ * 
+ * @example
+ * app.use('/admin', contextAuth({
+ *   required: true,
+ *   expectedContext: 'admin',
+ *   verify: async (token, context) => verifyJwt(token, context),
+ * }));
+ * 
+ * app.get('/admin/me', (req, res) => res.json(req.auth.payload));
+ */
+export function contextAuth(options = {}) {
+  const { onReject = sendAuthError } = options;
+  const authenticate = createAuthenticator(options);
+
+  return async function contextAuthMiddleware(req, res, next) {
+    try {
+      const { auth, error } = await authenticate(req);
+      req.auth = auth;
+
+      if (error) {
+        return onReject(req, res, error);
+      }
+    } catch (err) {
+      // Express 4 does not catch rejected middleware promises
+      return next(err);
+    }
+
+    return next();
+  };
+}
+
+/**
+ * Sends a JSON error response
+ * 
+ * Works with Express (`res.status().json()`) and raw http.ServerResponse.
+ * 
+ * @param {Object} req - Request object
+ * @param {Object} res - Response object
+ * @param {Object} error - { status, code, message }
+ */
+export function sendAuthError(req, res, { status, code, message }) {
+  if (typeof res.status === 'function' && typeof res.json === 'function') {
+    return res.status(status).json({ error: message, code });
+  }
+
+  res.statusCode = status;
+  res.setHeader('Content-Type', 'application/json');
+  res.end(JSON.stringify({ error: message, code }));
+}
+
+export { AUTH_ERROR_STATUS };
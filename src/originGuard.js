@@ -0,0 +1,164 @@
+/**
+ * Trusted Origin Enforcement
+ * 
+ * Rejects state-changing requests whose Origin (or Referer, when Origin
+ * is missing) is not registered for the contexts a route serves.
+ * 
+ * @module originGuard
+ */
+
+import { resolveRegistry } from './contextRegistry.js';
+import {
+  DEFAULT_CONTEXT_ORIGINS,
+  getValidContexts,
+  isOriginAllowedForContext,
+} from './contextUtils.js';
+import { sendAuthError } from './middleware.js';
+
+/**
+ * Methods checked by default
+ * @type {readonly string[]}
+ */
+const ORIGIN_CHECKED_METHODS = Object.freeze(['POST', 'PUT', 'PATCH', 'DELETE']);
+
+/**
+ * Rejection returned for untrusted origins
+ * @private
+ */
+const ORIGIN_ERROR = Object.freeze({
+  status: 403,
+  code: 'UNTRUSTED_ORIGIN',
+  message: 'Untrusted request origin',
+});
+
+/**
+ * Checks whether a request comes from a trusted origin
+ * 
+ * Decision order:
+ * 1. `Sec-Fetch-Site: same-origin` is trusted
+ * 2. `Origin: null` (sandboxed frames, some redirects) is rejected
+ * 3. Origin, or the origin of Referer, must be registered for one of
+ *    `contexts`, and for the authenticated context when `req.auth` is set
+ * 4. Without Origin and Referer, browsers (which send Sec-Fetch-Site)
+ *    are rejected and other callers need `allowMissingOrigin`
+ * 
+ * @param {Object} req - Request object
+ * @param {Object} [options={}] - Options
+ * @param {string[]} [options.contexts] - Contexts the route serves (default: all registered)
+ * @param {boolean|Function} [options.allowMissingOrigin=false] - Allow callers without Origin/Referer, or (req) => boolean
+ * @param {Object<string, string[]|string>} [options.contextOrigins] - Custom context origins mapping
+ * @param {Object} [options.registry] - Context registry
+ * @returns {Object} - { trusted: boolean, origin: string|null, reason: string }
+ * 
+ * @example
+ * checkRequestOrigin(req, { contexts: ['vendor'] });
+ * // Returns: { trusted: true, origin: 'https://vendor.example.com', reason: 'allowed' }
+ */
+export function checkRequestOrigin(req, options = {}) {
+  const { allowMissingOrigin = false } = options;
+  const contextOrigins = options.contextOrigins
+    ?? (options.registry ? resolveRegistry(options.registry) : DEFAULT_CONTEXT_ORIGINS);
+  const contexts = options.contexts ?? getValidContexts(contextOrigins);
+  const result = (trusted, origin, reason) => ({ trusted, origin, reason });
+
+  const headers = req?.headers ?? {};
+  const fetchSite = headers['sec-fetch-site'];
+
+  if (fetchSite === 'same-origin') {
+    return result(true, headers.origin ?? null, 'same-origin');
+  }
+
+  if (headers.origin === 'null') {
+    return result(false, 'null', 'null-origin');
+  }
+
+  const origin = headers.origin || getRefererOrigin(headers.referer || headers.referrer);
+
+  if (!origin) {
+    if (fetchSite) {
+      return result(false, null, 'missing-origin');
+    }
+
+    const allowed = typeof allowMissingOrigin === 'function'
+      ? allowMissingOrigin(req) === true
+      : allowMissingOrigin === true;
+    return result(allowed, null, allowed ? 'missing-origin-allowed' : 'missing-origin');
+  }
+
+  if (!contexts.some(context => isOriginAllowedForContext(origin, context, contextOrigins))) {
+    return result(false, origin, 'untrusted-origin');
+  }
+
+  const authContext = req.auth?.expectedContext || req.auth?.context;
+  if (authContext && !isOriginAllowedForContext(origin, authContext, contextOrigins)) {
+    return result(false, origin, 'context-mismatch');
+  }
+
+  return result(true, origin, 'allowed');
+}
+
+/**
+ * Creates middleware rejecting state-changing requests from untrusted origins
+ * 
+ * Checks POST, PUT, PATCH and DELETE by default (see checkRequestOrigin).
+ * Place after contextAuth() to also bind the origin to the authenticated
+ * context.
+ * 
+ * @param {Object} [options={}] - Options (see checkRequestOrigin)
+ * @param {string[]} [options.methods=['POST', 'PUT', 'PATCH', 'DELETE']] - Methods to check
+ * @param {Function} [options.onReject] - (req, res, { status, code, message }) => void
+ * @returns {Function} - (req, res, next) => void
+ * 
+ * @example
+ * app.use('/vendor', requireTrustedOrigin({ contexts: ['vendor'] }));
+ * 
+ * // Allow a cron job without Origin
+ * requireTrustedOrigin({
+ *   contexts: ['admin'],
+ *   allowMissingOrigin: (req) => req.auth?.source === 'header',
+ * });
+ */
+export function requireTrustedOrigin(options = {}) {
+  const {
+    methods = ORIGIN_CHECKED_METHODS,
+    onReject = sendAuthError,
+    ...checkOptions
+  } = options;
+
+  const checked = methods.map(method => method.toUpperCase());
+
+  return function trustedOriginMiddleware(req, res, next) {
+    const method = String(req.method || 'GET').toUpperCase();
+    if (!checked.includes(method)) {
+      return next();
+    }
+
+    if (!checkRequestOrigin(req, checkOptions).trusted) {
+      return onReject(req, res, { ...ORIGIN_ERROR });
+    }
+
+    return next();
+  };
+}
+
+/**
+ * Extracts the origin of a Referer URL
+ * 
+ * @private
+ * @param {string} [referer] - Referer header
+ * @returns {string|null} - Origin or null
+ */
+function getRefererOrigin(referer) {
+  if (!referer) {
+    return null;
+  }
+
+  try {
+    const { origin } = new URL(referer);
+    return origin === 'null' ? null : origin;
+  } catch {
+    return null;
+  }
+}
+
+export { ORIGIN_CHECKED_METHODS };
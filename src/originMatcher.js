@@ -0,0 +1,145 @@
+/**
+ * Origin Matching
+ * 
+ * Matches request origins against contextOrigins entries:
+ * - Exact origins: 'https://vendor.example.com'
+ * - Wildcard subdomains: 'https://*.vendor.example.com'
+ * - Wildcard ports: 'http://localhost:*'
+ * - RegExp, tested against the serialized origin
+ * - Predicate functions: (origin) => boolean
+ * 
+ * Matching is done on the parsed origin, so scheme and port always
+ * have to agree and lookalike hosts such as
+ * `vendor.example.com.evil.com` never match.
+ * 
+ * @module originMatcher
+ */
+
+/**
+ * Wildcard pattern: scheme://host[:port]
+ * @private
+ */
+const WILDCARD_PATTERN = /^([a-z][a-z0-9+.-]*):\/\/([^/:?#]+)(?::(\d+|\*))?$/i;
+
+/**
+ * Single DNS label matched by `*`
+ * @private
+ */
+const LABEL_PATTERN = /^[a-z0-9](?:[a-z0-9-]*[a-z0-9])?$/;
+
+/**
+ * Default ports omitted by URL serialization
+ * @private
+ */
+const DEFAULT_PORTS = Object.freeze({ 'http:': '80', 'https:': '443' });
+
+/**
+ * Checks if an origin matches a contextOrigins entry
+ * 
+ * In wildcard patterns `*` matches exactly one DNS label and is only
+ * allowed as the leftmost label; `:*` matches any port.
+ * 
+ * @param {string} origin - Request origin or URL
+ * @param {string|RegExp|Function} pattern - Origin entry
+ * @returns {boolean} - True if the origin matches
+ * 
+ * @example
+ * matchOrigin('https://acme.vendor.example.com', 'https://*.vendor.example.com'); // true
+ * matchOrigin('https://vendor.example.com.evil.com', 'https://*.vendor.example.com'); // false
+ * matchOrigin('https://pr-123.preview.example.com', /^https:\/\/pr-\d+\.preview\.example\.com$/); // true
+ */
+export function matchOrigin(origin, pattern) {
+  const url = parseOrigin(origin);
+  if (!url) return false;
+
+  if (typeof pattern === 'function') {
+    try {
+      return pattern(url.origin) === true;
+    } catch {
+      return false;
+    }
+  }
+
+  if (pattern instanceof RegExp) {
+    pattern.lastIndex = 0;
+    return pattern.test(url.origin);
+  }
+
+  if (typeof pattern !== 'string') {
+    return false;
+  }
+
+  if (!pattern.includes('*')) {
+    const expected = parseOrigin(pattern);
+    return Boolean(expected) && expected.origin === url.origin;
+  }
+
+  return matchWildcard(url, pattern);
+}
+
+/**
+ * Checks if a value can be used as a contextOrigins entry
+ * 
+ * @param {*} pattern - Value to check
+ * @returns {boolean} - True for strings, RegExps and functions
+ */
+export function isOriginPattern(pattern) {
+  return (
+    (typeof pattern === 'string' && pattern.length > 0) ||
+    pattern instanceof RegExp ||
+    typeof pattern === 'function'
+  );
+}
+
+/**
+ * Matches a parsed URL against a wildcard pattern
+ * 
+ * @private
+ * @param {URL} url - Parsed request URL
+ * @param {string} pattern - Wildcard pattern
+ * @returns {boolean} - True if the URL matches
+ */
+function matchWildcard(url, pattern) {
+  const match = WILDCARD_PATTERN.exec(pattern);
+  if (!match) return false;
+
+  const [, scheme, hostPattern, portPattern] = match;
+  const protocol = `${scheme.toLowerCase()}:`;
+
+  if (url.protocol !== protocol) return false;
+
+  if (portPattern !== '*') {
+    const expectedPort = portPattern === DEFAULT_PORTS[protocol] ? '' : (portPattern ?? '');
+    if (url.port !== expectedPort) return false;
+  }
+
+  const patternLabels = hostPattern.toLowerCase().split('.');
+  const hostLabels = url.hostname.split('.');
+
+  if (patternLabels.length !== hostLabels.length) return false;
+
+  return patternLabels.every((label, index) => {
+    if (label === '*') {
+      return index === 0 && LABEL_PATTERN.test(hostLabels[index]);
+    }
+    return label === hostLabels[index];
+  });
+}
+
+/**
+ * Parses an origin or URL
+ * 
+ * @private
+ * @param {string} value - Origin or URL
+ * @returns {URL|null} - Parsed URL, or null for invalid or opaque origins
+ */
+function parseOrigin(value) {
+  if (!value || typeof value !== 'string') return null;
+
+  try {
+    const url = new URL(value);
+    return url.origin === 'null' ? null : url;
+  } catch {
+    return null;
+  }
+}
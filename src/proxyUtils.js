@@ -0,0 +1,276 @@
+/**
+ * Trusted Proxy Utilities
+ * 
+ * Reads the browser-facing host from RFC 7239 `Forwarded` or
+ * `X-Forwarded-Host` / `X-Forwarded-Proto`, but only when the immediate
+ * peer is a trusted proxy. Clients connecting directly cannot spoof
+ * these headers.
+ * 
+ * @module proxyUtils
+ */
+
+import { BlockList, isIP } from 'node:net';
+
+/**
+ * Named address ranges usable in a trusted proxy list
+ * @type {Object<string, readonly string[]>}
+ */
+const PROXY_PRESETS = Object.freeze({
+  loopback: Object.freeze(['127.0.0.0/8', '::1/128']),
+  linklocal: Object.freeze(['169.254.0.0/16', 'fe80::/10']),
+  uniquelocal: Object.freeze(['10.0.0.0/8', '172.16.0.0/12', '192.168.0.0/16', 'fc00::/7']),
+});
+
+/**
+ * Host with optional port (no userinfo, path or other URL parts)
+ * @private
+ */
+const HOST_PATTERN = /^(?:[A-Za-z0-9-]+(?:\.[A-Za-z0-9-]+)*|\[[0-9A-Fa-f:.]+\])(?::\d{1,5})?$/;
+
+/**
+ * Compiled matchers per trusted proxy list
+ * @private
+ */
+const matcherCache = new WeakMap();
+
+/**
+ * Compiles a trusted proxy list
+ * 
+ * Entries are IP addresses, CIDR ranges or the presets `loopback`,
+ * `linklocal` and `uniquelocal`.
+ * 
+ * @param {string[]} entries - Trusted proxies
+ * @returns {Function} - (address) => boolean
+ * @throws {Error} - If an entry is not a valid address, range or preset
+ * 
+ * @example
+ * const isTrusted = createTrustedProxyMatcher(['loopback', '10.0.0.0/8']);
+ * isTrusted('10.1.2.3'); // Returns: true
+ */
+export function createTrustedProxyMatcher(entries) {
+  if (!Array.isArray(entries)) {
+    throw new Error('Trusted proxies must be an array');
+  }
+
+  const list = new BlockList();
+  const expanded = entries.flatMap(entry => PROXY_PRESETS[entry] ?? [entry]);
+
+  for (const entry of expanded) {
+    if (typeof entry !== 'string') {
+      throw new Error(`Invalid trusted proxy: ${entry}`);
+    }
+
+    const [address, bits, ...rest] = entry.split('/');
+    const family = isIP(address);
+    const type = family === 6 ? 'ipv6' : 'ipv4';
+    const prefix = bits === undefined ? (family === 6 ? 128 : 32) : Number(bits);
+
+    if (!family || rest.length || !Number.isInteger(prefix) || prefix < 0 || prefix > (family === 6 ? 128 : 32)) {
+      throw new Error(`Invalid trusted proxy: ${entry}`);
+    }
+
+    list.addSubnet(address, prefix, type);
+  }
+
+  return (address) => {
+    const family = typeof address === 'string' ? isIP(address) : 0;
+    return family !== 0 && list.check(address, family === 6 ? 'ipv6' : 'ipv4');
+  };
+}
+
+/**
+ * Checks if an address is a trusted proxy
+ * 
+ * @param {string} address - Peer IP address
+ * @param {string[]|Function} trustedProxies - Trusted proxy list or (address) => boolean
+ * @returns {boolean} - True if trusted
+ */
+export function isTrustedProxy(address, trustedProxies) {
+  return toMatcher(trustedProxies)(address);
+}
+
+/**
+ * Gets the browser-facing origin reported by a trusted proxy
+ * 
+ * Returns null unless the socket peer is trusted. `Forwarded` takes
+ * precedence over `X-Forwarded-Host`. In a `Forwarded` chain the element
+ * written by the outermost trusted proxy is used; `X-Forwarded-Host` and
+ * `X-Forwarded-Proto` use their last value, i.e. the one the peer set.
+ * 
+ * @param {Object} req - Request object with `socket.remoteAddress`
+ * @param {string[]|Function} trustedProxies - Trusted proxy list or (address) => boolean
+ * @returns {string|null} - Origin such as 'https://vendor.example.com', or null
+ * 
+ * @example
+ * // Peer 10.0.0.5, Forwarded: for=203.0.113.7;proto=https;host=vendor.example.com
+ * getForwardedOrigin(req, ['10.0.0.0/8']);
+ * // Returns: 'https://vendor.example.com'
+ */
+export function getForwardedOrigin(req, trustedProxies) {
+  if (!trustedProxies) {
+    return null;
+  }
+
+  const isTrusted = toMatcher(trustedProxies);
+  const peer = req?.socket?.remoteAddress ?? req?.connection?.remoteAddress;
+  if (!isTrusted(peer)) {
+    return null;
+  }
+
+  const headers = req.headers ?? {};
+  let host = null;
+  let proto = null;
+
+  const forwarded = parseForwardedHeader(headers.forwarded);
+  if (forwarded.length) {
+    // Each element's `for` is the client of the proxy that wrote it
+    let index = forwarded.length - 1;
+    while (index > 0 && isTrusted(stripPort(forwarded[index].for))) {
+      index -= 1;
+    }
+    ({ host = null, proto = null } = forwarded[index]);
+  } else {
+    host = lastValue(headers['x-forwarded-host']);
+    proto = lastValue(headers['x-forwarded-proto']);
+  }
+
+  if (!host) {
+    return null;
+  }
+
+  const scheme = String(proto || 'https').toLowerCase();
+  if (scheme !== 'http' && scheme !== 'https') {
+    return null;
+  }
+
+  if (!HOST_PATTERN.test(host)) {
+    return null;
+  }
+
+  try {
+    return new URL(`${scheme}://${host}`).origin;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Parses an RFC 7239 Forwarded header
+ * 
+ * @param {string|string[]} [header] - Forwarded header value(s)
+ * @returns {Object[]} - One object per element, e.g. { for, proto, host, by }
+ * 
+ * @example
+ * parseForwardedHeader('for=192.0.2.60;proto=http;host=example.com, for="[2001:db8::1]"');
+ * // Returns: [{ for: '192.0.2.60', proto: 'http', host: 'example.com' }, { for: '[2001:db8::1]' }]
+ */
+export function parseForwardedHeader(header) {
+  const value = Array.isArray(header) ? header.join(',') : header;
+  if (!value || typeof value !== 'string') {
+    return [];
+  }
+
+  return splitOutsideQuotes(value, ',').map((element) => {
+    const params = {};
+    for (const pair of splitOutsideQuotes(element, ';')) {
+      const separator = pair.indexOf('=');
+      if (separator <= 0) continue;
+
+      const name = pair.slice(0, separator).trim().toLowerCase();
+      let paramValue = pair.slice(separator + 1).trim();
+      if (paramValue.length >= 2 && paramValue.startsWith('"') && paramValue.endsWith('"')) {
+        paramValue = paramValue.slice(1, -1).replace(/\\(.)/g, '$1');
+      }
+
+      if (!(name in params)) {
+        params[name] = paramValue;
+      }
+    }
+    return params;
+  });
+}
+
+/**
+ * Resolves a trusted proxy list or function to a matcher
+ * 
+ * @private
+ * @param {string[]|Function} trustedProxies - Trusted proxies
+ * @returns {Function} - (address) => boolean
+ */
+function toMatcher(trustedProxies) {
+  if (typeof trustedProxies === 'function') {
+    return (address) => Boolean(address) && trustedProxies(address) === true;
+  }
+
+  let matcher = matcherCache.get(trustedProxies);
+  if (!matcher) {
+    matcher = createTrustedProxyMatcher(trustedProxies);
+    matcherCache.set(trustedProxies, matcher);
+  }
+  return matcher;
+}
+
+/**
+ * Splits a header value on a delimiter, ignoring delimiters inside quotes
+ * 
+ * @private
+ * @param {string} value - Header value
+ * @param {string} delimiter - Delimiter character
+ * @returns {string[]} - Trimmed, non-empty parts
+ */
+function splitOutsideQuotes(value, delimiter) {
+  const parts = [];
+  let current = '';
+  let quoted = false;
+
+  for (let i = 0; i < value.length; i++) {
+    const char = value[i];
+    if (char === '\\' && quoted) {
+      current += char + (value[i + 1] ?? '');
+      i += 1;
+      continue;
+    }
+    if (char === '"') quoted = !quoted;
+    if (char === delimiter && !quoted) {
+      parts.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  parts.push(current);
+
+  return parts.map(part => part.trim()).filter(Boolean);
+}
+
+/**
+ * Removes brackets and port from a Forwarded `for` value
+ * 
+ * @private
+ * @param {string} [node] - Node identifier, e.g. '192.0.2.60:4711' or '[2001:db8::1]:80'
+ * @returns {string|undefined} - Bare IP address
+ */
+function stripPort(node) {
+  if (!node) return undefined;
+  if (node.startsWith('[')) return node.slice(1, node.indexOf(']'));
+  return isIP(node) ? node : node.split(':')[0];
+}
+
+/**
+ * Gets the last value of a comma-separated header
+ * 
+ * @private
+ * @param {string|string[]} [header] - Header value(s)
+ * @returns {string|null} - Last value or null
+ */
+function lastValue(header) {
+  const value = Array.isArray(header) ? header.join(',') : header;
+  if (!value || typeof value !== 'string') {
+    return null;
+  }
+
+  const values = value.split(',').map(part => part.trim()).filter(Boolean);
+  return values.length ? values[values.length - 1] : null;
+}
+
+export { PROXY_PRESETS };
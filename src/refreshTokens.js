@@ -0,0 +1,279 @@
+/**
+ * Refresh Token Rotation
+ * 
+ * Rotates the context's refresh cookie on every use and detects reuse:
+ * presenting a refresh token that was already rotated revokes its whole
+ * token family, so a stolen token stops working for both parties.
+ * 
+ * Tokens are stored by SHA-256 hash, never in plain text.
+ * 
+ * @module refreshTokens
+ */
+
+import { createHash, randomUUID } from 'node:crypto';
+import { resolveAuthContext } from './contextUtils.js';
+import { extractContextToken } from './cookieUtils.js';
+import { setContextCookie, clearContextCookie } from './cookieWriter.js';
+import { AuthError } from './errors.js';
+
+/**
+ * Default refresh token lifetime in seconds (30 days)
+ * @type {number}
+ */
+const DEFAULT_REFRESH_TTL = 30 * 24 * 60 * 60;
+
+/**
+ * Refresh token store interface
+ * 
+ * Implementations for Redis or SQL keep one record per token hash.
+ * All methods may be async.
+ * 
+ * - `get(id)` - Returns the record or null
+ * - `create(id, record)` - Stores a new record
+ * - `markRotated(id)` - Sets `rotatedAt` if it is unset and returns true,
+ *   returns false if the token was already rotated. Must be atomic
+ *   (e.g. `UPDATE ... WHERE rotated_at IS NULL`, Redis `HSETNX`), as it
+ *   decides which of two concurrent requests wins.
+ * - `revokeFamily(family)` - Marks every record of the family revoked
+ * 
+ * A record is `{ family, context, subject, expiresAt, rotatedAt, revoked }`
+ * with `expiresAt` and `rotatedAt` in milliseconds since the epoch.
+ * Records may be deleted once expired.
+ * 
+ * @typedef {Object} RefreshTokenStore
+ */
+
+/**
+ * Creates an in-memory refresh token store
+ * 
+ * Suitable for tests and single-process deployments. Expired records
+ * are pruned on write.
+ * 
+ * @returns {RefreshTokenStore} - Store
+ * 
+ * @example
+ * const store = createMemoryRefreshTokenStore();
+ */
+export function createMemoryRefreshTokenStore() {
+  const records = new Map();
+
+  const prune = () => {
+    const now = Date.now();
+    for (const [id, record] of records) {
+      if (record.expiresAt <= now) {
+        records.delete(id);
+      }
+    }
+  };
+
+  return {
+    get: async (id) => {
+      const record = records.get(id);
+      return record ? { ...record } : null;
+    },
+    create: async (id, record) => {
+      prune();
+      records.set(id, { ...record });
+    },
+    markRotated: async (id) => {
+      const record = records.get(id);
+      if (!record || record.rotatedAt) {
+        return false;
+      }
+      record.rotatedAt = Date.now();
+      return true;
+    },
+    revokeFamily: async (family) => {
+      for (const record of records.values()) {
+        if (record.family === family) {
+          record.revoked = true;
+        }
+      }
+    },
+  };
+}
+
+/**
+ * Issues the first token pair of a new family (e.g. at login)
+ * 
+ * @param {Object} res - Express response or http.ServerResponse
+ * @param {string} context - Context (customer/vendor/admin)
+ * @param {Object} options - Options (see rotateRefreshToken)
+ * @param {string} options.subject - User the tokens belong to
+ * @returns {Promise<Object>} - { context, subject, family, accessToken, refreshToken }
+ * 
+ * @example
+ * app.post('/auth/login', async (req, res) => {
+ *   const user = await login(req.body);
+ *   await startRefreshFamily(res, 'customer', { store, issue, subject: user.id });
+ *   res.sendStatus(204);
+ * });
+ */
+export async function startRefreshFamily(res, context, options = {}) {
+  const { store, issue, subject } = options;
+  assertRotationOptions(store, issue);
+
+  if (!context) {
+    throw new Error('Context is required');
+  }
+
+  if (subject === undefined || subject === null) {
+    throw new Error('Subject is required');
+  }
+
+  return issuePair(res, { family: randomUUID(), context, subject }, options);
+}
+
+/**
+ * Rotates the context's refresh token
+ * 
+ * Reads the `{context}_refresh_token` cookie, checks it against the
+ * store, issues a new pair through `issue` and writes both cookies.
+ * 
+ * A token that was already rotated (or loses a concurrent rotation)
+ * revokes its family. On every rejection except a missing cookie the
+ * context's access and refresh cookies are cleared.
+ * 
+ * @param {Object} req - Request object
+ * @param {Object} res - Express response or http.ServerResponse
+ * @param {Object} options - Options
+ * @param {RefreshTokenStore} options.store - Token store
+ * @param {Function} options.issue - async ({ context, subject, family, tenant }) => { accessToken, refreshToken }
+ * @param {string} [options.context] - Context (default: resolveAuthContext)
+ * @param {number} [options.ttl=2592000] - Refresh token lifetime in seconds
+ * @param {number} [options.accessMaxAge] - Max-Age of the access cookie in seconds
+ * @param {Object} [options.policy] - Cookie policy
+ * @param {Object} [options.registry] - Context registry
+ * @param {string} [options.tenant] - Tenant namespace for cookie names
+ * @returns {Promise<Object>} - { context, subject, family, accessToken, refreshToken }
+ * @throws {AuthError} - CONTEXT_REQUIRED, REFRESH_TOKEN_MISSING, REFRESH_TOKEN_INVALID,
+ *   REFRESH_TOKEN_EXPIRED, REFRESH_TOKEN_REVOKED, REFRESH_TOKEN_REUSED
+ * 
+ * @example
+ * app.post('/auth/refresh', async (req, res) => {
+ *   try {
+ *     await rotateRefreshToken(req, res, { store, issue });
+ *     res.sendStatus(204);
+ *   } catch (error) {
+ *     res.status(401).json({ error: error.message, code: error.code });
+ *   }
+ * });
+ */
+export async function rotateRefreshToken(req, res, options = {}) {
+  const { store, registry, tenant } = options;
+  assertRotationOptions(store, options.issue);
+
+  const context = options.context ?? resolveAuthContext(req, options);
+  if (!context) {
+    throw new AuthError('CONTEXT_REQUIRED', 'Could not resolve the request context');
+  }
+
+  const token = extractContextToken(req, context, 'refresh', { registry, tenant });
+  if (!token) {
+    throw new AuthError('REFRESH_TOKEN_MISSING', 'Refresh token is missing');
+  }
+
+  const id = hashRefreshToken(token);
+  const record = await store.get(id);
+  const reject = (code, message) => {
+    clearContextCookie(res, context, 'access', cookieOptions(options));
+    clearContextCookie(res, context, 'refresh', cookieOptions(options));
+    return new AuthError(code, message);
+  };
+
+  if (!record || record.context !== context) {
+    throw reject('REFRESH_TOKEN_INVALID', 'Refresh token is invalid');
+  }
+
+  if (record.revoked) {
+    throw reject('REFRESH_TOKEN_REVOKED', 'Refresh token has been revoked');
+  }
+
+  if (!record.rotatedAt && record.expiresAt <= Date.now()) {
+    throw reject('REFRESH_TOKEN_EXPIRED', 'Refresh token has expired');
+  }
+
+  if (record.rotatedAt || !(await store.markRotated(id))) {
+    await store.revokeFamily(record.family);
+    throw reject('REFRESH_TOKEN_REUSED', 'Refresh token was already used');
+  }
+
+  return issuePair(res, record, options);
+}
+
+/**
+ * Hashes a refresh token for use as a store key
+ * 
+ * @param {string} token - Refresh token
+ * @returns {string} - Base64url SHA-256 digest
+ */
+export function hashRefreshToken(token) {
+  return createHash('sha256').update(token).digest('base64url');
+}
+
+/**
+ * Issues a token pair, stores the refresh token and writes both cookies
+ * 
+ * @private
+ * @param {Object} res - Response object
+ * @param {Object} family - { family, context, subject }
+ * @param {Object} options - Rotation options
+ * @returns {Promise<Object>} - { context, subject, family, accessToken, refreshToken }
+ */
+async function issuePair(res, { family, context, subject }, options) {
+  const { store, issue, tenant, ttl = DEFAULT_REFRESH_TTL, accessMaxAge } = options;
+
+  const { accessToken, refreshToken } = await issue({ context, subject, family, tenant }) ?? {};
+  if (typeof accessToken !== 'string' || typeof refreshToken !== 'string' || !refreshToken) {
+    throw new Error('issue() must return { accessToken, refreshToken } strings');
+  }
+
+  await store.create(hashRefreshToken(refreshToken), {
+    family,
+    context,
+    subject,
+    expiresAt: Date.now() + ttl * 1000,
+    rotatedAt: null,
+    revoked: false,
+  });
+
+  const cookie = cookieOptions(options);
+  setContextCookie(res, context, 'access', accessToken, {
+    ...cookie,
+    ...(accessMaxAge !== undefined && { maxAge: accessMaxAge }),
+  });
+  setContextCookie(res, context, 'refresh', refreshToken, { ...cookie, maxAge: ttl });
+
+  return { context, subject, family, accessToken, refreshToken };
+}
+
+/**
+ * Picks the cookie writer options from rotation options
+ * 
+ * @private
+ * @param {Object} options - Rotation options
+ * @returns {Object} - { policy, registry, tenant }
+ */
+function cookieOptions({ policy, registry, tenant }) {
+  return { policy, registry, tenant };
+}
+
+/**
+ * Validates store and issue options
+ * 
+ * @private
+ * @param {Object} store - Token store
+ * @param {Function} issue - Token issuer
+ */
+function assertRotationOptions(store, issue) {
+  const methods = ['get', 'create', 'markRotated', 'revokeFamily'];
+  if (!store || methods.some(method => typeof store[method] !== 'function')) {
+    throw new Error(`store must implement ${methods.join(', ')}`);
+  }
+
+  if (typeof issue !== 'function') {
+    throw new Error('issue must be a function');
+  }
+}
+
+export { DEFAULT_REFRESH_TTL };
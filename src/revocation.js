@@ -0,0 +1,323 @@
+/**
+ * Token Revocation
+ * 
+ * Denylist for tokens that must stop working before they expire (logout,
+ * offboarding). Entries match a token's `jti` or its fingerprint, either
+ * in one context or in all of them, and a per-context cutoff revokes
+ * every token issued before a timestamp.
+ * 
+ * Lookups go through a bounded in-memory cache in front of a pluggable
+ * async backend shared by all instances.
+ * 
+ * @module revocation
+ */
+
+import { createHash } from 'node:crypto';
+import { resolveRegistry } from './contextRegistry.js';
+import { decodeToken } from './tokenVerifier.js';
+
+/**
+ * Default cache settings
+ * 
+ * - cacheSize: entries kept in memory (least recently used evicted first)
+ * - cacheTtl: seconds a lookup is trusted before asking the backend again
+ * @type {Object}
+ */
+const DEFAULT_REVOCATION_CACHE = Object.freeze({
+  cacheSize: 1000,
+  cacheTtl: 30,
+});
+
+/**
+ * Scope of entries that apply to every context
+ * @private
+ */
+const ALL_CONTEXTS = '*';
+
+/**
+ * Revocation backend interface
+ * 
+ * Implementations for Redis or SQL are shared by all instances.
+ * All methods may be async.
+ * 
+ * - `has(key)` - Returns true if the key is revoked
+ * - `add(key, expiresAt)` - Revokes the key; `expiresAt` (milliseconds
+ *   since the epoch, or null) is when the entry may be dropped
+ * - `getCutoff(context)` - Returns the revoke-before timestamp of the
+ *   context in milliseconds, or null
+ * - `setCutoff(context, timestamp)` - Sets the revoke-before timestamp
+ * 
+ * @typedef {Object} RevocationBackend
+ */
+
+/**
+ * Creates an in-memory revocation backend
+ * 
+ * Suitable for tests and single-process deployments. Expired entries
+ * are pruned on write.
+ * 
+ * @returns {RevocationBackend} - Backend
+ * 
+ * @example
+ * const backend = createMemoryRevocationBackend();
+ */
+export function createMemoryRevocationBackend() {
+  const entries = new Map();
+  const cutoffs = new Map();
+
+  const prune = () => {
+    const now = Date.now();
+    for (const [key, expiresAt] of entries) {
+      if (expiresAt !== null && expiresAt <= now) {
+        entries.delete(key);
+      }
+    }
+  };
+
+  return {
+    has: async (key) => {
+      const expiresAt = entries.get(key);
+      return expiresAt !== undefined && (expiresAt === null || expiresAt > Date.now());
+    },
+    add: async (key, expiresAt) => {
+      prune();
+      entries.set(key, expiresAt ?? null);
+    },
+    getCutoff: async (context) => cutoffs.get(context) ?? null,
+    setCutoff: async (context, timestamp) => {
+      cutoffs.set(context, timestamp);
+    },
+  };
+}
+
+/**
+ * Creates a revocation list
+ * 
+ * Positive and negative lookups are cached for `cacheTtl` seconds, so a
+ * revocation made on another instance takes effect within that delay.
+ * Revocations made through this list take effect immediately.
+ * 
+ * A token checked without a context is scoped by its context claim. If
+ * it has none, the entries and cutoffs of every registry context apply.
+ * 
+ * @param {Object} [options={}] - Options
+ * @param {RevocationBackend} [options.backend] - Backend (default: in-memory)
+ * @param {number} [options.cacheSize=1000] - Maximum cached lookups
+ * @param {number} [options.cacheTtl=30] - Cache lifetime in seconds (0 disables the cache)
+ * @param {string} [options.contextClaim='type'] - Claim carrying the token context
+ * @param {Object} [options.registry] - Context registry (contexts checked for context-less tokens)
+ * @returns {Object} - { revoke, revokeBefore, isRevoked }
+ * 
+ * @example
+ * const revocation = createRevocationList({ backend: redisBackend });
+ * 
+ * // Logout: revoke the presented access token
+ * await revocation.revoke({ jti: req.auth.payload.jti, context: 'customer' });
+ * 
+ * // Offboarding: revoke every vendor token issued until now
+ * await revocation.revokeBefore('vendor', Date.now());
+ * 
+ * app.use(contextAuth({ verify, revocation }));
+ */
+export function createRevocationList(options = {}) {
+  const {
+    backend = createMemoryRevocationBackend(),
+    cacheSize = DEFAULT_REVOCATION_CACHE.cacheSize,
+    cacheTtl = DEFAULT_REVOCATION_CACHE.cacheTtl,
+    contextClaim = 'type',
+    registry,
+  } = options;
+
+  const methods = ['has', 'add', 'getCutoff', 'setCutoff'];
+  if (!backend || methods.some(method => typeof backend[method] !== 'function')) {
+    throw new Error(`backend must implement ${methods.join(', ')}`);
+  }
+
+  if (!Number.isInteger(cacheSize) || cacheSize < 1) {
+    throw new Error('cacheSize must be a positive integer');
+  }
+
+  if (!Number.isFinite(cacheTtl) || cacheTtl < 0) {
+    throw new Error('cacheTtl must be a non-negative number of seconds');
+  }
+
+  // Map iteration order doubles as recency order (oldest first)
+  const cache = new Map();
+
+  const remember = (key, value) => {
+    cache.delete(key);
+    cache.set(key, { value, until: Date.now() + cacheTtl * 1000 });
+    while (cache.size > cacheSize) {
+      cache.delete(cache.keys().next().value);
+    }
+    return value;
+  };
+
+  const lookup = async (key, load) => {
+    const cached = cache.get(key);
+    if (cached && cached.until > Date.now()) {
+      cache.delete(key);
+      cache.set(key, cached);
+      return cached.value;
+    }
+    return remember(key, await load());
+  };
+
+  return {
+    /**
+     * Revokes a token by `jti`, by token or by fingerprint
+     * 
+     * @param {Object} entry - { jti?, token?, fingerprint?, context?, expiresAt? }
+     *   (no context: all contexts; expiresAt in ms, default: the token's `exp`)
+     * @returns {Promise<void>}
+     */
+    async revoke(entry = {}) {
+      const { jti, token, context = ALL_CONTEXTS } = entry;
+      const fingerprint = entry.fingerprint ?? (token ? tokenFingerprint(token) : undefined);
+
+      if (!jti && !fingerprint) {
+        throw new Error('jti, token or fingerprint is required');
+      }
+
+      const expiresAt = entry.expiresAt ?? tokenExpiry(token);
+      const keys = [
+        jti && revocationKey(context, 'jti', jti),
+        fingerprint && revocationKey(context, 'fp', fingerprint),
+      ].filter(Boolean);
+
+      for (const key of keys) {
+        await backend.add(key, expiresAt);
+        remember(key, true);
+      }
+    },
+
+    /**
+     * Revokes every token of a context issued before a timestamp
+     * 
+     * @param {string} context - Context
+     * @param {number|Date} timestamp - Cutoff (ms since the epoch or Date)
+     * @returns {Promise<void>}
+     */
+    async revokeBefore(context, timestamp) {
+      if (!context) {
+        throw new Error('Context is required');
+      }
+
+      const cutoff = timestamp instanceof Date ? timestamp.getTime() : timestamp;
+      if (!Number.isFinite(cutoff)) {
+        throw new Error('Timestamp must be a Date or milliseconds since the epoch');
+      }
+
+      await backend.setCutoff(context, cutoff);
+      remember(`cutoff:${context}`, cutoff);
+    },
+
+    /**
+     * Checks a token against the list
+     * 
+     * The issue time is the `iat` claim, or `nbf` without one. Tokens with
+     * neither (and opaque tokens) cannot be dated, so any cutoff of their
+     * context revokes them.
+     * 
+     * @param {Object} check - { token, payload?, context? }
+     * @returns {Promise<boolean>} - True if the token is revoked
+     */
+    async isRevoked({ token, payload, context } = {}) {
+      const claims = payload ?? decodeClaims(token);
+      const claimed = claims?.[contextClaim];
+      const tokenContext = context || (typeof claimed === 'string' && claimed ? claimed : null);
+
+      // Without any context, fail closed: every context's entries and cutoff apply
+      const contexts = tokenContext ? [tokenContext] : resolveRegistry(registry).contexts;
+      const keys = [];
+
+      for (const scope of [...contexts, ALL_CONTEXTS]) {
+        if (typeof claims?.jti === 'string' && claims.jti) {
+          keys.push(revocationKey(scope, 'jti', claims.jti));
+        }
+        if (token) {
+          keys.push(revocationKey(scope, 'fp', tokenFingerprint(token)));
+        }
+      }
+
+      for (const key of keys) {
+        if (await lookup(key, () => backend.has(key))) {
+          return true;
+        }
+      }
+
+      const issuedAt = Number.isFinite(claims?.iat) ? claims.iat : claims?.nbf;
+
+      for (const scope of contexts) {
+        const cutoff = await lookup(`cutoff:${scope}`, () => backend.getCutoff(scope));
+        if (cutoff === null || cutoff === undefined) {
+          continue;
+        }
+        // Fail closed: an undated token may predate the cutoff
+        if (!Number.isFinite(issuedAt) || issuedAt * 1000 < cutoff) {
+          return true;
+        }
+      }
+
+      return false;
+    },
+  };
+}
+
+/**
+ * Computes the fingerprint of a token
+ * 
+ * @param {string} token - Token
+ * @returns {string} - Base64url SHA-256 digest
+ * 
+ * @example
+ * await revocation.revoke({ fingerprint: tokenFingerprint(token) });
+ */
+export function tokenFingerprint(token) {
+  return createHash('sha256').update(String(token)).digest('base64url');
+}
+
+/**
+ * Builds a backend key
+ * 
+ * @private
+ * @param {string} context - Context or '*'
+ * @param {string} kind - 'jti' or 'fp'
+ * @param {string} value - jti or fingerprint
+ * @returns {string} - Key
+ */
+function revocationKey(context, kind, value) {
+  return `${kind}:${context}:${value}`;
+}
+
+/**
+ * Decodes the claims of a JWT without verifying it
+ * 
+ * @private
+ * @param {string} [token] - Token
+ * @returns {Object|null} - Claims, or null for opaque tokens
+ */
+function decodeClaims(token) {
+  if (!token) {
+    return null;
+  }
+  try {
+    return decodeToken(token).payload;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Returns the expiry of a JWT in milliseconds
+ * 
+ * @private
+ * @param {string} [token] - Token
+ * @returns {number|null} - Expiry, or null if unknown
+ */
+function tokenExpiry(token) {
+  const exp = decodeClaims(token)?.exp;
+  return Number.isFinite(exp) ? exp * 1000 : null;
+}
+
+export { DEFAULT_REVOCATION_CACHE };
@@ -0,0 +1,33 @@
+/**
+ * Secret Validation
+ * 
+ * Shared checks for the HMAC secrets used by context assertions and
+ * flow tokens.
+ * 
+ * @module secrets
+ */
+
+/**
+ * Minimum HMAC secret length in bytes
+ * @type {number}
+ */
+const MIN_SECRET_LENGTH = 32;
+
+/**
+ * Validates an HMAC secret
+ * 
+ * @param {string|Buffer} secret - HMAC secret
+ * @param {string} label - Name of the secret used in the error message
+ * @throws {Error} - If the secret is missing or shorter than 32 bytes
+ * 
+ * @example
+ * assertSecret(options.secret, 'Flow token secret');
+ */
+export function assertSecret(secret, label) {
+  const length = Buffer.isBuffer(secret) ? secret.length : Buffer.byteLength(String(secret ?? ''));
+  if ((typeof secret !== 'string' && !Buffer.isBuffer(secret)) || length < MIN_SECRET_LENGTH) {
+    throw new Error(`${label} must be at least ${MIN_SECRET_LENGTH} bytes`);
+  }
+}
+
+export { MIN_SECRET_LENGTH };
@@ -0,0 +1,101 @@
+/**
+ * Service-to-Service Authentication
+ * 
+ * Internal calls carry a service token in a dedicated header. It is
+ * verified against per-service keys and yields the reserved `service`
+ * context plus the calling service's name. Service tokens are never
+ * read from cookies.
+ * 
+ * A service token is a JWT whose context claim (default `type`) is
+ * `'service'` and whose service claim (default `sub`) names the caller.
+ * 
+ * @module serviceAuth
+ */
+
+import { SERVICE_CONTEXT } from './contextRegistry.js';
+import { decodeToken, verifyContextToken } from './tokenVerifier.js';
+import { TokenVerificationError } from './errors.js';
+
+/**
+ * Default header carrying service tokens
+ * @type {string}
+ */
+const SERVICE_TOKEN_HEADER = 'x-service-token';
+
+/**
+ * Extracts a service token from its dedicated header
+ * 
+ * @param {Object} req - Request object
+ * @param {Object} [options={}] - Options
+ * @param {string} [options.header='x-service-token'] - Header name
+ * @returns {string|null} - Token or null
+ */
+export function extractServiceToken(req, options = {}) {
+  const { header = SERVICE_TOKEN_HEADER } = options;
+  let value = req?.headers?.[header.toLowerCase()];
+  if (Array.isArray(value)) value = value[0];
+  if (!value || typeof value !== 'string') {
+    return null;
+  }
+
+  const token = value.startsWith('Bearer ') ? value.substring(7).trim() : value.trim();
+  return token || null;
+}
+
+/**
+ * Verifies a service token
+ * 
+ * The service claim selects the service's settings, then the token is
+ * verified like verifyContextToken(token, 'service', ...). Top-level
+ * settings (issuer, audience, algorithms, clockTolerance, key, jwks)
+ * apply to every service unless overridden.
+ * 
+ * @param {string} token - Service token
+ * @param {Object} config - Verification config
+ * @param {Object<string, Object>} config.services - Settings per service name (key or jwks, ...)
+ * @param {string} [config.serviceClaim='sub'] - Claim naming the calling service
+ * @param {string} [config.contextClaim='type'] - Claim that must equal 'service'
+ * @returns {Promise<Object>} - { context: 'service', service, payload }
+ * @throws {TokenVerificationError} - If the service is unknown or verification fails
+ * 
+ * @example
+ * const { service } = await verifyServiceToken(token, {
+ *   audience: 'orders-api',
+ *   services: {
+ *     billing: { key: billingPublicKeyPem },
+ *     search: { key: process.env.SEARCH_SERVICE_SECRET },
+ *   },
+ * });
+ * // service: 'billing'
+ */
+export async function verifyServiceToken(token, config = {}) {
+  const { services, serviceClaim = 'sub', contexts, ...shared } = config;
+
+  if (!services || typeof services !== 'object') {
+    throw new Error('services must map service names to verification settings');
+  }
+
+  const service = decodeToken(token).payload[serviceClaim];
+  if (typeof service !== 'string' || !Object.hasOwn(services, service)) {
+    throw new TokenVerificationError('INVALID_CLAIM', 'Unknown service');
+  }
+
+  const payload = await verifyContextToken(token, SERVICE_CONTEXT, {
+    ...shared,
+    contexts: { [SERVICE_CONTEXT]: services[service] },
+  });
+
+  return { context: SERVICE_CONTEXT, service, payload };
+}
+
+/**
+ * Creates a service token verifier
+ * 
+ * @param {Object} config - Verification config (see verifyServiceToken)
+ * @returns {Function} - async (token) => { context, service, payload }
+ */
+export function createServiceVerifier(config) {
+  return (token) => verifyServiceToken(token, config);
+}
+
+export { SERVICE_CONTEXT, SERVICE_TOKEN_HEADER };
@@ -0,0 +1,407 @@
+/**
+ * Server-Side Sessions
+ * 
+ * Opaque session IDs in `{context}_session_token` cookies, looked up
+ * through a pluggable store. Sessions can be revoked instantly, unlike
+ * self-contained tokens, and expire after an idle timeout (sliding) and
+ * an absolute timeout, both configurable per context.
+ * 
+ * Session IDs are stored by SHA-256 hash, never in plain text.
+ * 
+ * @module sessions
+ */
+
+import { createHash, randomBytes } from 'node:crypto';
+import { resolveAuthContext } from './contextUtils.js';
+import { extractContextToken } from './cookieUtils.js';
+import { setContextCookie, clearContextCookie } from './cookieWriter.js';
+
+/**
+ * Default session timeouts in seconds
+ * 
+ * - idleTimeout: 30 minutes without a request
+ * - absoluteTimeout: 12 hours after creation
+ * @type {Object}
+ */
+const DEFAULT_SESSION_TIMEOUTS = Object.freeze({
+  idleTimeout: 30 * 60,
+  absoluteTimeout: 12 * 60 * 60,
+});
+
+/**
+ * Default maximum number of sessions kept by the in-memory store
+ * @type {number}
+ */
+const DEFAULT_SESSION_STORE_SIZE = 10000;
+
+/**
+ * Session store interface
+ * 
+ * Implementations for Redis or SQL keep one record per session ID hash.
+ * All methods may be async.
+ * 
+ * - `get(id)` - Returns the record or null
+ * - `set(id, record)` - Creates or replaces a record
+ * - `delete(id)` - Removes a record
+ * - `deleteBySubject(context, subject)` - Removes every record of the
+ *   subject in the context and returns the number removed
+ * 
+ * A record is `{ context, subject, data, createdAt, lastSeenAt, expiresAt,
+ * absoluteExpiresAt }` with timestamps in milliseconds since the epoch.
+ * `expiresAt` already accounts for the idle timeout, so it can be used as
+ * the record's TTL. Records may be deleted once expired.
+ * 
+ * @typedef {Object} SessionStore
+ */
+
+/**
+ * Creates an in-memory session store
+ * 
+ * Keeps at most `maxSize` sessions and evicts the least recently used
+ * one when full. Suitable for tests and single-process deployments.
+ * 
+ * @param {Object} [options={}] - Options
+ * @param {number} [options.maxSize=10000] - Maximum number of sessions
+ * @returns {SessionStore} - Store
+ * 
+ * @example
+ * const store = createMemorySessionStore({ maxSize: 1000 });
+ */
+export function createMemorySessionStore(options = {}) {
+  const { maxSize = DEFAULT_SESSION_STORE_SIZE } = options;
+
+  if (!Number.isInteger(maxSize) || maxSize < 1) {
+    throw new Error('maxSize must be a positive integer');
+  }
+
+  // Map iteration order doubles as recency order (oldest first)
+  const records = new Map();
+
+  return {
+    get: async (id) => {
+      const record = records.get(id);
+      if (!record) {
+        return null;
+      }
+      if (record.expiresAt <= Date.now()) {
+        records.delete(id);
+        return null;
+      }
+      records.delete(id);
+      records.set(id, record);
+      return { ...record };
+    },
+    set: async (id, record) => {
+      records.delete(id);
+      records.set(id, { ...record });
+      while (records.size > maxSize) {
+        records.delete(records.keys().next().value);
+      }
+    },
+    delete: async (id) => {
+      records.delete(id);
+    },
+    deleteBySubject: async (context, subject) => {
+      let count = 0;
+      for (const [id, record] of records) {
+        if (record.context === context && record.subject === subject) {
+          records.delete(id);
+          count++;
+        }
+      }
+      return count;
+    },
+  };
+}
+
+/**
+ * Creates a session and writes its cookie (e.g. at login)
+ * 
+ * The cookie's Max-Age is the absolute timeout; the idle timeout is
+ * enforced by resolveSession.
+ * 
+ * @param {Object} res - Express response or http.ServerResponse
+ * @param {string} context - Context (customer/vendor/admin)
+ * @param {Object} options - Options
+ * @param {SessionStore} options.store - Session store
+ * @param {string|number} options.subject - User the session belongs to
+ * @param {Object} [options.data] - Data kept with the session
+ * @param {number|null} [options.idleTimeout=1800] - Idle timeout in seconds (null: none)
+ * @param {number} [options.absoluteTimeout=43200] - Absolute timeout in seconds
+ * @param {Object<string, Object>} [options.contexts] - Timeouts per context
+ * @param {Object} [options.policy] - Cookie policy
+ * @param {Object} [options.registry] - Context registry (must include the 'session' token type)
+ * @param {string} [options.tenant] - Tenant namespace for the cookie name
+ * @returns {Promise<Object>} - { id, session }
+ * 
+ * @example
+ * const sessions = {
+ *   store: createMemorySessionStore(),
+ *   contexts: { admin: { idleTimeout: 15 * 60, absoluteTimeout: 8 * 60 * 60 } },
+ * };
+ * 
+ * app.post('/admin/login', async (req, res) => {
+ *   const user = await login(req.body);
+ *   await createSession(res, 'admin', { ...sessions, subject: user.id });
+ *   res.sendStatus(204);
+ * });
+ */
+export async function createSession(res, context, options = {}) {
+  const { store, subject, data = null } = options;
+  assertStore(store);
+
+  if (!context) {
+    throw new Error('Context is required');
+  }
+
+  if (subject === undefined || subject === null) {
+    throw new Error('Subject is required');
+  }
+
+  const { idleTimeout, absoluteTimeout } = resolveSessionTimeouts(context, options);
+  const id = randomBytes(32).toString('base64url');
+  const now = Date.now();
+  const absoluteExpiresAt = now + absoluteTimeout * 1000;
+
+  const session = {
+    context,
+    subject,
+    data,
+    createdAt: now,
+    lastSeenAt: now,
+    expiresAt: slidingExpiry(now, idleTimeout, absoluteExpiresAt),
+    absoluteExpiresAt,
+  };
+
+  await store.set(hashSessionId(id), session);
+  setContextCookie(res, context, 'session', id, {
+    ...cookieOptions(options),
+    maxAge: absoluteTimeout,
+  });
+
+  return { id, session };
+}
+
+/**
+ * Looks up the context's session
+ * 
+ * Reads the `{context}_session_token` cookie and returns the result in
+ * the shape of extractToken, with `source: 'session'` and the stored
+ * record as `session`. Each successful lookup extends the idle timeout
+ * (never past the absolute timeout).
+ * 
+ * Unknown, expired or foreign-context sessions return an empty result;
+ * when `res` is given their cookie is cleared.
+ * 
+ * @param {Object} req - Request object
+ * @param {Object|null} res - Response object, or null to leave cookies untouched
+ * @param {Object} options - Options (see createSession)
+ * @param {SessionStore} options.store - Session store
+ * @param {string} [options.context] - Context (default: resolveAuthContext)
+ * @returns {Promise<Object>} - { token, source, context, session }
+ * 
+ * @example
+ * const { session } = await resolveSession(req, res, { ...sessions, context: 'admin' });
+ * if (!session) return res.sendStatus(401);
+ * // session: { context, subject, data, createdAt, lastSeenAt, expiresAt, absoluteExpiresAt }
+ */
+export async function resolveSession(req, res, options = {}) {
+  const { store, registry, tenant } = options;
+  assertStore(store);
+
+  const empty = { token: null, source: null, context: null, session: null };
+  const context = options.context ?? resolveAuthContext(req, options);
+  if (!context) {
+    return empty;
+  }
+
+  const token = extractContextToken(req, context, 'session', { registry, tenant });
+  if (!token) {
+    return empty;
+  }
+
+  const id = hashSessionId(token);
+  const record = await store.get(id);
+  const now = Date.now();
+
+  if (!record || record.context !== context || record.expiresAt <= now) {
+    if (record) {
+      await store.delete(id);
+    }
+    if (res) {
+      clearContextCookie(res, context, 'session', cookieOptions(options));
+    }
+    return empty;
+  }
+
+  const { idleTimeout } = resolveSessionTimeouts(context, options);
+  const session = {
+    ...record,
+    lastSeenAt: now,
+    expiresAt: slidingExpiry(now, idleTimeout, record.absoluteExpiresAt),
+  };
+
+  if (session.expiresAt !== record.expiresAt) {
+    await store.set(id, session);
+  }
+
+  return { token, source: 'session', context, session };
+}
+
+/**
+ * Destroys the context's current session and clears its cookie (logout)
+ * 
+ * @param {Object} req - Request object
+ * @param {Object} res - Response object
+ * @param {Object} options - Options (see resolveSession)
+ * @returns {Promise<boolean>} - True if a session cookie was present
+ * 
+ * @example
+ * app.post('/admin/logout', async (req, res) => {
+ *   await destroySession(req, res, { ...sessions, context: 'admin' });
+ *   res.sendStatus(204);
+ * });
+ */
+export async function destroySession(req, res, options = {}) {
+  const { store, registry, tenant } = options;
+  assertStore(store);
+
+  const context = options.context ?? resolveAuthContext(req, options);
+  if (!context) {
+    return false;
+  }
+
+  const token = extractContextToken(req, context, 'session', { registry, tenant });
+  if (token) {
+    await store.delete(hashSessionId(token));
+  }
+
+  clearContextCookie(res, context, 'session', cookieOptions(options));
+  return Boolean(token);
+}
+
+/**
+ * Destroys every session of a user in one context
+ * 
+ * Sessions of the same user in other contexts are kept.
+ * 
+ * @param {string} context - Context (customer/vendor/admin)
+ * @param {string|number} subject - User
+ * @param {Object} options - Options
+ * @param {SessionStore} options.store - Session store
+ * @returns {Promise<number>} - Number of sessions destroyed
+ * 
+ * @example
+ * // Offboard an administrator
+ * await destroyUserSessions('admin', user.id, { store });
+ */
+export async function destroyUserSessions(context, subject, options = {}) {
+  const { store } = options;
+  assertStore(store);
+
+  if (!context) {
+    throw new Error('Context is required');
+  }
+
+  if (subject === undefined || subject === null) {
+    throw new Error('Subject is required');
+  }
+
+  return store.deleteBySubject(context, subject);
+}
+
+/**
+ * Resolves the idle and absolute timeouts of a context
+ * 
+ * @param {string} context - Context
+ * @param {Object} [options={}] - { idleTimeout, absoluteTimeout, contexts }
+ * @returns {Object} - { idleTimeout, absoluteTimeout } in seconds (idleTimeout may be null)
+ * @throws {Error} - If a timeout is invalid
+ * 
+ * @example
+ * resolveSessionTimeouts('admin', { contexts: { admin: { idleTimeout: 900 } } });
+ * // Returns: { idleTimeout: 900, absoluteTimeout: 43200 }
+ */
+export function resolveSessionTimeouts(context, options = {}) {
+  const { idleTimeout, absoluteTimeout } = {
+    ...DEFAULT_SESSION_TIMEOUTS,
+    ...pickTimeouts(options),
+    ...pickTimeouts(options.contexts?.[context]),
+  };
+
+  if (!Number.isFinite(absoluteTimeout) || absoluteTimeout <= 0) {
+    throw new Error('absoluteTimeout must be a positive number of seconds');
+  }
+
+  if (idleTimeout !== null && (!Number.isFinite(idleTimeout) || idleTimeout <= 0)) {
+    throw new Error('idleTimeout must be a positive number of seconds or null');
+  }
+
+  return { idleTimeout, absoluteTimeout };
+}
+
+/**
+ * Hashes a session ID for use as a store key
+ * 
+ * @param {string} id - Session ID
+ * @returns {string} - Base64url SHA-256 digest
+ */
+export function hashSessionId(id) {
+  return createHash('sha256').update(id).digest('base64url');
+}
+
+/**
+ * Computes the expiry after activity at `now`
+ * 
+ * @private
+ * @param {number} now - Milliseconds since the epoch
+ * @param {number|null} idleTimeout - Idle timeout in seconds
+ * @param {number} absoluteExpiresAt - Absolute expiry in milliseconds
+ * @returns {number} - Expiry in milliseconds
+ */
+function slidingExpiry(now, idleTimeout, absoluteExpiresAt) {
+  if (idleTimeout === null) {
+    return absoluteExpiresAt;
+  }
+  return Math.min(now + idleTimeout * 1000, absoluteExpiresAt);
+}
+
+/**
+ * Picks the timeouts that are set
+ * 
+ * @private
+ * @param {Object} [source] - Object with idleTimeout/absoluteTimeout
+ * @returns {Object} - Defined timeouts
+ */
+function pickTimeouts(source) {
+  const result = {};
+  if (source?.idleTimeout !== undefined) result.idleTimeout = source.idleTimeout;
+  if (source?.absoluteTimeout !== undefined) result.absoluteTimeout = source.absoluteTimeout;
+  return result;
+}
+
+/**
+ * Picks the cookie writer options from session options
+ * 
+ * @private
+ * @param {Object} options - Session options
+ * @returns {Object} - { policy, registry, tenant }
+ */
+function cookieOptions({ policy, registry, tenant }) {
+  return { policy, registry, tenant };
+}
+
+/**
+ * Validates the session store
+ * 
+ * @private
+ * @param {Object} store - Session store
+ */
+function assertStore(store) {
+  const methods = ['get', 'set', 'delete', 'deleteBySubject'];
+  if (!store || methods.some(method => typeof store[method] !== 'function')) {
+    throw new Error(`store must implement ${methods.join(', ')}`);
+  }
+}
+
+export { DEFAULT_SESSION_TIMEOUTS, DEFAULT_SESSION_STORE_SIZE };
@@ -3,28 +3,52 @@
  * 
  * Unified token extraction with context awareness.
  * Tries multiple sources in priority order:
- * 1. Bearer token (Authorization header) - Highest priority
- * 2. Context-specific cookie (if context is known)
- * 3. All context cookies (fallback)
- * 4. Legacy generic cookies (backward compatibility)
+ * 1. Service token header (when enabled)
+ * 2. Bearer token (Authorization header)
+ * 3. Context-specific cookie (if context is known)
+ * 4. All context cookies (fallback)
+ * 5. Legacy generic cookies (backward compatibility)
+ * 
+ * Steps 4 and 5 can be restricted with an isolation policy.
  * 
  * @module tokenExtractor
  */
 
+import { createHash } from 'node:crypto';
 import {
   extractTokenFromAllContexts,
   extractContextToken,
+  getCookieLookupNames,
+  getLegacyCookieNames,
+  readChunkedCookie,
 } from './cookieUtils.js';
-import { resolveAuthContext } from './contextUtils.js';
+import { explainAuthContext } from './contextUtils.js';
+import { getRequestCookies } from './cookieParser.js';
+import { resolveRegistry, registryFromOrigins, SERVICE_CONTEXT } from './contextRegistry.js';
+import { extractServiceToken } from './serviceAuth.js';
+
+/**
+ * Cookie isolation policies
+ * 
+ * - legacy: all fallbacks (cross-context and generic legacy cookies)
+ * - lenient: fallbacks only while no context resolved
+ * - strict: never legacy cookies; cross-context fallback only while no
+ *   context resolved and only if a single context has a cookie
+ * @type {readonly string[]}
+ */
+const ISOLATION_POLICIES = Object.freeze(['strict', 'lenient', 'legacy']);
 
 /**
  * Extracts authentication token from request
  * 
  * Priority order:
- * 1. Bearer token from Authorization header
- * 2. Context-specific cookie (if context can be resolved)
- * 3. All context cookies (searches customer, vendor, admin)
- * 4. Legacy generic cookies (backward compatibility)
+ * 1. Service token from its dedicated header (when `service` is set)
+ * 2. Bearer token from Authorization header
+ * 3. Context-specific cookie (if context can be resolved)
+ * 4. All context cookies (searches customer, vendor, admin)
+ * 5. Legacy generic cookies (backward compatibility)
+ * 
+ * The reserved `service` context is never read from cookies.
  * 
  * @param {Object} req - Express request object
  * @param {Object} [options={}] - Extraction options
@@ -32,7 +56,17 @@ import { resolveAuthContext } from './contextUtils.js';
  * @param {string} [options.tokenType='access'] - Token type to extract
  * @param {string} [options.nodeEnv='production'] - Node environment
  * @param {Object<string, string[]|string>} [options.contextOrigins] - Custom context origins mapping
+ *   (without a registry, its contexts are also looked up in cookies)
+ * @param {Object} [options.registry] - Context registry (see createContextRegistry)
+ * @param {string[]|Function} [options.trustedProxies] - Trusted proxies (see resolveAuthContext)
+ * @param {Object} [options.contextAssertion] - Signed context assertion settings (see resolveAuthContext)
+ * @param {string} [options.context] - Known context (skips resolution from headers)
+ * @param {string} [options.tenant] - Tenant ID namespacing context cookies (see resolveAuthScope)
+ * @param {boolean} [options.trace=false] - Add a `trace` of the decision path (see explainTokenExtraction)
+ * @param {string} [options.isolation='legacy'] - Cookie isolation policy ('strict' | 'lenient' | 'legacy')
+ * @param {boolean|Object} [options.service] - Recognize service tokens (`{ header }`, default header 'x-service-token')
  * @returns {Object} - { token: string|null, source: string|null, context: string|null }
+ *   plus `conflict: string[]` when strict isolation finds cookies for several contexts
  * 
  * @example
  * // Basic usage
@@ -50,15 +84,27 @@ import { resolveAuthContext } from './contextUtils.js';
  * const { token } = extractToken(req, {
  *   contextOrigins: customOrigins
  * });
+ * 
+ * @example
+ * // Never authenticate a customer request with a vendor or legacy cookie
+ * const { token, conflict } = extractToken(req, { isolation: 'strict' });
  */
 export function extractToken(req, options = {}) {
+  const steps = options.trace ? [] : null;
+  const record = (step) => steps?.push(step);
+  let contextResolution = null;
+  let conflict = null;
+
+  const finish = (token, source, context) => {
+    const result = { token, source, context };
+    if (conflict) result.conflict = conflict;
+    if (steps) result.trace = { context: contextResolution, steps };
+    return result;
+  };
+
   // Input validation
   if (!req || typeof req !== 'object') {
-    return {
-      token: null,
-      source: null,
-      context: null,
-    };
+    return finish(null, null, null);
   }
 
   const {
@@ -66,72 +112,225 @@ export function extractToken(req, options = {}) {
     tokenType = 'access',
     nodeEnv = 'production',
     contextOrigins,
+    tenant,
+    trustedProxies,
+    contextAssertion,
+    service,
+    isolation = 'legacy',
   } = options;
 
-  // 1. Try Bearer token first (highest priority)
+  if (!ISOLATION_POLICIES.includes(isolation)) {
+    throw new Error(`Invalid isolation policy: ${isolation}`);
+  }
+
+  if (tenant !== undefined && tenant !== null && typeof tenant !== 'string') {
+    throw new Error('tenant must be a tenant ID string (resolve it with tenantResolver / resolveAuthScope)');
+  }
+
+  // A context resolved from contextOrigins must also be readable from cookies
+  const registry = options.registry ?? (contextOrigins ? registryFromOrigins(contextOrigins) : undefined);
+
+  // 1. Service token from its dedicated header
+  if (service) {
+    const serviceToken = extractServiceToken(req, service === true ? {} : service);
+    if (serviceToken) {
+      record({ source: 'service', outcome: 'found', token: redactToken(serviceToken) });
+      return finish(serviceToken, 'service', SERVICE_CONTEXT);
+    }
+    record({ source: 'service', outcome: 'not-found', reason: 'no service token header' });
+  }
+
+  // 2. Try Bearer token
   const authHeader = req.headers?.authorization;
   if (authHeader && typeof authHeader === 'string' && authHeader.startsWith('Bearer ')) {
     const token = authHeader.substring(7).trim();
     if (token) {
-      return {
-        token,
-        source: 'header',
-        context: null,
-      };
+      record({ source: 'header', outcome: 'found', token: redactToken(token) });
+      return finish(token, 'header', null);
     }
+    record({ source: 'header', outcome: 'not-found', reason: 'empty Bearer token' });
+  } else {
+    record({
+      source: 'header',
+      outcome: 'skipped',
+      reason: authHeader ? 'Authorization header is not a Bearer token' : 'no Authorization header',
+    });
   }
 
-  // 2. Try context-specific cookie if context is known
+  const cookies = getRequestCookies(req);
+  const probe = (context) => {
+    const probed = getCookieLookupNames(context, tokenType, tenant);
+    const matched = probed.find(name => cookies[name] || readChunkedCookie(cookies, name)) ?? null;
+    return { probed, matched };
+  };
+
+  // Strict isolation: detect cookies for several contexts up front
+  if (isolation === 'strict') {
+    const present = resolveRegistry(registry).contexts.filter(ctx => (
+      extractContextToken(req, ctx, tokenType, { registry, tenant })
+    ));
+    if (present.length > 1) conflict = present;
+  }
+
+  // 3. Try context-specific cookie if context is known
+  let resolvedContext = null;
   if (preferContext) {
-    const context = resolveAuthContext(req, { nodeEnv, contextOrigins });
-    if (context) {
-      const token = extractContextToken(req, context, tokenType);
+    contextResolution = options.context
+      ? { context: options.context, source: 'option', checked: [] }
+      : explainAuthContext(req, {
+        nodeEnv,
+        contextOrigins,
+        registry,
+        trustedProxies,
+        contextAssertion,
+      });
+
+    resolvedContext = contextResolution.context;
+    if (resolvedContext === SERVICE_CONTEXT) {
+      const reason = 'service tokens are never read from cookies';
+      record({ source: 'context-cookie', outcome: 'skipped', reason });
+      record({ source: 'all-contexts', outcome: 'skipped', reason });
+      record({ source: 'legacy', outcome: 'skipped', reason });
+      return finish(null, null, null);
+    }
+
+    if (resolvedContext) {
+      const token = extractContextToken(req, resolvedContext, tokenType, { registry, tenant });
       if (token) {
-        return {
-          token,
-          source: 'cookie',
+        if (steps) {
+          record({
+            source: 'context-cookie',
+            outcome: 'found',
+            context: resolvedContext,
+            ...probe(resolvedContext),
+            token: redactToken(token),
+          });
+        }
+        return finish(token, 'cookie', resolvedContext);
+      }
+      if (steps) {
+        record({
+          source: 'context-cookie',
+          outcome: 'not-found',
+          context: resolvedContext,
+          probed: probe(resolvedContext).probed,
+        });
+      }
+    } else {
+      record({ source: 'context-cookie', outcome: 'skipped', reason: 'context not resolved' });
+    }
+  } else {
+    record({ source: 'context-cookie', outcome: 'skipped', reason: 'preferContext is false' });
+  }
+
+  // Isolation: no cross-context or legacy fallback once a context resolved
+  if (resolvedContext && isolation !== 'legacy') {
+    const reason = `isolation "${isolation}": context "${resolvedContext}" resolved`;
+    record({ source: 'all-contexts', outcome: 'skipped', reason });
+    record({ source: 'legacy', outcome: 'skipped', reason });
+    return finish(null, null, null);
+  }
+
+  // 4. Fallback: Try all context cookies
+  if (conflict) {
+    record({
+      source: 'all-contexts',
+      outcome: 'skipped',
+      reason: `isolation "strict": cookies for several contexts (${conflict.join(', ')})`,
+    });
+  } else {
+    const { token, context } = extractTokenFromAllContexts(
+      req,
+      tokenType,
+      undefined,
+      { registry, tenant }
+    );
+    if (steps) {
+      const probed = resolveRegistry(registry).contexts.flatMap(ctx => probe(ctx).probed);
+      if (token) {
+        record({
+          source: 'all-contexts',
+          outcome: 'found',
           context,
-        };
+          probed,
+          matched: probe(context).matched,
+          token: redactToken(token),
+        });
+      } else {
+        record({ source: 'all-contexts', outcome: 'not-found', probed });
       }
     }
+    if (token) {
+      return finish(token, 'cookie', context);
+    }
   }
 
-  // 3. Fallback: Try all context cookies
-  const { token, context } = extractTokenFromAllContexts(req, tokenType);
-  if (token) {
-    return {
-      token,
-      source: 'cookie',
-      context,
-    };
+  // 5. Legacy: Try generic cookie (backward compatibility)
+  if (isolation === 'strict') {
+    record({ source: 'legacy', outcome: 'skipped', reason: 'isolation "strict"' });
+    return finish(null, null, null);
   }
 
-  // 4. Legacy: Try generic cookie (backward compatibility)
   // Support multiple legacy formats
-  const legacyFormats = [
-    `${tokenType}Token`,
-    tokenType,
-    `${tokenType}_token`,
-    'accessToken', // Common legacy format
-    'access_token', // Common legacy format
-  ];
+  const legacyFormats = getLegacyCookieNames(tokenType);
 
   for (const format of legacyFormats) {
-    const legacyToken = req.cookies?.[format];
+    const legacyToken = cookies[format];
     if (legacyToken) {
-      return {
-        token: legacyToken,
-        source: 'cookie',
-        context: null,
-      };
+      record({
+        source: 'legacy',
+        outcome: 'found',
+        probed: legacyFormats,
+        matched: format,
+        token: redactToken(legacyToken),
+      });
+      return finish(legacyToken, 'cookie', null);
     }
   }
 
-  return {
-    token: null,
-    source: null,
-    context: null,
-  };
+  record({ source: 'legacy', outcome: 'not-found', probed: legacyFormats });
+  return finish(null, null, null);
+}
+
+/**
+ * Explains how extractToken picks a token
+ * 
+ * Runs extractToken with tracing enabled and redacts the token, so the
+ * result is safe to log.
+ * 
+ * Steps report `source` ('service' | 'header' | 'context-cookie' |
+ * 'all-contexts' | 'legacy'), `outcome` ('found' | 'not-found' | 'skipped'), and where
+ * relevant the `reason`, the cookie names `probed` and the one `matched`.
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} [options={}] - Extraction options (see extractToken)
+ * @returns {Object} - { token: redacted|null, source, context, trace: { context, steps } }
+ * 
+ * @example
+ * console.log(JSON.stringify(explainTokenExtraction(req), null, 2));
+ */
+export function explainTokenExtraction(req, options = {}) {
+  const result = extractToken(req, { ...options, trace: true });
+  return { ...result, token: result.token && redactToken(result.token) };
+}
+
+/**
+ * Redacts a token for logging
+ * 
+ * Keeps the length and a short SHA-256 fingerprint so two traces can be
+ * compared without revealing the token.
+ * 
+ * @param {string} token - Token
+ * @returns {string} - Redacted representation
+ * 
+ * @example
+ * redactToken('eyJhbGciOi...');
+ * // Returns: '[redacted len=243 sha256=1f2e3d4c]'
+ */
+export function redactToken(token) {
+  const value = String(token);
+  const fingerprint = createHash('sha256').update(value).digest('hex').slice(0, 8);
+  return `[redacted len=${value.length} sha256=${fingerprint}]`;
 }
 
 /**
@@ -144,6 +343,8 @@ export function extractToken(req, options = {}) {
  * @param {string} expectedContext - Expected context (customer/vendor/admin)
  * @param {Object} [options={}] - Extraction options
  * @param {string} [options.tokenType='access'] - Token type to extract
+ * @param {Object} [options.registry] - Context registry (see createContextRegistry)
+ * @param {string} [options.tenant] - Tenant namespace for context cookies
  * @returns {Object} - { token: string|null, source: string|null, context: string|null }
  * 
  * @example
@@ -159,10 +360,10 @@ export function extractTokenWithContext(req, expectedContext, options = {}) {
     };
   }
 
-  const { tokenType = 'access' } = options;
+  const { tokenType = 'access', registry, tenant } = options;
 
   // Try context-specific cookie first
-  const token = extractContextToken(req, expectedContext, tokenType);
+  const token = extractContextToken(req, expectedContext, tokenType, { registry, tenant });
   if (token) {
     return {
       token,
@@ -190,3 +391,5 @@ export function extractTokenWithContext(req, expectedContext, options = {}) {
     context: null,
   };
 }
+
+export { ISOLATION_POLICIES };
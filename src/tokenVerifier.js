@@ -0,0 +1,354 @@
+/**
+ * Token Verification Utilities
+ * 
+ * Dependency-free JWT verification (node:crypto only) with
+ * per-context issuers, audiences and keys, and a check that the
+ * token's context claim matches the context it is used in.
+ * 
+ * Supported algorithms: HS256, RS256, ES256, EdDSA
+ * 
+ * @module tokenVerifier
+ */
+
+import {
+  KeyObject,
+  createHmac,
+  createPublicKey,
+  createSecretKey,
+  timingSafeEqual,
+  verify as verifySignature,
+} from 'node:crypto';
+import { TokenVerificationError } from './errors.js';
+
+/**
+ * Supported JWS algorithms
+ * @type {readonly string[]}
+ */
+const SUPPORTED_ALGORITHMS = Object.freeze(['HS256', 'RS256', 'ES256', 'EdDSA']);
+
+/**
+ * Key type required by each algorithm
+ * @private
+ */
+const ALGORITHM_KEY_TYPES = Object.freeze({
+  HS256: ['secret'],
+  RS256: ['rsa'],
+  ES256: ['ec'],
+  EdDSA: ['ed25519', 'ed448'],
+});
+
+/**
+ * Base64url segment pattern
+ * @private
+ */
+const SEGMENT_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+/**
+ * Verifies a JWT for a context
+ * 
+ * Settings are read from `config.contexts[context]`, falling back to the
+ * top-level config. When `context` is omitted, the context claim of the
+ * (not yet verified) payload selects the settings, and the signature is
+ * then verified with that context's key.
+ * 
+ * Checks, in order: structure, algorithm, signature, exp/nbf, iss, aud,
+ * context claim.
+ * 
+ * @param {string} token - Compact JWS
+ * @param {string|null} context - Context the token must belong to
+ * @param {Object} config - Verification config
+ * @param {string|Buffer|KeyObject|Object} [config.key] - Secret, PEM, KeyObject or JWK
+ * @param {Object} [config.jwks] - Key set from createJwksKeySet (keys selected by kid)
+ * @param {string[]} [config.algorithms] - Allowed algorithms (default: derived from key type)
+ * @param {string|string[]} [config.issuer] - Expected issuer(s)
+ * @param {string|string[]} [config.audience] - Expected audience(s)
+ * @param {number} [config.clockTolerance=0] - Allowed clock skew in seconds
+ * @param {string} [config.contextClaim='type'] - Claim carrying the context
+ * @param {Object<string, Object>} [config.contexts] - Per-context overrides of the settings above
+ * @returns {Promise<Object>} - Verified payload
+ * @throws {TokenVerificationError} - If verification fails
+ * 
+ * @example
+ * const payload = await verifyContextToken(token, 'admin', {
+ *   contextClaim: 'type',
+ *   contexts: {
+ *     admin: { key: adminPublicKeyPem, issuer: 'https://auth.example.com', audience: 'admin-api' },
+ *     customer: { key: process.env.CUSTOMER_SECRET, algorithms: ['HS256'] },
+ *   },
+ * });
+ */
+export async function verifyContextToken(token, context, config = {}) {
+  const { header, payload, signingInput, signature } = decodeToken(token);
+
+  if (header.crit !== undefined) {
+    throw new TokenVerificationError('UNSUPPORTED_ALGORITHM', 'Critical header parameters are not supported');
+  }
+
+  const targetContext = context || payload[config.contextClaim ?? 'type'];
+  const settings = getContextSettings(targetContext, config);
+
+  const key = await resolveVerificationKey(settings, header, targetContext);
+  verifyJws(header.alg, key, settings.algorithms, signingInput, signature);
+  verifyClaims(payload, settings);
+
+  const claimed = payload[settings.contextClaim];
+  if (!claimed) {
+    throw new TokenVerificationError(
+      'CONTEXT_MISMATCH',
+      `Token has no ${settings.contextClaim} claim`
+    );
+  }
+
+  if (claimed !== targetContext) {
+    throw new TokenVerificationError(
+      'CONTEXT_MISMATCH',
+      `Token ${settings.contextClaim} "${claimed}" does not match context "${targetContext}"`
+    );
+  }
+
+  return payload;
+}
+
+/**
+ * Creates a verify function for contextAuth()
+ * 
+ * @param {Object} config - Verification config (see verifyContextToken)
+ * @returns {Function} - async (token, context) => payload
+ * 
+ * @example
+ * app.use(contextAuth({ required: true, verify: createTokenVerifier(config) }));
+ */
+export function createTokenVerifier(config) {
+  return (token, context) => verifyContextToken(token, context, config);
+}
+
+/**
+ * Decodes a JWT without verifying it
+ * 
+ * @param {string} token - Compact JWS
+ * @returns {Object} - { header, payload, signingInput, signature }
+ * @throws {TokenVerificationError} - MALFORMED_TOKEN
+ */
+export function decodeToken(token) {
+  if (!token || typeof token !== 'string') {
+    throw new TokenVerificationError('MALFORMED_TOKEN', 'Token must be a non-empty string');
+  }
+
+  const segments = token.split('.');
+  if (segments.length !== 3 || !segments.every(segment => SEGMENT_PATTERN.test(segment))) {
+    throw new TokenVerificationError('MALFORMED_TOKEN', 'Token is not a compact JWS');
+  }
+
+  const header = decodeJson(segments[0], 'header');
+  const payload = decodeJson(segments[1], 'payload');
+
+  return {
+    header,
+    payload,
+    signingInput: `${segments[0]}.${segments[1]}`,
+    signature: Buffer.from(segments[2], 'base64url'),
+  };
+}
+
+/**
+ * Converts a secret, PEM, JWK or KeyObject to a KeyObject
+ * 
+ * The key type is decided by the key material alone (PEM and non-oct
+ * JWKs are public keys, other strings and buffers are HMAC secrets),
+ * never by the token header, to rule out algorithm confusion.
+ * 
+ * @param {string|Buffer|KeyObject|Object} key - Key material
+ * @returns {KeyObject} - Key object
+ * @throws {TokenVerificationError} - INVALID_KEY
+ */
+export function toKeyObject(key) {
+  if (key instanceof KeyObject) {
+    return key;
+  }
+
+  try {
+    if (key && typeof key === 'object' && !Buffer.isBuffer(key) && key.kty) {
+      if (key.kty === 'oct') {
+        return createSecretKey(Buffer.from(key.k, 'base64url'));
+      }
+      return createPublicKey({ key, format: 'jwk' });
+    }
+
+    const material = Buffer.isBuffer(key) ? key : Buffer.from(String(key));
+    if (!material.includes('-----BEGIN')) {
+      return createSecretKey(material);
+    }
+
+    return createPublicKey(material);
+  } catch (error) {
+    throw new TokenVerificationError('INVALID_KEY', `Invalid verification key: ${error.message}`);
+  }
+}
+
+/**
+ * Merges top-level and per-context settings
+ * 
+ * @private
+ * @param {string} context - Context
+ * @param {Object} config - Verification config
+ * @returns {Object} - Effective settings
+ */
+function getContextSettings(context, config) {
+  const { contexts, ...defaults } = config;
+  const overrides = context && contexts && Object.hasOwn(contexts, context)
+    ? contexts[context]
+    : {};
+
+  const settings = {
+    clockTolerance: 0,
+    contextClaim: 'type',
+    ...defaults,
+    ...overrides,
+  };
+
+  // A per-context key replaces a top-level key set and vice versa
+  if (overrides.key && !overrides.jwks) delete settings.jwks;
+  if (overrides.jwks && !overrides.key) delete settings.key;
+
+  return settings;
+}
+
+/**
+ * Resolves the key used to verify the token
+ * 
+ * @private
+ * @param {Object} settings - Effective settings
+ * @param {Object} header - JWS header
+ * @param {string} context - Context
+ * @returns {Promise<KeyObject>} - Verification key
+ */
+async function resolveVerificationKey(settings, header, context) {
+  if (settings.jwks) {
+    return settings.jwks.getKey(header.kid, header.alg);
+  }
+
+  if (!settings.key) {
+    throw new TokenVerificationError(
+      'INVALID_KEY',
+      `No verification key configured for context "${context}"`
+    );
+  }
+
+  return toKeyObject(settings.key);
+}
+
+/**
+ * Verifies the JWS signature
+ * 
+ * @private
+ * @param {string} alg - Header algorithm
+ * @param {KeyObject} key - Verification key
+ * @param {string[]} [algorithms] - Allowed algorithms
+ * @param {string} signingInput - header.payload
+ * @param {Buffer} signature - Signature bytes
+ */
+function verifyJws(alg, key, algorithms, signingInput, signature) {
+  const keyType = key.type === 'secret' ? 'secret' : key.asymmetricKeyType;
+  const allowed = algorithms
+    ?? SUPPORTED_ALGORITHMS.filter(candidate => ALGORITHM_KEY_TYPES[candidate].includes(keyType));
+
+  if (!SUPPORTED_ALGORITHMS.includes(alg) || !allowed.includes(alg)) {
+    throw new TokenVerificationError('UNSUPPORTED_ALGORITHM', `Algorithm "${alg}" is not allowed`);
+  }
+
+  if (!ALGORITHM_KEY_TYPES[alg].includes(keyType)) {
+    throw new TokenVerificationError('INVALID_KEY', `Key type "${keyType}" cannot verify ${alg}`);
+  }
+
+  if (alg === 'ES256' && key.asymmetricKeyDetails?.namedCurve !== 'prime256v1') {
+    throw new TokenVerificationError('INVALID_KEY', 'ES256 requires a P-256 key');
+  }
+
+  const data = Buffer.from(signingInput);
+  let valid;
+
+  if (alg === 'HS256') {
+    const expected = createHmac('sha256', key).update(data).digest();
+    valid = expected.length === signature.length && timingSafeEqual(expected, signature);
+  } else if (alg === 'ES256') {
+    valid = verifySignature('sha256', data, { key, dsaEncoding: 'ieee-p1363' }, signature);
+  } else if (alg === 'EdDSA') {
+    valid = verifySignature(null, data, key, signature);
+  } else {
+    valid = verifySignature('sha256', data, key, signature);
+  }
+
+  if (!valid) {
+    throw new TokenVerificationError('INVALID_SIGNATURE', 'Token signature is invalid');
+  }
+}
+
+/**
+ * Verifies registered claims
+ * 
+ * @private
+ * @param {Object} payload - Token payload
+ * @param {Object} settings - Effective settings
+ */
+function verifyClaims(payload, settings) {
+  const now = Math.floor(Date.now() / 1000);
+  const { clockTolerance, issuer, audience } = settings;
+
+  if (payload.exp !== undefined) {
+    if (typeof payload.exp !== 'number') {
+      throw new TokenVerificationError('INVALID_CLAIM', 'exp claim must be a number');
+    }
+    if (now - clockTolerance >= payload.exp) {
+      throw new TokenVerificationError('TOKEN_EXPIRED', 'Token has expired');
+    }
+  }
+
+  if (payload.nbf !== undefined) {
+    if (typeof payload.nbf !== 'number') {
+      throw new TokenVerificationError('INVALID_CLAIM', 'nbf claim must be a number');
+    }
+    if (now + clockTolerance < payload.nbf) {
+      throw new TokenVerificationError('TOKEN_NOT_ACTIVE', 'Token is not active yet');
+    }
+  }
+
+  if (issuer !== undefined) {
+    const issuers = Array.isArray(issuer) ? issuer : [issuer];
+    if (!issuers.includes(payload.iss)) {
+      throw new TokenVerificationError('INVALID_CLAIM', 'Unexpected token issuer');
+    }
+  }
+
+  if (audience !== undefined) {
+    const expected = Array.isArray(audience) ? audience : [audience];
+    const actual = Array.isArray(payload.aud) ? payload.aud : [payload.aud];
+    if (!actual.some(value => expected.includes(value))) {
+      throw new TokenVerificationError('INVALID_CLAIM', 'Unexpected token audience');
+    }
+  }
+}
+
+/**
+ * Decodes a base64url JSON segment
+ * 
+ * @private
+ * @param {string} segment - Base64url segment
+ * @param {string} label - Segment name for errors
+ * @returns {Object} - Decoded object
+ */
+function decodeJson(segment, label) {
+  let value;
+  try {
+    value = JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+  } catch {
+    throw new TokenVerificationError('MALFORMED_TOKEN', `Token ${label} is not valid JSON`);
+  }
+
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    throw new TokenVerificationError('MALFORMED_TOKEN', `Token ${label} must be a JSON object`);
+  }
+
+  return value;
+}
+
+export { SUPPORTED_ALGORITHMS };
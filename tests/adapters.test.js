@@ -0,0 +1,170 @@
+import http from 'node:http';
+import Fastify from 'fastify';
+import Koa from 'koa';
+import { Hono } from 'hono';
+import {
+  fastifyContextAuth,
+  koaContextAuth,
+  honoContextAuth,
+} from '../src/adapters.js';
+import { contextAuth, createAuthenticator, sendAuthError } from '../src/middleware.js';
+
+const options = {
+  required: true,
+  verify: async (token) => (token === 'invalid' ? null : { sub: token }),
+};
+
+function listen(handler) {
+  return new Promise((resolve) => {
+    const server = http.createServer(handler);
+    server.listen(0, '127.0.0.1', () => resolve(server));
+  });
+}
+
+function writeJson(res, status, body) {
+  res.statusCode = status;
+  res.setHeader('Content-Type', 'application/json');
+  res.end(JSON.stringify(body));
+}
+
+// Each adapter responds with 200 and the auth object, or its own rejection
+const adapters = {
+  'node:http': async () => {
+    const authenticate = createAuthenticator(options);
+    return listen(async (req, res) => {
+      const { auth, error } = await authenticate(req);
+      if (error) return sendAuthError(req, res, error);
+      writeJson(res, 200, auth);
+    });
+  },
+  'contextAuth on node:http': async () => {
+    const middleware = contextAuth(options);
+    return listen((req, res) => middleware(req, res, () => writeJson(res, 200, req.auth)));
+  },
+  fastify: async () => {
+    const app = Fastify();
+    await app.register(fastifyContextAuth, options);
+    app.get('/*', async (request) => request.auth);
+    await app.listen({ port: 0, host: '127.0.0.1' });
+    return { address: () => app.server.address(), close: (done) => app.close().then(() => done()) };
+  },
+  koa: async () => {
+    const app = new Koa();
+    app.use(koaContextAuth(options));
+    app.use((ctx) => {
+      ctx.body = ctx.state.auth;
+    });
+    return listen(app.callback());
+  },
+  hono: async () => {
+    const app = new Hono();
+    app.use('*', honoContextAuth(options));
+    app.get('*', (c) => c.json(c.get('auth')));
+    // Minimal node:http -> fetch bridge
+    return listen(async (req, res) => {
+      const response = await app.fetch(new Request(`http://${req.headers.host}${req.url}`, {
+        method: req.method,
+        headers: req.headers,
+      }));
+      res.writeHead(response.status, Object.fromEntries(response.headers));
+      res.end(Buffer.from(await response.arrayBuffer()));
+    });
+  },
+};
+
+function request(server, headers = {}) {
+  const { port } = server.address();
+  return new Promise((resolve, reject) => {
+    const req = http.request({ host: '127.0.0.1', port, path: '/orders', headers }, (res) => {
+      let body = '';
+      res.on('data', (chunk) => {
+        body += chunk;
+      });
+      res.on('end', () => resolve({ status: res.statusCode, body: JSON.parse(body) }));
+    });
+    req.on('error', reject);
+    req.end();
+  });
+}
+
+describe.each(Object.keys(adapters))('Adapter: %s', (name) => {
+  let server;
+
+  beforeAll(async () => {
+    server = await adapters[name]();
+  });
+
+  afterAll(() => new Promise((resolve) => server.close(resolve)));
+
+  it('should authenticate with a context cookie from the raw Cookie header', async () => {
+    const { status, body } = await request(server, {
+      origin: 'https://vendor.example.com',
+      cookie: 'theme=dark; vendor_access_token=vendor-token',
+    });
+    expect(status).toBe(200);
+    expect(body).toEqual({
+      token: 'vendor-token',
+      source: 'cookie',
+      context: 'vendor',
+      expectedContext: 'vendor',
+      payload: { sub: 'vendor-token' },
+    });
+  });
+
+  it('should authenticate with a Bearer token', async () => {
+    const { status, body } = await request(server, { authorization: 'Bearer header-token' });
+    expect(status).toBe(200);
+    expect(body).toMatchObject({ token: 'header-token', source: 'header', context: null });
+  });
+
+  it('should reject missing tokens', async () => {
+    const { status, body } = await request(server);
+    expect(status).toBe(401);
+    expect(body).toEqual({ error: 'Authentication required', code: 'AUTH_REQUIRED' });
+  });
+
+  it('should reject tokens from another context', async () => {
+    const { status, body } = await request(server, {
+      origin: 'https://customer.example.com',
+      cookie: 'vendor_access_token=vendor-token',
+    });
+    expect(status).toBe(403);
+    expect(body.code).toBe('CONTEXT_MISMATCH');
+  });
+
+  it('should reject tokens that fail verification', async () => {
+    const { status, body } = await request(server, { authorization: 'Bearer invalid' });
+    expect(status).toBe(401);
+    expect(body.code).toBe('INVALID_TOKEN');
+  });
+});
+
+describe('Adapter: hono behind a trusted proxy', () => {
+  const trustedProxies = ['10.0.0.0/8'];
+  const headers = { 'x-forwarded-host': 'admin.example.com', cookie: 'admin_access_token=admin-token' };
+
+  function createApp(authOptions) {
+    const app = new Hono();
+    app.use('*', honoContextAuth({ ...options, trustedProxies, ...authOptions }));
+    app.get('*', (c) => c.json(c.get('auth')));
+    return app;
+  }
+
+  it('should resolve the context from the @hono/node-server socket', async () => {
+    const app = createApp();
+    const incoming = (remoteAddress) => ({ incoming: { socket: { remoteAddress } } });
+
+    const trusted = await app.fetch(new Request('http://localhost/orders', { headers }), incoming('10.0.0.5'));
+    expect(trusted.status).toBe(200);
+    expect(await trusted.json()).toMatchObject({ token: 'admin-token', context: 'admin', expectedContext: 'admin' });
+
+    const direct = await app.fetch(new Request('http://localhost/orders', { headers }), incoming('198.51.100.20'));
+    expect(await direct.json()).toMatchObject({ expectedContext: null });
+  });
+
+  it('should take the peer address from the remoteAddress option', async () => {
+    const app = createApp({ remoteAddress: () => '10.0.0.5' });
+    const response = await app.fetch(new Request('http://localhost/orders', { headers }));
+    expect(await response.json()).toMatchObject({ context: 'admin', expectedContext: 'admin' });
+  });
+});
@@ -0,0 +1,140 @@
+import { jest } from '@jest/globals';
+import { signContextAssertion, verifyContextAssertion } from '../src/contextAssertion.js';
+import { resolveAuthContext, explainAuthContext } from '../src/contextUtils.js';
+import { extractToken } from '../src/tokenExtractor.js';
+import { createContextRegistry } from '../src/contextRegistry.js';
+
+const secret = 'context-assertion-secret-0123456789abcdef';
+
+describe('Signed Context Assertions', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('signContextAssertion', () => {
+    it('should produce context.exp.signature', () => {
+      jest.spyOn(Date, 'now').mockReturnValue(1_700_000_000_000);
+      expect(signContextAssertion('admin', { secret })).toMatch(/^admin\.1700000060\.[A-Za-z0-9_-]{43}$/);
+      expect(signContextAssertion('admin', { secret, expiresIn: 5 })).toMatch(/^admin\.1700000005\./);
+    });
+
+    it('should validate its arguments', () => {
+      expect(() => signContextAssertion('admin', { secret: 'short' })).toThrow('at least 32 bytes');
+      expect(() => signContextAssertion('admin', {})).toThrow('at least 32 bytes');
+      expect(() => signContextAssertion('ad.min', { secret })).toThrow('alphanumeric');
+      expect(() => signContextAssertion('admin', { secret, expiresIn: 0 })).toThrow('expiresIn');
+    });
+  });
+
+  describe('verifyContextAssertion', () => {
+    it('should return the asserted context', () => {
+      expect(verifyContextAssertion(signContextAssertion('vendor', { secret }), { secret })).toBe('vendor');
+    });
+
+    it('should reject tampered, foreign and malformed assertions', () => {
+      const assertion = signContextAssertion('vendor', { secret });
+      const [, exp, signature] = assertion.split('.');
+
+      expect(verifyContextAssertion(`admin.${exp}.${signature}`, { secret })).toBeNull();
+      expect(verifyContextAssertion(`vendor.${Number(exp) + 1}.${signature}`, { secret })).toBeNull();
+      expect(verifyContextAssertion(assertion, { secret: `${secret}-other` })).toBeNull();
+      expect(verifyContextAssertion('vendor', { secret })).toBeNull();
+      expect(verifyContextAssertion(undefined, { secret })).toBeNull();
+    });
+
+    it('should reject expired assertions', () => {
+      const now = 1_700_000_000_000;
+      jest.spyOn(Date, 'now').mockReturnValue(now);
+      const assertion = signContextAssertion('admin', { secret, expiresIn: 10 });
+
+      Date.now.mockReturnValue(now + 10_000);
+      expect(verifyContextAssertion(assertion, { secret })).toBeNull();
+      expect(verifyContextAssertion(assertion, { secret, clockTolerance: 5 })).toBe('admin');
+    });
+
+    it('should accept any of several secrets', () => {
+      const next = 'next-context-assertion-secret-0123456789';
+      const assertion = signContextAssertion('admin', { secret: next });
+      expect(verifyContextAssertion(assertion, { secret: [secret, next] })).toBe('admin');
+    });
+
+    it('should require a secret', () => {
+      expect(() => verifyContextAssertion('admin.1.x', {})).toThrow('at least 32 bytes');
+    });
+  });
+
+  describe('context resolution', () => {
+    const contextAssertion = { secret };
+
+    it('should resolve a signed assertion in production', () => {
+      const req = { headers: { 'x-auth-context-assertion': signContextAssertion('admin', { secret }) } };
+
+      expect(resolveAuthContext(req)).toBeNull();
+      expect(resolveAuthContext(req, { contextAssertion })).toBe('admin');
+
+      const { source, checked } = explainAuthContext(req, { contextAssertion });
+      expect(source).toBe('assertion');
+      expect(checked[0].value).toMatch(/^admin\.\d+$/);
+    });
+
+    it('should take precedence over Origin', () => {
+      const req = {
+        headers: {
+          origin: 'https://vendor.example.com',
+          'x-auth-context-assertion': signContextAssertion('admin', { secret }),
+        },
+      };
+      expect(resolveAuthContext(req, { contextAssertion })).toBe('admin');
+    });
+
+    it('should fall back to headers when the assertion is invalid', () => {
+      const req = {
+        headers: {
+          origin: 'https://vendor.example.com',
+          'x-auth-context-assertion': 'admin.99999999999.AAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAA',
+        },
+      };
+      expect(explainAuthContext(req, { contextAssertion })).toMatchObject({
+        context: 'vendor',
+        source: 'origin',
+        checked: [
+          { source: 'assertion', value: 'admin.99999999999', context: null },
+          { source: 'origin', value: 'https://vendor.example.com', context: 'vendor' },
+        ],
+      });
+    });
+
+    it('should ignore assertions for unknown contexts', () => {
+      const req = { headers: { 'x-auth-context-assertion': signContextAssertion('partner', { secret }) } };
+      expect(resolveAuthContext(req, { contextAssertion })).toBeNull();
+
+      const registry = createContextRegistry({ contexts: ['partner'], origins: { partner: [] } });
+      expect(resolveAuthContext(req, { contextAssertion, registry })).toBe('partner');
+    });
+
+    it('should support a custom header name', () => {
+      const req = { headers: { 'x-internal-context': signContextAssertion('vendor', { secret }) } };
+      expect(resolveAuthContext(req, {
+        contextAssertion: { secret, header: 'X-Internal-Context' },
+      })).toBe('vendor');
+    });
+
+    it('should keep the raw override development-only', () => {
+      const req = { headers: { 'x-auth-context': 'admin' } };
+      expect(resolveAuthContext(req, { contextAssertion })).toBeNull();
+      expect(resolveAuthContext(req, { contextAssertion, nodeEnv: 'development' })).toBe('admin');
+    });
+
+    it('should be passed through extractToken', () => {
+      const req = {
+        headers: { 'x-auth-context-assertion': signContextAssertion('admin', { secret }) },
+        cookies: { admin_access_token: 'a', vendor_access_token: 'v' },
+      };
+      expect(extractToken(req, { contextAssertion, isolation: 'strict' })).toMatchObject({
+        token: 'a',
+        source: 'cookie',
+        context: 'admin',
+      });
+    });
+  });
+});
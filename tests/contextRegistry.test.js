@@ -0,0 +1,101 @@
+import {
+  createContextRegistry,
+  isContextRegistry,
+  DEFAULT_CONTEXT_REGISTRY,
+  DEFAULT_CONTEXT_ORIGINS,
+} from '../src/contextRegistry.js';
+import { resolveAuthContext, getContextFromType, isValidContextType, getValidContexts } from '../src/contextUtils.js';
+import { extractContextToken, extractTokenFromAllContexts, isValidTokenType } from '../src/cookieUtils.js';
+import { extractToken } from '../src/tokenExtractor.js';
+
+describe('Context Registry', () => {
+  const registry = createContextRegistry({
+    origins: {
+      ...DEFAULT_CONTEXT_ORIGINS,
+      partner: ['https://partner.example.com'],
+      support: 'https://support.example.com',
+    },
+  });
+
+  describe('createContextRegistry', () => {
+    it('should derive contexts from origins', () => {
+      expect(registry.contexts).toEqual(['admin', 'vendor', 'customer', 'partner', 'support']);
+      expect(registry.origins.support).toEqual(['https://support.example.com']);
+      expect(isContextRegistry(registry)).toBe(true);
+    });
+
+    it('should accept explicit contexts and token types', () => {
+      const custom = createContextRegistry({
+        contexts: ['partner'],
+        origins: {},
+        tokenTypes: ['access', 'api_key'],
+      });
+      expect(custom.hasContext('partner')).toBe(true);
+      expect(custom.hasContext('customer')).toBe(false);
+      expect(custom.hasTokenType('api_key')).toBe(true);
+    });
+
+    it('should be frozen', () => {
+      expect(Object.isFrozen(registry)).toBe(true);
+      expect(Object.isFrozen(registry.contexts)).toBe(true);
+      expect(Object.isFrozen(registry.origins.partner)).toBe(true);
+    });
+
+    it('should reject invalid configuration', () => {
+      expect(() => createContextRegistry({ contexts: [] })).toThrow('Contexts must be a non-empty array');
+      expect(() => createContextRegistry({ contexts: ['bad name'] })).toThrow('Invalid context name');
+      expect(() => createContextRegistry({ tokenTypes: ['a-b'] })).toThrow('Invalid token type');
+      expect(() => createContextRegistry({
+        contexts: ['customer'],
+        origins: { vendor: ['https://vendor.example.com'] },
+      })).toThrow('Origins reference unknown context: vendor');
+      expect(() => createContextRegistry({ origins: { vendor: [42] } })).toThrow(
+        'Invalid origin entry for context: vendor'
+      );
+    });
+
+    it('should expose the default registry', () => {
+      expect(DEFAULT_CONTEXT_REGISTRY.contexts).toEqual(['customer', 'vendor', 'admin']);
+      expect(isContextRegistry({ contexts: [] })).toBe(false);
+    });
+  });
+
+  describe('integration', () => {
+    it('should resolve and extract a custom context token', () => {
+      const req = {
+        headers: { origin: 'https://partner.example.com' },
+        cookies: { partner_access_token: 'partner-token' },
+      };
+      expect(resolveAuthContext(req, { registry })).toBe('partner');
+      expect(extractContextToken(req, 'partner', 'access', { registry })).toBe('partner-token');
+      expect(extractToken(req, { registry })).toEqual({
+        token: 'partner-token',
+        source: 'cookie',
+        context: 'partner',
+      });
+    });
+
+    it('should not find custom context tokens without the registry', () => {
+      const req = { headers: {}, cookies: { partner_access_token: 'partner-token' } };
+      expect(extractContextToken(req, 'partner', 'access')).toBeNull();
+      expect(extractTokenFromAllContexts(req, 'access', undefined, { registry })).toEqual({
+        token: 'partner-token',
+        context: 'partner',
+      });
+    });
+
+    it('should validate types and contexts against the registry', () => {
+      expect(getContextFromType('support', registry)).toBe('support');
+      expect(getContextFromType('support')).toBeNull();
+      expect(isValidContextType('partner', registry)).toBe(true);
+      expect(getValidContexts(registry)).toContain('partner');
+      expect(isValidTokenType('api_key', createContextRegistry({ tokenTypes: ['api_key'] }))).toBe(true);
+    });
+
+    it('should reject objects that are not registries', () => {
+      expect(() => extractToken({ headers: {} }, { registry: { contexts: ['x'] } })).toThrow(
+        'Registry must be created with createContextRegistry()'
+      );
+    });
+  });
+});
@@ -12,6 +12,8 @@ import {
   isOriginAllowedForContext,
   getValidContexts,
   isValidContextType,
+  resolveAuthScope,
+  isValidTenantId,
 } from '../src/contextUtils.js';
 
 describe('Context Utils', () => {
@@ -37,6 +39,26 @@ describe('Context Utils', () => {
       const context = resolveAuthContext(req);
       expect(context).toBeNull();
     });
+
+    test('should resolve context from pattern origins', () => {
+      const contextOrigins = {
+        vendor: ['https://*.vendor.example.com'],
+        customer: [/^https:\/\/pr-\d+\.preview\.example\.com$/],
+      };
+
+      expect(resolveAuthContext(
+        { headers: { origin: 'https://acme.vendor.example.com' } },
+        { contextOrigins }
+      )).toBe('vendor');
+      expect(resolveAuthContext(
+        { headers: { referer: 'https://pr-7.preview.example.com/login' } },
+        { contextOrigins }
+      )).toBe('customer');
+      expect(resolveAuthContext(
+        { headers: { origin: 'https://vendor.example.com.evil.com' } },
+        { contextOrigins }
+      )).toBeNull();
+    });
   });
 
   describe('getContextFromType', () => {
@@ -68,6 +90,12 @@ describe('Context Utils', () => {
       );
       expect(allowed).toBe(false);
     });
+
+    test('should validate pattern origins', () => {
+      const contextOrigins = { vendor: 'https://*.vendor.example.com' };
+      expect(isOriginAllowedForContext('https://acme.vendor.example.com', 'vendor', contextOrigins)).toBe(true);
+      expect(isOriginAllowedForContext('http://acme.vendor.example.com', 'vendor', contextOrigins)).toBe(false);
+    });
   });
 
   describe('getValidContexts', () => {
@@ -87,4 +115,78 @@ describe('Context Utils', () => {
       expect(isValidContextType('invalid')).toBe(false);
     });
   });
+
+  describe('resolveAuthScope', () => {
+    const contextOrigins = {
+      vendor: ['https://*.vendor.example.com'],
+      customer: ['https://app.example.com'],
+    };
+
+    test('should resolve tenant from subdomain', () => {
+      const req = { headers: { origin: 'https://acme.vendor.example.com' } };
+      expect(resolveAuthScope(req, {
+        contextOrigins,
+        tenantResolver: { subdomain: 'vendor.example.com' },
+      })).toEqual({ context: 'vendor', tenant: 'acme' });
+    });
+
+    test('should fall back to the Host header for the subdomain', () => {
+      const req = { headers: { host: 'Globex.vendor.example.com:8443' } };
+      expect(resolveAuthScope(req, {
+        contextOrigins,
+        tenantResolver: { subdomain: ['other.com', 'vendor.example.com'] },
+      })).toEqual({ context: null, tenant: 'globex' });
+    });
+
+    test('should ignore nested subdomains', () => {
+      const req = { headers: { origin: 'https://a.b.vendor.example.com' } };
+      expect(resolveAuthScope(req, { tenantResolver: { subdomain: 'vendor.example.com' } }).tenant).toBeNull();
+    });
+
+    test('should resolve tenant from path prefix', () => {
+      expect(resolveAuthScope({ headers: {}, path: '/acme/orders' }, {
+        tenantResolver: { pathPrefix: true },
+      }).tenant).toBe('acme');
+      expect(resolveAuthScope({ headers: {}, url: '/t/initech/orders?x=1' }, {
+        tenantResolver: { pathPrefix: '/t' },
+      }).tenant).toBe('initech');
+      expect(resolveAuthScope({ headers: {}, url: '/orders' }, {
+        tenantResolver: { pathPrefix: '/t/' },
+      }).tenant).toBeNull();
+    });
+
+    test('should resolve tenant from header', () => {
+      const req = { headers: { origin: 'https://app.example.com', 'x-tenant-id': 'acme' } };
+      expect(resolveAuthScope(req, {
+        contextOrigins,
+        tenantResolver: { header: 'X-Tenant-Id' },
+      })).toEqual({ context: 'customer', tenant: 'acme' });
+    });
+
+    test('should prefer the custom resolver and skip invalid tenants', () => {
+      const req = { headers: { 'x-tenant-id': 'from-header' } };
+      expect(resolveAuthScope(req, {
+        tenantResolver: { resolve: () => 'custom', header: 'x-tenant-id' },
+      }).tenant).toBe('custom');
+      expect(resolveAuthScope(req, {
+        tenantResolver: { resolve: () => 'not valid!', header: 'x-tenant-id' },
+      }).tenant).toBe('from-header');
+    });
+
+    test('should return null tenant without tenant config', () => {
+      expect(resolveAuthScope({ headers: {} })).toEqual({ context: null, tenant: null });
+      expect(resolveAuthScope(null)).toEqual({ context: null, tenant: null });
+    });
+  });
+
+  describe('isValidTenantId', () => {
+    test('should validate tenant IDs', () => {
+      expect(isValidTenantId('acme')).toBe(true);
+      expect(isValidTenantId('acme-2')).toBe(true);
+      expect(isValidTenantId('acme_corp')).toBe(false);
+      expect(isValidTenantId('-acme')).toBe(false);
+      expect(isValidTenantId('')).toBe(false);
+      expect(isValidTenantId(null)).toBe(false);
+    });
+  });
 });
@@ -0,0 +1,90 @@
+import {
+  parseCookieHeader,
+  getRequestCookies,
+  MAX_COOKIE_HEADER_SIZE,
+} from '../src/cookieParser.js';
+import { extractContextToken } from '../src/cookieUtils.js';
+import { extractToken } from '../src/tokenExtractor.js';
+
+describe('Cookie Parser', () => {
+  describe('parseCookieHeader', () => {
+    it('should parse name/value pairs', () => {
+      expect({ ...parseCookieHeader('a=1; b=2;c=3') }).toEqual({ a: '1', b: '2', c: '3' });
+    });
+
+    it('should keep the first of duplicate names', () => {
+      expect(parseCookieHeader('token=specific; token=generic').token).toBe('specific');
+    });
+
+    it('should strip quotes and percent-decode values', () => {
+      const cookies = parseCookieHeader('q="quoted value"; p=a%20b%3Dc; bad=%E0%A4%A');
+      expect(cookies.q).toBe('quoted value');
+      expect(cookies.p).toBe('a b=c');
+      expect(cookies.bad).toBe('%E0%A4%A');
+    });
+
+    it('should keep values containing =', () => {
+      expect(parseCookieHeader('jwt=a.b.c==').jwt).toBe('a.b.c==');
+    });
+
+    it('should skip malformed pairs', () => {
+      expect({ ...parseCookieHeader('novalue; =x; ok=1') }).toEqual({ ok: '1' });
+    });
+
+    it('should ignore oversized headers', () => {
+      const header = `big=${'x'.repeat(MAX_COOKIE_HEADER_SIZE)}`;
+      expect({ ...parseCookieHeader(header) }).toEqual({});
+      expect(parseCookieHeader('a=1', { maxHeaderSize: 2 }).a).toBeUndefined();
+    });
+
+    it('should not be vulnerable to prototype pollution', () => {
+      const cookies = parseCookieHeader('__proto__=polluted; constructor=x');
+      expect(Object.getPrototypeOf(cookies)).toBeNull();
+      expect({}.polluted).toBeUndefined();
+    });
+
+    it('should handle missing and array headers', () => {
+      expect({ ...parseCookieHeader(undefined) }).toEqual({});
+      expect({ ...parseCookieHeader(['a=1', 'b=2']) }).toEqual({ a: '1', b: '2' });
+    });
+  });
+
+  describe('getRequestCookies', () => {
+    it('should prefer req.cookies when populated', () => {
+      const req = { cookies: { a: 'parsed' }, headers: { cookie: 'a=raw' } };
+      expect(getRequestCookies(req).a).toBe('parsed');
+    });
+
+    it('should parse the raw header otherwise and reparse when it changes', () => {
+      const req = { headers: { cookie: 'a=raw' } };
+      expect(getRequestCookies(req).a).toBe('raw');
+      req.headers.cookie = 'a=changed';
+      expect(getRequestCookies(req).a).toBe('changed');
+    });
+
+    it('should not reuse cookies parsed under another size limit', () => {
+      const req = { headers: { cookie: `a=${'x'.repeat(100)}` } };
+      expect(getRequestCookies(req).a).toHaveLength(100);
+      expect(getRequestCookies(req, { maxHeaderSize: 50 }).a).toBeUndefined();
+      expect(getRequestCookies(req).a).toHaveLength(100);
+    });
+  });
+
+  describe('extractor integration', () => {
+    it('should extract context tokens without req.cookies', () => {
+      const req = { headers: { cookie: 'vendor_access_token=vendor-token' } };
+      expect(extractContextToken(req, 'vendor', 'access')).toBe('vendor-token');
+    });
+
+    it('should resolve context and legacy cookies from the raw header', () => {
+      expect(extractToken({
+        headers: {
+          origin: 'https://customer.example.com',
+          cookie: 'customer_access_token=customer-token',
+        },
+      })).toEqual({ token: 'customer-token', source: 'cookie', context: 'customer' });
+
+      expect(extractToken({ headers: { cookie: 'accessToken=legacy' } }).token).toBe('legacy');
+    });
+  });
+});
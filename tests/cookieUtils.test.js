@@ -5,6 +5,9 @@ import {
   extractContextTokens,
   isValidTokenType,
   getValidTokenTypes,
+  getLegacyCookieNames,
+  encodeCookieChunks,
+  readChunkedCookie,
   VALID_TOKEN_TYPES,
 } from '../src/cookieUtils.js';
 
@@ -22,6 +25,11 @@ describe('Cookie Utils', () => {
       expect(getCookieName('admin', 'signup')).toBe('admin_signup_token');
     });
 
+    it('should namespace cookie name by tenant', () => {
+      expect(getCookieName('vendor', 'access', 'acme')).toBe('acme_vendor_access_token');
+      expect(() => getCookieName('vendor', 'access', 'bad_tenant')).toThrow('Tenant must be alphanumeric with dashes');
+    });
+
     it('should default to access token type', () => {
       expect(getCookieName('customer')).toBe('customer_access_token');
     });
@@ -83,6 +91,31 @@ describe('Cookie Utils', () => {
     });
   });
 
+  describe('tenant-namespaced cookies', () => {
+    const req = {
+      cookies: {
+        acme_vendor_access_token: 'acme-token',
+        globex_vendor_access_token: 'globex-token',
+        vendor_access_token: 'shared-token',
+      },
+    };
+
+    it('should read the tenant cookie', () => {
+      expect(extractContextToken(req, 'vendor', 'access', { tenant: 'acme' })).toBe('acme-token');
+      expect(extractContextToken(req, 'vendor', 'access', { tenant: 'globex' })).toBe('globex-token');
+      expect(extractContextToken(req, 'vendor', 'access')).toBe('shared-token');
+    });
+
+    it('should not fall back to other tenants', () => {
+      expect(extractContextToken(req, 'vendor', 'access', { tenant: 'initech' })).toBeNull();
+      expect(extractContextToken(req, 'vendor', 'access', { tenant: 'bad_tenant' })).toBeNull();
+      expect(extractTokenFromAllContexts(req, 'access', undefined, { tenant: 'acme' })).toEqual({
+        token: 'acme-token',
+        context: 'vendor',
+      });
+    });
+  });
+
   describe('extractTokenFromAllContexts', () => {
     it('should find token in customer context', () => {
       const req = {
@@ -256,6 +289,54 @@ describe('Cookie Utils', () => {
     });
   });
 
+  describe('getLegacyCookieNames', () => {
+    it('should list the generic legacy names in lookup order', () => {
+      expect(getLegacyCookieNames()).toEqual(['accessToken', 'access', 'access_token', 'accessToken', 'access_token']);
+      expect(getLegacyCookieNames('otp')).toEqual(['otpToken', 'otp', 'otp_token', 'accessToken', 'access_token']);
+    });
+  });
+
+  describe('cookie chunks', () => {
+    const value = `eyJ${'x'.repeat(250)}`;
+    const toCookies = (chunks, name = 'admin_access_token') => Object.fromEntries(
+      chunks.map((chunk, index) => [`${name}.${index}`, chunk])
+    );
+
+    it('should split values within the size and read them back', () => {
+      const chunks = encodeCookieChunks(value, 100);
+      expect(chunks).toHaveLength(3);
+      expect(chunks[0]).toMatch(/^3\.[A-Za-z0-9_-]{16}\.eyJ/);
+      expect(chunks.every(chunk => encodeURIComponent(chunk).length <= 100)).toBe(true);
+      expect(readChunkedCookie(toCookies(chunks), 'admin_access_token')).toBe(value);
+    });
+
+    it('should reject missing, stale and tampered chunks', () => {
+      const chunks = encodeCookieChunks(value, 100);
+      const stale = encodeCookieChunks(`eyJ${'y'.repeat(250)}`, 100);
+
+      expect(readChunkedCookie(toCookies(chunks.slice(0, 2)), 'admin_access_token')).toBeNull();
+      expect(readChunkedCookie(toCookies([chunks[0], stale[1], chunks[2]]), 'admin_access_token')).toBeNull();
+      expect(readChunkedCookie({ 'admin_access_token.0': 'not-a-chunk' }, 'admin_access_token')).toBeNull();
+      expect(readChunkedCookie({}, 'admin_access_token')).toBeNull();
+    });
+
+    it('should ignore extra chunks beyond the count', () => {
+      const cookies = { ...toCookies(encodeCookieChunks(value, 100)), 'admin_access_token.3': 'leftover' };
+      expect(readChunkedCookie(cookies, 'admin_access_token')).toBe(value);
+    });
+
+    it('should be reassembled by extractContextToken', () => {
+      const req = { headers: {}, cookies: toCookies(encodeCookieChunks(value, 100), '__Secure-admin_access_token') };
+      expect(extractContextToken(req, 'admin', 'access')).toBe(value);
+      expect(extractContextToken(req, 'vendor', 'access')).toBeNull();
+    });
+
+    it('should validate the chunk size', () => {
+      expect(() => encodeCookieChunks(value, 10)).toThrow('Chunk size must be an integer of at least 32');
+      expect(() => encodeCookieChunks('x'.repeat(2000), 100)).toThrow('more than 10');
+    });
+  });
+
   describe('VALID_TOKEN_TYPES', () => {
     it('should be exported and contain valid types', () => {
       expect(VALID_TOKEN_TYPES).toBeDefined();
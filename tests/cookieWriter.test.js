@@ -0,0 +1,373 @@
+import { IncomingMessage, ServerResponse } from 'node:http';
+import { Socket } from 'node:net';
+import {
+  setContextCookie,
+  clearContextCookie,
+  logoutContext,
+  createCookiePolicy,
+  resolveCookieOptions,
+  serializeCookie,
+  MAX_COOKIE_SIZE,
+  MAX_CHUNKED_COOKIE_SIZE,
+} from '../src/cookieWriter.js';
+import { extractContextToken } from '../src/cookieUtils.js';
+import { parseCookieHeader, MAX_COOKIE_HEADER_SIZE } from '../src/cookieParser.js';
+import { createContextRegistry } from '../src/contextRegistry.js';
+import { createResponse } from './helpers/response.js';
+
+/**
+ * Applies Set-Cookie headers to a browser-like cookie jar
+ */
+function applySetCookies(jar, headers) {
+  for (const header of headers) {
+    const [pair] = header.split('; ');
+    const separator = pair.indexOf('=');
+    const name = pair.slice(0, separator);
+    if (header.includes('Max-Age=0')) {
+      delete jar[name];
+    } else {
+      jar[name] = decodeURIComponent(pair.slice(separator + 1));
+    }
+  }
+  return jar;
+}
+
+describe('Cookie Writer', () => {
+  describe('serializeCookie', () => {
+    it('should serialize value and attributes', () => {
+      expect(serializeCookie('a', 'b c', {
+        maxAge: 60,
+        path: '/',
+        domain: 'example.com',
+        secure: true,
+        httpOnly: true,
+        sameSite: 'Lax',
+      })).toBe('a=b%20c; Max-Age=60; Domain=example.com; Path=/; Secure; HttpOnly; SameSite=Lax');
+    });
+
+    it('should reject invalid names and values', () => {
+      expect(() => serializeCookie('bad name', 'x')).toThrow('Invalid cookie name');
+      expect(() => serializeCookie('a', 1)).toThrow('Cookie value must be a string');
+      expect(() => serializeCookie('a', 'x', { maxAge: Infinity })).toThrow('Max-Age');
+    });
+  });
+
+  describe('resolveCookieOptions', () => {
+    it('should apply secure defaults', () => {
+      expect(resolveCookieOptions('customer', 'access')).toMatchObject({
+        name: 'customer_access_token',
+        httpOnly: true,
+        secure: true,
+        sameSite: 'Lax',
+        path: '/',
+      });
+    });
+
+    it('should make admin cookies SameSite=Strict', () => {
+      expect(resolveCookieOptions('admin', 'access').sameSite).toBe('Strict');
+    });
+
+    it('should merge policy layers in order', () => {
+      const policy = createCookiePolicy({
+        defaults: { domain: 'example.com' },
+        contexts: { vendor: { maxAge: 600 } },
+        tokenTypes: { refresh: { path: '/auth/refresh', maxAge: 3600 } },
+      });
+      expect(resolveCookieOptions('vendor', 'access', { policy })).toMatchObject({
+        domain: 'example.com',
+        maxAge: 600,
+        path: '/',
+      });
+      expect(resolveCookieOptions('vendor', 'refresh', { policy })).toMatchObject({
+        path: '/auth/refresh',
+        maxAge: 3600,
+      });
+      expect(resolveCookieOptions('vendor', 'refresh', { policy, maxAge: 10 }).maxAge).toBe(10);
+    });
+
+    it('should enforce prefix rules', () => {
+      expect(resolveCookieOptions('admin', 'access', { prefix: '__Host-' }).name)
+        .toBe('__Host-admin_access_token');
+      expect(() => resolveCookieOptions('admin', 'access', { prefix: '__Host-', domain: 'example.com' }))
+        .toThrow('__Host- cookies must have Path=/ and no Domain');
+      expect(() => resolveCookieOptions('admin', 'refresh', { prefix: '__Host-', path: '/auth' }))
+        .toThrow('__Host- cookies must have Path=/ and no Domain');
+      expect(() => resolveCookieOptions('admin', 'access', { prefix: '__Secure-', secure: false }))
+        .toThrow('__Secure- cookies must be Secure');
+      expect(() => resolveCookieOptions('admin', 'access', { prefix: '__Other-' }))
+        .toThrow('Invalid cookie prefix');
+    });
+
+    it('should validate SameSite', () => {
+      expect(resolveCookieOptions('customer', 'access', { sameSite: 'none' }).sameSite).toBe('None');
+      expect(() => resolveCookieOptions('customer', 'access', { sameSite: 'None', secure: false }))
+        .toThrow('SameSite=None cookies must be Secure');
+      expect(() => resolveCookieOptions('customer', 'access', { sameSite: 'sometimes' }))
+        .toThrow('Invalid SameSite value');
+    });
+  });
+
+  describe('setContextCookie', () => {
+    it('should append Set-Cookie headers', () => {
+      const res = createResponse();
+      setContextCookie(res, 'customer', 'access', 'access-token', { maxAge: 900 });
+      setContextCookie(res, 'customer', 'refresh', 'refresh-token');
+      expect(res.getHeader('Set-Cookie')).toEqual([
+        'customer_access_token=access-token; Max-Age=900; Path=/; Secure; HttpOnly; SameSite=Lax',
+        'customer_refresh_token=refresh-token; Path=/; Secure; HttpOnly; SameSite=Lax',
+      ]);
+    });
+
+    it('should preserve unrelated Set-Cookie headers and replace the same cookie', () => {
+      const res = createResponse();
+      res.setHeader('Set-Cookie', 'theme=dark');
+      setContextCookie(res, 'vendor', 'access', 'first');
+      setContextCookie(res, 'vendor', 'access', 'second');
+      const headers = res.getHeader('Set-Cookie');
+      expect(headers).toHaveLength(2);
+      expect(headers[0]).toBe('theme=dark');
+      expect(headers[1]).toMatch(/^vendor_access_token=second;/);
+    });
+
+    it('should work with http.ServerResponse', () => {
+      const res = new ServerResponse(new IncomingMessage(new Socket()));
+      setContextCookie(res, 'admin', 'access', 'token', { prefix: '__Host-' });
+      expect(res.getHeader('set-cookie')).toEqual([
+        '__Host-admin_access_token=token; Path=/; Secure; HttpOnly; SameSite=Strict',
+      ]);
+    });
+
+    it('should reject unknown contexts and token types', () => {
+      const res = createResponse();
+      expect(() => setContextCookie(res, 'partner', 'access', 'x')).toThrow('Unknown context: partner');
+      expect(() => setContextCookie(res, 'customer', 'magic', 'x')).toThrow('Unknown token type: magic');
+      expect(() => setContextCookie({}, 'customer', 'access', 'x')).toThrow('Response must support');
+    });
+
+    it('should namespace cookies by tenant', () => {
+      const res = createResponse();
+      setContextCookie(res, 'vendor', 'access', 'x', { tenant: 'acme' });
+      setContextCookie(res, 'vendor', 'access', 'y', { tenant: 'globex' });
+      expect(res.getHeader('Set-Cookie').map(header => header.split('=')[0])).toEqual([
+        'acme_vendor_access_token',
+        'globex_vendor_access_token',
+      ]);
+    });
+
+    it('should accept registry contexts', () => {
+      const registry = createContextRegistry({ contexts: ['partner'], origins: {} });
+      const res = createResponse();
+      setContextCookie(res, 'partner', 'access', 'x', { registry });
+      expect(res.getHeader('Set-Cookie')[0]).toMatch(/^partner_access_token=x;/);
+    });
+  });
+
+  describe('clearContextCookie', () => {
+    it('should expire the cookie with matching attributes', () => {
+      const res = createResponse();
+      const policy = createCookiePolicy({ tokenTypes: { refresh: { path: '/auth/refresh', maxAge: 3600 } } });
+      clearContextCookie(res, 'vendor', 'refresh', { policy });
+      expect(res.getHeader('Set-Cookie')).toEqual([
+        'vendor_refresh_token=; Max-Age=0; Expires=Thu, 01 Jan 1970 00:00:00 GMT; Path=/auth/refresh; Secure; HttpOnly; SameSite=Lax',
+      ]);
+    });
+  });
+
+  describe('logoutContext', () => {
+    const names = (headers) => headers.map(header => header.split('=')[0]);
+
+    it('should clear the session cookies of one context', () => {
+      const res = createResponse();
+      const headers = logoutContext(res, 'vendor');
+      expect(names(headers)).toEqual([
+        'vendor_access_token',
+        'vendor_refresh_token',
+        'vendor_csrf_token',
+        'vendor_session_token',
+      ]);
+      expect(res.getHeader('Set-Cookie')).toEqual(headers);
+      expect(headers.every(header => header.includes('; Max-Age=0; Expires=Thu, 01 Jan 1970'))).toBe(true);
+      expect(res.getHeader('Clear-Site-Data')).toBeUndefined();
+    });
+
+    it('should clear every token type and legacy cookie with policy attributes', () => {
+      const res = createResponse();
+      const policy = createCookiePolicy({
+        contexts: { admin: { prefix: '__Secure-' } },
+        tokenTypes: { refresh: { path: '/auth/refresh' } },
+      });
+      const headers = logoutContext(res, 'admin', { allTokenTypes: true, includeLegacy: true, policy });
+
+      expect(names(headers)).toEqual([
+        '__Secure-admin_access_token',
+        '__Secure-admin_refresh_token',
+        '__Secure-admin_signup_token',
+        '__Secure-admin_otp_token',
+        '__Secure-admin_password_reset_token',
+        '__Secure-admin_csrf_token',
+        '__Secure-admin_session_token',
+        'accessToken',
+        'access',
+        'access_token',
+        'refreshToken',
+        'refresh',
+        'refresh_token',
+        'signupToken',
+        'signup',
+        'signup_token',
+        'otpToken',
+        'otp',
+        'otp_token',
+        'password_resetToken',
+        'password_reset',
+        'password_reset_token',
+        'csrfToken',
+        'csrf',
+        'csrf_token',
+        'sessionToken',
+        'session',
+        'session_token',
+      ]);
+      expect(headers[1]).toContain('Path=/auth/refresh');
+      expect(headers.find(header => header.startsWith('refreshToken='))).toContain('Path=/auth/refresh');
+    });
+
+    it('should clear the given token types with tenant names', () => {
+      const res = createResponse();
+      expect(names(logoutContext(res, 'customer', { tokenTypes: ['otp'], tenant: 'acme' })))
+        .toEqual(['acme_customer_otp_token']);
+    });
+
+    it('should send Clear-Site-Data when asked', () => {
+      const res = createResponse();
+      logoutContext(res, 'customer', { clearSiteData: true });
+      expect(res.getHeader('Clear-Site-Data')).toBe('"cookies"');
+
+      logoutContext(res, 'customer', { clearSiteData: ['cookies', 'storage'] });
+      expect(res.getHeader('Clear-Site-Data')).toBe('"cookies", "storage"');
+    });
+
+    it('should only clear registry token types by default', () => {
+      const registry = createContextRegistry({
+        origins: { partner: ['https://partner.example.com'] },
+        tokenTypes: ['access', 'refresh'],
+      });
+      expect(names(logoutContext(createResponse(), 'partner', { registry })))
+        .toEqual(['partner_access_token', 'partner_refresh_token']);
+    });
+
+    it('should validate its arguments', () => {
+      expect(() => logoutContext(createResponse(), 'partner')).toThrow('Unknown context: partner');
+      expect(() => logoutContext(createResponse(), 'vendor', { clearSiteData: ['everything'] }))
+        .toThrow('Invalid Clear-Site-Data type: everything');
+      expect(() => logoutContext(createResponse(), 'vendor', { clearSiteData: [] }))
+        .toThrow('clearSiteData must be true or a non-empty array');
+    });
+  });
+
+  describe('chunked cookies', () => {
+    const largeToken = `eyJ${'a'.repeat(5500)}`;
+    const options = { maxChunks: 4 };
+
+    it('should split large values and reassemble them', () => {
+      const res = createResponse();
+      const header = setContextCookie(res, 'admin', 'access', largeToken, options);
+      const headers = res.getHeader('Set-Cookie');
+
+      expect(header).toMatch(/^admin_access_token\.0=2\.[A-Za-z0-9_-]{16}\.eyJ/);
+      expect(headers.filter(value => !value.includes('Max-Age=0')).map(value => value.split('=')[0]))
+        .toEqual(['admin_access_token.0', 'admin_access_token.1']);
+      expect(headers.every(value => value.length <= MAX_COOKIE_SIZE)).toBe(true);
+      expect(headers.filter(value => value.includes('Max-Age=0')).map(value => value.split('=')[0]))
+        .toEqual(['admin_access_token', 'admin_access_token.2', 'admin_access_token.3']);
+
+      const cookies = applySetCookies({}, headers);
+      expect(extractContextToken({ headers: {}, cookies }, 'admin', 'access')).toBe(largeToken);
+    });
+
+    it('should round-trip through the raw Cookie header', () => {
+      const res = createResponse();
+      setContextCookie(res, 'admin', 'access', largeToken, options);
+      const jar = applySetCookies({ theme: 'dark' }, res.getHeader('Set-Cookie'));
+      const header = Object.entries(jar)
+        .map(([name, value]) => `${name}=${encodeURIComponent(value)}`)
+        .join('; ');
+
+      expect(header.length).toBeLessThanOrEqual(MAX_COOKIE_HEADER_SIZE);
+      const cookies = parseCookieHeader(header);
+      expect(cookies.theme).toBe('dark');
+      expect(extractContextToken({ headers: { cookie: header } }, 'admin', 'access')).toBe(largeToken);
+    });
+
+    it('should write small values unchunked and expire stale chunks', () => {
+      const cookies = applySetCookies({}, (() => {
+        const res = createResponse();
+        setContextCookie(res, 'admin', 'access', largeToken, options);
+        return res.getHeader('Set-Cookie');
+      })());
+
+      const res = createResponse();
+      expect(setContextCookie(res, 'admin', 'access', 'small', options))
+        .toBe('admin_access_token=small; Path=/; Secure; HttpOnly; SameSite=Strict');
+      applySetCookies(cookies, res.getHeader('Set-Cookie'));
+
+      expect(Object.keys(cookies)).toEqual(['admin_access_token']);
+      expect(extractContextToken({ headers: {}, cookies }, 'admin', 'access')).toBe('small');
+    });
+
+    it('should keep non-ASCII characters intact across chunks', () => {
+      const value = 'é'.repeat(900);
+      const res = createResponse();
+      setContextCookie(res, 'admin', 'access', value, options);
+
+      const cookies = applySetCookies({}, res.getHeader('Set-Cookie'));
+      expect(extractContextToken({ headers: {}, cookies }, 'admin', 'access')).toBe(value);
+    });
+
+    it('should apply maxChunks from the policy and keep the prefix first', () => {
+      const policy = createCookiePolicy({ contexts: { admin: { prefix: '__Host-', maxChunks: 2 } } });
+      const res = createResponse();
+      setContextCookie(res, 'admin', 'access', largeToken, { policy });
+
+      const cookies = applySetCookies({}, res.getHeader('Set-Cookie'));
+      expect(Object.keys(cookies)).toEqual(['__Host-admin_access_token.0', '__Host-admin_access_token.1']);
+      expect(extractContextToken({ headers: {}, cookies }, 'admin', 'access')).toBe(largeToken);
+    });
+
+    it('should reject values the Cookie header cannot carry', () => {
+      expect(() => setContextCookie(createResponse(), 'admin', 'access', `eyJ${'a'.repeat(7000)}`, options))
+        .toThrow(`over the ${MAX_CHUNKED_COOKIE_SIZE}-byte limit`);
+      expect(() => resolveCookieOptions('admin', 'access', { maxChunks: 0 }))
+        .toThrow('maxChunks must be an integer from 1 to 10');
+    });
+
+    it('should reject oversized values without maxChunks instead of writing them', () => {
+      const res = createResponse();
+      expect(() => setContextCookie(res, 'admin', 'access', largeToken))
+        .toThrow(/^Cookie admin_access_token is \d+ bytes, over the 4096-byte limit; set maxChunks to split it$/);
+      expect(res.getHeader('Set-Cookie')).toBeUndefined();
+    });
+
+    it('should clear chunks with clearContextCookie and logoutContext', () => {
+      const res = createResponse();
+      expect(clearContextCookie(res, 'admin', 'access', options)).toMatch(/^admin_access_token=; Max-Age=0;/);
+      expect(res.getHeader('Set-Cookie').map(value => value.split('=')[0])).toEqual([
+        'admin_access_token',
+        'admin_access_token.0',
+        'admin_access_token.1',
+        'admin_access_token.2',
+        'admin_access_token.3',
+      ]);
+
+      const headers = logoutContext(createResponse(), 'admin', { tokenTypes: ['access'], ...options });
+      expect(headers).toHaveLength(5);
+    });
+  });
+
+  describe('prefixed cookies', () => {
+    it('should be read by extractContextToken', () => {
+      const req = { cookies: { '__Host-admin_access_token': 'host-token', admin_access_token: 'plain' } };
+      expect(extractContextToken(req, 'admin', 'access')).toBe('host-token');
+    });
+  });
+});
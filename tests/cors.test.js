@@ -0,0 +1,167 @@
+import { jest } from '@jest/globals';
+import http from 'node:http';
+import { contextCors, resolveCorsHeaders } from '../src/cors.js';
+import { createContextRegistry } from '../src/contextRegistry.js';
+import { createResponse } from './helpers/response.js';
+
+const preflight = (origin, extra = {}) => ({
+  method: 'OPTIONS',
+  headers: {
+    origin,
+    'access-control-request-method': 'DELETE',
+    'access-control-request-headers': 'content-type',
+    ...extra,
+  },
+});
+
+describe('CORS', () => {
+  describe('resolveCorsHeaders', () => {
+    it('should reflect registered origins with credentials', () => {
+      expect(resolveCorsHeaders({
+        method: 'GET',
+        headers: { origin: 'https://admin.example.com' },
+      })).toEqual({
+        context: 'admin',
+        preflight: false,
+        headers: {
+          Vary: 'Origin',
+          'Access-Control-Allow-Origin': 'https://admin.example.com',
+          'Access-Control-Allow-Credentials': 'true',
+        },
+      });
+    });
+
+    it('should only send Vary for unregistered or null origins', () => {
+      for (const origin of ['https://evil.com', 'https://admin.example.com.evil.com', 'null', undefined]) {
+        expect(resolveCorsHeaders({ method: 'GET', headers: { origin } })).toEqual({
+          context: null,
+          preflight: false,
+          headers: { Vary: 'Origin' },
+        });
+      }
+    });
+
+    it('should describe preflight requests', () => {
+      expect(resolveCorsHeaders(preflight('https://vendor.example.com'))).toEqual({
+        context: 'vendor',
+        preflight: true,
+        headers: {
+          Vary: 'Origin, Access-Control-Request-Method, Access-Control-Request-Headers',
+          'Access-Control-Allow-Origin': 'https://vendor.example.com',
+          'Access-Control-Allow-Credentials': 'true',
+          'Access-Control-Allow-Methods': 'GET, HEAD, POST, PUT, PATCH, DELETE',
+          'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-CSRF-Token',
+          'Access-Control-Max-Age': '600',
+        },
+      });
+    });
+
+    it('should not treat plain OPTIONS requests as preflight', () => {
+      expect(resolveCorsHeaders({
+        method: 'OPTIONS',
+        headers: { origin: 'https://vendor.example.com' },
+      }).preflight).toBe(false);
+    });
+
+    it('should apply per-context settings', () => {
+      const options = {
+        exposedHeaders: ['X-Request-Id'],
+        contexts: {
+          admin: { methods: ['GET', 'POST'], maxAge: 60, exposedHeaders: [] },
+          customer: { credentials: false },
+        },
+      };
+
+      const admin = resolveCorsHeaders(preflight('https://admin.example.com'), undefined, options);
+      expect(admin.headers['Access-Control-Allow-Methods']).toBe('GET, POST');
+      expect(admin.headers['Access-Control-Max-Age']).toBe('60');
+
+      const customer = resolveCorsHeaders({
+        method: 'GET',
+        headers: { origin: 'https://app.example.com' },
+      }, undefined, options);
+      expect(customer.headers).toEqual({
+        Vary: 'Origin',
+        'Access-Control-Allow-Origin': 'https://app.example.com',
+        'Access-Control-Expose-Headers': 'X-Request-Id',
+      });
+    });
+
+    it('should accept custom origins and registries', () => {
+      const registry = createContextRegistry({
+        contexts: ['partner'],
+        origins: { partner: ['https://*.partner.example.com'] },
+      });
+      const req = { method: 'GET', headers: { origin: 'https://acme.partner.example.com' } };
+
+      expect(resolveCorsHeaders(req, registry).context).toBe('partner');
+      expect(resolveCorsHeaders(req, { partner: 'https://acme.partner.example.com' }).context).toBe('partner');
+      expect(resolveCorsHeaders(req).context).toBeNull();
+    });
+  });
+
+  describe('contextCors', () => {
+    it('should set headers and continue simple requests', () => {
+      const res = createResponse({ vary: 'Accept-Encoding' });
+      const next = jest.fn();
+
+      contextCors()({ method: 'POST', headers: { origin: 'https://vendor.example.com' } }, res, next);
+
+      expect(next).toHaveBeenCalled();
+      expect(res.headers).toEqual({
+        vary: 'Accept-Encoding, Origin',
+        'access-control-allow-origin': 'https://vendor.example.com',
+        'access-control-allow-credentials': 'true',
+      });
+    });
+
+    it('should answer preflight requests without calling next', () => {
+      const res = createResponse();
+      const next = jest.fn();
+
+      contextCors()(preflight('https://evil.com'), res, next);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.ended).toBe(true);
+      expect(res.statusCode).toBe(204);
+      expect(res.headers['access-control-allow-origin']).toBeUndefined();
+    });
+
+    it('should not duplicate Vary entries', () => {
+      const res = createResponse({ vary: 'origin' });
+      contextCors()({ method: 'GET', headers: {} }, res, () => {});
+      expect(res.headers.vary).toBe('origin');
+
+      const wildcard = createResponse({ vary: '*' });
+      contextCors()({ method: 'GET', headers: {} }, wildcard, () => {});
+      expect(wildcard.headers.vary).toBe('*');
+    });
+
+    it('should answer preflight requests on node:http', async () => {
+      const cors = contextCors();
+      const server = http.createServer((req, res) => {
+        cors(req, res, () => res.end('ok'));
+      });
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+      try {
+        const { port } = server.address();
+        const response = await fetch(`http://127.0.0.1:${port}/orders`, {
+          method: 'OPTIONS',
+          headers: {
+            Origin: 'https://customer.example.com',
+            'Access-Control-Request-Method': 'PUT',
+          },
+        });
+
+        expect(response.status).toBe(204);
+        expect(response.headers.get('access-control-allow-origin')).toBe('https://customer.example.com');
+        expect(response.headers.get('access-control-allow-methods')).toContain('PUT');
+      } finally {
+        // Node 18 keeps fetch's idle keep-alive socket open on close()
+        server.closeAllConnections();
+        await new Promise(resolve => server.close(resolve));
+      }
+    });
+  });
+});
@@ -0,0 +1,178 @@
+import { jest } from '@jest/globals';
+import {
+  generateCsrfToken,
+  issueCsrfToken,
+  verifyCsrfToken,
+  csrfProtection,
+} from '../src/csrf.js';
+import { contextAuth } from '../src/middleware.js';
+import { createResponse } from './helpers/response.js';
+
+const secret = 'csrf-test-secret';
+
+function run(middleware, req) {
+  const res = createResponse();
+  const next = jest.fn();
+  middleware(req, res, next);
+  return { res, next };
+}
+
+describe('CSRF Protection', () => {
+  describe('generateCsrfToken', () => {
+    it('should generate unique unsigned tokens', () => {
+      const token = generateCsrfToken('vendor');
+      expect(token).toMatch(/^[A-Za-z0-9_-]{43}$/);
+      expect(generateCsrfToken('vendor')).not.toBe(token);
+    });
+
+    it('should append a signature with a secret', () => {
+      expect(generateCsrfToken('vendor', { secret })).toMatch(/^[A-Za-z0-9_-]{43}\.[A-Za-z0-9_-]{43}$/);
+    });
+  });
+
+  describe('issueCsrfToken', () => {
+    it('should write a script-readable context cookie', () => {
+      const res = createResponse();
+      const token = issueCsrfToken(res, 'vendor', { secret });
+
+      expect(res.getHeader('Set-Cookie')).toEqual([
+        `vendor_csrf_token=${token}; Path=/; Secure; SameSite=Lax`,
+      ]);
+    });
+
+    it('should honor tenant and cookie overrides', () => {
+      const res = createResponse();
+      const token = issueCsrfToken(res, 'admin', { tenant: 'acme', prefix: '__Host-' });
+
+      expect(res.getHeader('Set-Cookie')).toEqual([
+        `__Host-acme_admin_csrf_token=${token}; Path=/; Secure; SameSite=Strict`,
+      ]);
+    });
+  });
+
+  describe('verifyCsrfToken', () => {
+    it('should accept a matching header and cookie', () => {
+      const token = generateCsrfToken('customer');
+      const req = {
+        headers: { 'x-csrf-token': token },
+        cookies: { customer_csrf_token: token },
+      };
+
+      expect(verifyCsrfToken(req, 'customer')).toBe(true);
+      expect(verifyCsrfToken(req, 'vendor')).toBe(false);
+      expect(verifyCsrfToken(req, null)).toBe(false);
+    });
+
+    it('should reject missing or mismatched tokens', () => {
+      const token = generateCsrfToken('customer');
+
+      expect(verifyCsrfToken({ headers: {}, cookies: { customer_csrf_token: token } }, 'customer')).toBe(false);
+      expect(verifyCsrfToken({ headers: { 'x-csrf-token': token }, cookies: {} }, 'customer')).toBe(false);
+      expect(verifyCsrfToken({
+        headers: { 'x-csrf-token': `${token}x` },
+        cookies: { customer_csrf_token: token },
+      }, 'customer')).toBe(false);
+    });
+
+    it('should verify the signature and context binding of signed tokens', () => {
+      const vendorToken = generateCsrfToken('vendor', { secret });
+      const planted = generateCsrfToken('vendor');
+      const request = (context, token) => ({
+        headers: { 'x-csrf-token': token },
+        cookies: { [`${context}_csrf_token`]: token },
+      });
+
+      expect(verifyCsrfToken(request('vendor', vendorToken), 'vendor', { secret })).toBe(true);
+      expect(verifyCsrfToken(request('admin', vendorToken), 'admin', { secret })).toBe(false);
+      expect(verifyCsrfToken(request('vendor', planted), 'vendor', { secret })).toBe(false);
+      expect(verifyCsrfToken(request('vendor', vendorToken), 'vendor', { secret: 'other' })).toBe(false);
+    });
+
+    it('should support custom header names and token getters', () => {
+      const token = generateCsrfToken('customer');
+      const cookies = { customer_csrf_token: token };
+
+      expect(verifyCsrfToken({ headers: { 'x-xsrf-token': token }, cookies }, 'customer', {
+        headerName: 'X-XSRF-Token',
+      })).toBe(true);
+      expect(verifyCsrfToken({ headers: {}, body: { _csrf: token }, cookies }, 'customer', {
+        getToken: (req) => req.body._csrf,
+      })).toBe(true);
+    });
+  });
+
+  describe('csrfProtection', () => {
+    const token = generateCsrfToken('vendor', { secret });
+    const middleware = csrfProtection({ secret });
+
+    it('should skip safe methods', () => {
+      const { next } = run(middleware, { method: 'GET', headers: {} });
+      expect(next).toHaveBeenCalled();
+    });
+
+    it('should accept unsafe requests with a valid token', () => {
+      const { next } = run(middleware, {
+        method: 'POST',
+        headers: { origin: 'https://vendor.example.com', 'x-csrf-token': token },
+        cookies: { vendor_access_token: 'session', vendor_csrf_token: token },
+      });
+      expect(next).toHaveBeenCalled();
+    });
+
+    it('should reject cookie-authenticated requests without a valid token', () => {
+      const { res, next } = run(middleware, {
+        method: 'DELETE',
+        headers: { origin: 'https://vendor.example.com' },
+        cookies: { vendor_access_token: 'session', vendor_csrf_token: token },
+      });
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.statusCode).toBe(403);
+      expect(res.body).toEqual({ error: 'Invalid CSRF token', code: 'CSRF_TOKEN_INVALID' });
+    });
+
+    it('should skip requests authenticated by a Bearer header', () => {
+      const { next } = run(middleware, {
+        method: 'POST',
+        headers: { authorization: 'Bearer api-token' },
+        cookies: {},
+      });
+      expect(next).toHaveBeenCalled();
+    });
+
+    it('should reject when no context can be determined', () => {
+      const { res } = run(middleware, {
+        method: 'POST',
+        headers: { 'x-csrf-token': token },
+        cookies: { vendor_csrf_token: token },
+      });
+      expect(res.statusCode).toBe(403);
+    });
+
+    it('should use req.auth and expectedContext from contextAuth', async () => {
+      const req = {
+        method: 'PUT',
+        headers: { 'x-csrf-token': token },
+        cookies: { vendor_access_token: 'session', vendor_csrf_token: token },
+      };
+
+      await contextAuth({ expectedContext: 'vendor' })(req, createResponse(), () => {});
+      const { next } = run(middleware, req);
+      expect(next).toHaveBeenCalled();
+
+      req.auth = { token: 'api-token', source: 'header', context: null, expectedContext: null };
+      req.headers = {};
+      expect(run(middleware, req).next).toHaveBeenCalled();
+    });
+
+    it('should call a custom onReject', () => {
+      const onReject = jest.fn();
+      run(csrfProtection({ onReject, expectedContext: 'admin' }), { method: 'PATCH', headers: {} });
+      expect(onReject).toHaveBeenCalledWith(
+        expect.any(Object),
+        expect.any(Object),
+        { status: 403, code: 'CSRF_TOKEN_INVALID', message: 'Invalid CSRF token' }
+      );
+    });
+  });
+});
@@ -0,0 +1,185 @@
+import {
+  toAuthRequest,
+  extractTokenFromRequest,
+  resolveAuthContextFromRequest,
+  extractContextTokenFromRequest,
+  setContextCookieHeader,
+  clearContextCookieHeader,
+} from '../src/fetchUtils.js';
+import { createContextRegistry } from '../src/contextRegistry.js';
+
+describe('Fetch API Utilities', () => {
+  describe('toAuthRequest', () => {
+    it('should convert a Request to the plain request shape', () => {
+      const request = new Request('https://api.example.com/orders?page=2', {
+        method: 'POST',
+        headers: { Origin: 'http://localhost:3000', Cookie: 'a=1' },
+      });
+
+      expect(toAuthRequest(request)).toEqual({
+        method: 'POST',
+        headers: { origin: 'http://localhost:3000', cookie: 'a=1' },
+        path: '/orders',
+        url: '/orders?page=2',
+      });
+    });
+
+    it('should expose a given remote address as socket.remoteAddress', () => {
+      const request = new Request('https://api.example.com/');
+      expect(toAuthRequest(request, { remoteAddress: '10.0.0.5' }).socket).toEqual({ remoteAddress: '10.0.0.5' });
+      expect(toAuthRequest(request)).not.toHaveProperty('socket');
+    });
+
+    it('should return null for non-Request values', () => {
+      expect(toAuthRequest(null)).toBeNull();
+      expect(toAuthRequest({ headers: { origin: 'x' } })).toBeNull();
+    });
+  });
+
+  describe('extractTokenFromRequest', () => {
+    it('should extract from the Authorization header', () => {
+      const request = new Request('https://api.example.com/', {
+        headers: { Authorization: 'Bearer header-token' },
+      });
+
+      expect(extractTokenFromRequest(request)).toEqual({
+        token: 'header-token',
+        source: 'header',
+        context: null,
+      });
+    });
+
+    it('should extract the resolved context cookie', () => {
+      const request = new Request('https://api.example.com/', {
+        headers: {
+          Origin: 'http://localhost:4201',
+          Cookie: 'customer_access_token=c; vendor_access_token=v',
+        },
+      });
+
+      expect(extractTokenFromRequest(request)).toEqual({
+        token: 'v',
+        source: 'cookie',
+        context: 'vendor',
+      });
+    });
+
+    it('should pass options through', () => {
+      const registry = createContextRegistry({
+        contexts: ['partner'],
+        origins: { partner: ['https://partner.example.com'] },
+      });
+      const request = new Request('https://api.example.com/', {
+        headers: {
+          Origin: 'https://partner.example.com',
+          Cookie: 'partner_refresh_token=p',
+        },
+      });
+
+      expect(extractTokenFromRequest(request, { registry, tokenType: 'refresh' })).toEqual({
+        token: 'p',
+        source: 'cookie',
+        context: 'partner',
+      });
+    });
+
+    it('should return nulls for a missing request', () => {
+      expect(extractTokenFromRequest(undefined)).toEqual({
+        token: null,
+        source: null,
+        context: null,
+      });
+    });
+  });
+
+  describe('resolveAuthContextFromRequest', () => {
+    it('should resolve from Origin and Referer', () => {
+      expect(resolveAuthContextFromRequest(new Request('https://api.example.com/', {
+        headers: { Origin: 'http://localhost:4202' },
+      }))).toBe('admin');
+
+      expect(resolveAuthContextFromRequest(new Request('https://api.example.com/', {
+        headers: { Referer: 'http://localhost:3000/cart' },
+      }))).toBe('customer');
+    });
+
+    it('should return null without context headers', () => {
+      expect(resolveAuthContextFromRequest(new Request('https://api.example.com/'))).toBeNull();
+    });
+
+    it('should honour trusted proxy headers given the remote address', () => {
+      const request = new Request('https://api.example.com/', {
+        headers: { 'X-Forwarded-Host': 'admin.example.com' },
+      });
+      const trustedProxies = ['10.0.0.0/8'];
+
+      expect(resolveAuthContextFromRequest(request, { trustedProxies })).toBeNull();
+      expect(resolveAuthContextFromRequest(request, { trustedProxies, remoteAddress: '10.0.0.5' })).toBe('admin');
+      expect(resolveAuthContextFromRequest(request, { trustedProxies, remoteAddress: '198.51.100.20' })).toBeNull();
+    });
+  });
+
+  describe('extractContextTokenFromRequest', () => {
+    it('should read context cookies from the Cookie header', () => {
+      const request = new Request('https://api.example.com/', {
+        headers: { Cookie: '__Host-admin_access_token=a; admin_refresh_token=r' },
+      });
+
+      expect(extractContextTokenFromRequest(request, 'admin')).toBe('a');
+      expect(extractContextTokenFromRequest(request, 'admin', 'refresh')).toBe('r');
+      expect(extractContextTokenFromRequest(request, 'vendor')).toBeNull();
+    });
+  });
+
+  describe('setContextCookieHeader', () => {
+    it('should append Set-Cookie to Headers', () => {
+      const headers = new Headers();
+      const header = setContextCookieHeader(headers, 'customer', 'access', 'abc', { maxAge: 900 });
+
+      expect(header).toBe('customer_access_token=abc; Max-Age=900; Path=/; Secure; HttpOnly; SameSite=Lax');
+      expect(headers.getSetCookie()).toEqual([header]);
+    });
+
+    it('should write to a Response and keep other cookies', () => {
+      const response = new Response(null);
+      response.headers.append('Set-Cookie', 'theme=dark');
+
+      setContextCookieHeader(response, 'admin', 'access', 'a');
+      setContextCookieHeader(response, 'admin', 'refresh', 'r', { path: '/auth/refresh' });
+
+      expect(response.headers.getSetCookie()).toEqual([
+        'theme=dark',
+        'admin_access_token=a; Path=/; Secure; HttpOnly; SameSite=Strict',
+        'admin_refresh_token=r; Path=/auth/refresh; Secure; HttpOnly; SameSite=Strict',
+      ]);
+    });
+
+    it('should replace an earlier cookie of the same name', () => {
+      const headers = new Headers();
+      setContextCookieHeader(headers, 'vendor', 'access', 'old');
+      setContextCookieHeader(headers, 'vendor', 'access', 'new');
+
+      expect(headers.getSetCookie()).toEqual([
+        'vendor_access_token=new; Path=/; Secure; HttpOnly; SameSite=Lax',
+      ]);
+    });
+
+    it('should reject targets that are not Headers', () => {
+      expect(() => setContextCookieHeader({}, 'vendor', 'access', 'x'))
+        .toThrow('Target must be Headers or a Response');
+      expect(() => setContextCookieHeader(null, 'vendor', 'access', 'x'))
+        .toThrow('Target must be Headers or a Response');
+    });
+  });
+
+  describe('clearContextCookieHeader', () => {
+    it('should append an expiring Set-Cookie', () => {
+      const headers = new Headers();
+      clearContextCookieHeader(headers, 'customer', 'refresh', { path: '/auth/refresh' });
+
+      expect(headers.get('set-cookie')).toBe(
+        'customer_refresh_token=; Max-Age=0; Expires=Thu, 01 Jan 1970 00:00:00 GMT; Path=/auth/refresh; Secure; HttpOnly; SameSite=Lax'
+      );
+    });
+  });
+});
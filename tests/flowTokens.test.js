@@ -0,0 +1,148 @@
+import { jest } from '@jest/globals';
+import {
+  issueFlowToken,
+  verifyFlowToken,
+  createMemoryNonceStore,
+  DEFAULT_FLOW_TTL,
+  FLOW_PURPOSES,
+} from '../src/flowTokens.js';
+import { createContextRegistry } from '../src/contextRegistry.js';
+
+const secret = 'flow-secret-flow-secret-flow-secret!';
+
+describe('Flow Tokens', () => {
+  let nonceStore;
+  let now;
+
+  beforeEach(() => {
+    nonceStore = createMemoryNonceStore();
+    now = 1_700_000_000_000;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const verify = (token, options = {}) => verifyFlowToken(token, {
+    context: 'vendor',
+    purpose: 'password_reset',
+    secret,
+    nonceStore,
+    ...options,
+  });
+
+  describe('issueFlowToken', () => {
+    it('should issue a token carrying subject and data', async () => {
+      const token = issueFlowToken('vendor', 'password_reset', { secret, subject: 'u1', data: { email: 'a@b.c' } });
+      expect(token).toMatch(/^[A-Za-z0-9_-]+\.[A-Za-z0-9_-]{43}$/);
+
+      expect(await verify(token)).toEqual({
+        context: 'vendor',
+        purpose: 'password_reset',
+        subject: 'u1',
+        data: { email: 'a@b.c' },
+        expiresAt: now + DEFAULT_FLOW_TTL.password_reset * 1000,
+      });
+    });
+
+    it('should issue unique tokens', () => {
+      const first = issueFlowToken('vendor', 'otp', { secret });
+      expect(issueFlowToken('vendor', 'otp', { secret })).not.toBe(first);
+    });
+
+    it('should validate its arguments', () => {
+      expect(() => issueFlowToken('vendor', 'otp', { secret: 'short' }))
+        .toThrow('Flow token secret must be at least 32 bytes');
+      expect(() => issueFlowToken('partner', 'otp', { secret })).toThrow('Unknown context: partner');
+      expect(() => issueFlowToken('vendor', 'magic', { secret })).toThrow('Unknown token type: magic');
+      expect(() => issueFlowToken('vendor', 'access', { secret })).toThrow('Not a flow purpose: access');
+      expect(() => issueFlowToken('vendor', 'session', { secret })).toThrow('Not a flow purpose: session');
+      expect(() => issueFlowToken('vendor', 'otp', { secret, expiresIn: 0 }))
+        .toThrow('expiresIn must be a positive integer');
+    });
+
+    it('should accept registry contexts and token types', async () => {
+      const registry = createContextRegistry({
+        origins: { partner: ['https://partner.example.com'] },
+        tokenTypes: ['access', 'magic_link'],
+      });
+      expect(() => issueFlowToken('partner', 'magic_link', { secret, registry }))
+        .toThrow('Not a flow purpose: magic_link');
+
+      const purposes = [...FLOW_PURPOSES, 'magic_link'];
+      const token = issueFlowToken('partner', 'magic_link', { secret, registry, purposes });
+      const result = await verify(token, { context: 'partner', purpose: 'magic_link' });
+      expect(result.expiresAt).toBe(now + 3600 * 1000);
+    });
+  });
+
+  describe('verifyFlowToken', () => {
+    it('should reject tokens issued for another purpose', async () => {
+      const token = issueFlowToken('vendor', 'password_reset', { secret });
+      await expect(verify(token, { purpose: 'signup' }))
+        .rejects.toMatchObject({ code: 'FLOW_TOKEN_PURPOSE_MISMATCH' });
+    });
+
+    it('should reject tokens issued in another context', async () => {
+      const token = issueFlowToken('customer', 'password_reset', { secret });
+      await expect(verify(token)).rejects.toMatchObject({ code: 'FLOW_TOKEN_CONTEXT_MISMATCH' });
+    });
+
+    it('should accept a token only once', async () => {
+      const token = issueFlowToken('vendor', 'password_reset', { secret });
+      await verify(token);
+      await expect(verify(token)).rejects.toMatchObject({
+        code: 'FLOW_TOKEN_USED',
+        message: 'Flow token was already used',
+      });
+    });
+
+    it('should check without consuming when asked', async () => {
+      const token = issueFlowToken('vendor', 'password_reset', { secret });
+      await verify(token, { consume: false, nonceStore: undefined });
+      await expect(verify(token)).resolves.toMatchObject({ purpose: 'password_reset' });
+    });
+
+    it('should reject expired tokens', async () => {
+      const token = issueFlowToken('vendor', 'otp', { secret });
+      now += DEFAULT_FLOW_TTL.otp * 1000;
+      await expect(verify(token, { purpose: 'otp' })).rejects.toMatchObject({ code: 'FLOW_TOKEN_EXPIRED' });
+      await expect(verify(token, { purpose: 'otp', clockTolerance: 5 })).resolves.toBeDefined();
+    });
+
+    it('should reject tampered and malformed tokens', async () => {
+      const token = issueFlowToken('customer', 'signup', { secret });
+      const [payload, signature] = token.split('.');
+      const claims = JSON.parse(Buffer.from(payload, 'base64url').toString());
+      const forged = Buffer.from(JSON.stringify({ ...claims, ctx: 'vendor' })).toString('base64url');
+
+      for (const candidate of [`${forged}.${signature}`, 'garbage', null, `${payload}.${'A'.repeat(43)}`]) {
+        await expect(verify(candidate, { purpose: 'signup' })).rejects.toMatchObject({ code: 'FLOW_TOKEN_INVALID' });
+      }
+    });
+
+    it('should accept rotated secrets', async () => {
+      const oldSecret = 'old-secret-old-secret-old-secret-old!';
+      const token = issueFlowToken('vendor', 'password_reset', { secret: oldSecret });
+      await expect(verify(token, { secret: [secret, oldSecret] })).resolves.toBeDefined();
+      await expect(verify(token)).rejects.toMatchObject({ code: 'FLOW_TOKEN_INVALID' });
+    });
+
+    it('should validate its options', async () => {
+      const token = issueFlowToken('vendor', 'password_reset', { secret });
+      await expect(verify(token, { nonceStore: {} })).rejects.toThrow('nonceStore must implement consume');
+      await expect(verify(token, { purpose: undefined })).rejects.toThrow('context and purpose are required');
+    });
+  });
+
+  describe('createMemoryNonceStore', () => {
+    it('should consume each nonce once and forget expired ones', async () => {
+      expect(await nonceStore.consume('n1', now + 1000)).toBe(true);
+      expect(await nonceStore.consume('n1', now + 1000)).toBe(false);
+
+      now += 2000;
+      expect(await nonceStore.consume('n1', now + 1000)).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,37 @@
+/**
+ * Fake response shared by the middleware and cookie tests
+ * 
+ * Supports both the Express surface (`status().json()`) and the
+ * http.ServerResponse one (`getHeader`, `setHeader`, `end`). Header names
+ * are stored lower-cased in `headers`.
+ * 
+ * @param {Object} [initial={}] - Headers already set
+ * @returns {Object} - Response with `statusCode`, `body`, `ended`, `headers`
+ *   and `cookies()` returning the Set-Cookie values written
+ */
+export function createResponse(initial = {}) {
+  const headers = { ...initial };
+  const res = {
+    statusCode: 200,
+    body: null,
+    ended: false,
+    headers,
+    getHeader: (name) => headers[name.toLowerCase()],
+    setHeader: (name, value) => {
+      headers[name.toLowerCase()] = value;
+    },
+    cookies: () => headers['set-cookie'] || [],
+    status(code) {
+      res.statusCode = code;
+      return res;
+    },
+    json(body) {
+      res.body = body;
+      return res;
+    },
+    end() {
+      res.ended = true;
+    },
+  };
+  return res;
+}
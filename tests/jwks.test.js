@@ -0,0 +1,188 @@
+import { jest } from '@jest/globals';
+import { createPrivateKey, sign } from 'node:crypto';
+import { fileURLToPath } from 'node:url';
+import { readFileSync } from 'node:fs';
+import { createJwksKeySet } from '../src/jwks.js';
+import { verifyContextToken } from '../src/tokenVerifier.js';
+
+const fixture = fileURLToPath(new URL('./fixtures/jwks.json', import.meta.url));
+const jwks = JSON.parse(readFileSync(fixture, 'utf8'));
+
+// Private halves of the keys in fixtures/jwks.json
+const privateKeys = {
+  'admin-2026-01': createPrivateKey({
+    key: {
+      kty: 'OKP',
+      crv: 'Ed25519',
+      x: 'jS28yE994Lh4whYYSB3P-lQTvrXBKLb9aCLOCZdSoVQ',
+      d: 'CNW9ghbb2PrXOL4j8APYJcBnFc3GaE9pSLh3GwNEpKw',
+    },
+    format: 'jwk',
+  }),
+  'admin-2026-02': createPrivateKey({
+    key: {
+      kty: 'OKP',
+      crv: 'Ed25519',
+      x: 'ReVhF--a8-uoGAZB_nOffw3j5hWfqDwPcnR9uBeSwGI',
+      d: 'Fa4Hnz_OJ1dzpuEdfAewRTBY8A4nyu6JbFoyZPKSulc',
+    },
+    format: 'jwk',
+  }),
+};
+
+const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+function signToken(payload, kid) {
+  const header = kid ? { alg: 'EdDSA', kid } : { alg: 'EdDSA' };
+  const input = `${encode(header)}.${encode(payload)}`;
+  return `${input}.${sign(null, Buffer.from(input), privateKeys[kid ?? 'admin-2026-01']).toString('base64url')}`;
+}
+
+describe('JWKS', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('createJwksKeySet', () => {
+    it('should require exactly one source', () => {
+      expect(() => createJwksKeySet({})).toThrow('Exactly one of jwks, file or fetcher is required');
+      expect(() => createJwksKeySet({ jwks, file: fixture })).toThrow('Exactly one');
+      expect(() => createJwksKeySet({ fetcher: 'x' })).toThrow('fetcher must be a function');
+    });
+
+    it('should select keys by kid from a file', async () => {
+      const keySet = createJwksKeySet({ file: fixture });
+      const key = await keySet.getKey('admin-2026-02', 'EdDSA');
+      expect(key.asymmetricKeyType).toBe('ed25519');
+      await expect(keySet.getKey('missing')).rejects.toMatchObject({ code: 'INVALID_KEY' });
+    });
+
+    it('should require a kid when several keys match', async () => {
+      const keySet = createJwksKeySet({ jwks });
+      await expect(keySet.getKey(undefined, 'EdDSA')).rejects.toThrow('ambiguous');
+
+      const single = createJwksKeySet({ jwks: { keys: [jwks.keys[0]] } });
+      await expect(single.getKey(undefined, 'EdDSA')).resolves.toBeDefined();
+    });
+
+    it('should skip encryption keys and keys for other algorithms', async () => {
+      const keySet = createJwksKeySet({
+        jwks: { keys: [{ ...jwks.keys[0], use: 'enc' }, jwks.keys[1]] },
+      });
+      await expect(keySet.getKey('admin-2026-01')).rejects.toMatchObject({ code: 'INVALID_KEY' });
+      await expect(keySet.getKey('admin-2026-02', 'RS256')).rejects.toMatchObject({ code: 'INVALID_KEY' });
+    });
+
+    it('should cache keys for the TTL', async () => {
+      const fetcher = jest.fn(async () => jwks);
+      const keySet = createJwksKeySet({ fetcher, ttl: 60 });
+      const start = Date.now();
+      const now = jest.spyOn(Date, 'now').mockReturnValue(start);
+
+      await keySet.getKey('admin-2026-01');
+      await keySet.getKey('admin-2026-02');
+      expect(fetcher).toHaveBeenCalledTimes(1);
+
+      now.mockReturnValue(start + 61_000);
+      await keySet.getKey('admin-2026-01');
+      expect(fetcher).toHaveBeenCalledTimes(2);
+    });
+
+    it('should refetch on unknown kid after the cooldown', async () => {
+      const fetcher = jest.fn()
+        .mockResolvedValueOnce({ keys: [jwks.keys[0]] })
+        .mockResolvedValue(jwks);
+      const keySet = createJwksKeySet({ fetcher, cooldown: 30 });
+      const start = Date.now();
+      const now = jest.spyOn(Date, 'now').mockReturnValue(start);
+
+      await keySet.getKey('admin-2026-01');
+      await expect(keySet.getKey('admin-2026-02')).rejects.toMatchObject({ code: 'INVALID_KEY' });
+      expect(fetcher).toHaveBeenCalledTimes(1);
+
+      now.mockReturnValue(start + 31_000);
+      await expect(keySet.getKey('admin-2026-02')).resolves.toBeDefined();
+      expect(fetcher).toHaveBeenCalledTimes(2);
+    });
+
+    it('should call a failing fetcher at most once per cooldown', async () => {
+      const fetcher = jest.fn().mockRejectedValue(new Error('offline'));
+      const keySet = createJwksKeySet({ fetcher, cooldown: 30 });
+      const start = Date.now();
+      const now = jest.spyOn(Date, 'now').mockReturnValue(start);
+
+      await expect(keySet.getKey('admin-2026-01')).rejects.toMatchObject({ code: 'JWKS_UNAVAILABLE' });
+      now.mockReturnValue(start + 10_000);
+      await expect(keySet.getKey('admin-2026-01')).rejects.toMatchObject({ code: 'JWKS_UNAVAILABLE' });
+      expect(fetcher).toHaveBeenCalledTimes(1);
+
+      fetcher.mockResolvedValue(jwks);
+      now.mockReturnValue(start + 31_000);
+      await expect(keySet.getKey('admin-2026-01')).resolves.toBeDefined();
+      expect(fetcher).toHaveBeenCalledTimes(2);
+    });
+
+    it('should serve the last good key set while the fetcher fails', async () => {
+      const fetcher = jest.fn()
+        .mockResolvedValueOnce({ keys: [jwks.keys[0]] })
+        .mockRejectedValue(new Error('offline'));
+      const keySet = createJwksKeySet({ fetcher, ttl: 600, cooldown: 30 });
+      const start = Date.now();
+      const now = jest.spyOn(Date, 'now').mockReturnValue(start);
+
+      await keySet.getKey('admin-2026-01');
+      now.mockReturnValue(start + 31_000);
+      await expect(keySet.getKey('admin-2026-02')).rejects.toMatchObject({ code: 'INVALID_KEY' });
+      await expect(keySet.getKey('admin-2026-02')).rejects.toMatchObject({ code: 'INVALID_KEY' });
+      await expect(keySet.getKey('admin-2026-01')).resolves.toBeDefined();
+      expect(fetcher).toHaveBeenCalledTimes(2);
+
+      now.mockReturnValue(start + 601_000);
+      await expect(keySet.getKey('admin-2026-01')).rejects.toMatchObject({ code: 'JWKS_UNAVAILABLE' });
+      expect(fetcher).toHaveBeenCalledTimes(3);
+    });
+
+    it('should share concurrent fetches', async () => {
+      const fetcher = jest.fn(async () => jwks);
+      const keySet = createJwksKeySet({ fetcher });
+      await Promise.all([keySet.getKey('admin-2026-01'), keySet.getKey('admin-2026-02')]);
+      expect(fetcher).toHaveBeenCalledTimes(1);
+    });
+
+    it('should report fetch failures', async () => {
+      const keySet = createJwksKeySet({ fetcher: async () => { throw new Error('offline'); } });
+      await expect(keySet.getKey('x')).rejects.toMatchObject({
+        code: 'JWKS_UNAVAILABLE',
+        message: 'Unable to load JWKS: offline',
+      });
+
+      const invalid = createJwksKeySet({ jwks: { nope: true } });
+      await expect(invalid.getKey('x')).rejects.toMatchObject({ code: 'JWKS_UNAVAILABLE' });
+    });
+  });
+
+  describe('verifyContextToken integration', () => {
+    it('should verify tokens against a per-context key set', async () => {
+      const config = {
+        contexts: {
+          admin: { jwks: createJwksKeySet({ file: fixture }) },
+          customer: { key: 'customer-secret' },
+        },
+      };
+      const token = signToken({ type: 'admin' }, 'admin-2026-02');
+      await expect(verifyContextToken(token, 'admin', config)).resolves.toEqual({ type: 'admin' });
+
+      await expect(verifyContextToken(token, 'customer', config)).rejects.toMatchObject({
+        code: 'UNSUPPORTED_ALGORITHM',
+      });
+    });
+
+    it('should reject tokens signed with a rotated-out key', async () => {
+      const keySet = createJwksKeySet({ jwks: { keys: [jwks.keys[1]] } });
+      const token = signToken({ type: 'admin' }, 'admin-2026-01');
+      await expect(verifyContextToken(token, 'admin', { jwks: keySet })).rejects.toMatchObject({
+        code: 'INVALID_KEY',
+      });
+    });
+  });
+});
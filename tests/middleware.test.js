@@ -0,0 +1,183 @@
+import { jest } from '@jest/globals';
+import { contextAuth, sendAuthError } from '../src/middleware.js';
+import { createResponse } from './helpers/response.js';
+
+async function run(middleware, req) {
+  const res = createResponse();
+  const next = jest.fn();
+  await middleware(req, res, next);
+  return { res, next };
+}
+
+describe('Middleware', () => {
+  describe('contextAuth', () => {
+    it('should populate req.auth and call next', async () => {
+      const req = {
+        headers: { origin: 'https://vendor.example.com' },
+        cookies: { vendor_access_token: 'vendor-token' },
+      };
+      const { next } = await run(contextAuth(), req);
+      expect(next).toHaveBeenCalled();
+      expect(req.auth).toEqual({
+        token: 'vendor-token',
+        source: 'cookie',
+        context: 'vendor',
+        expectedContext: 'vendor',
+        payload: null,
+      });
+    });
+
+    it('should call next without a token when not required', async () => {
+      const req = { headers: {}, cookies: {} };
+      const { next } = await run(contextAuth(), req);
+      expect(next).toHaveBeenCalled();
+      expect(req.auth.token).toBeNull();
+    });
+
+    it('should pass authentication errors to next', async () => {
+      const failure = new Error('expectedContext failed');
+      const middleware = contextAuth({ expectedContext: () => { throw failure; } });
+
+      const { res, next } = await run(middleware, { headers: {}, cookies: {} });
+      expect(next).toHaveBeenCalledTimes(1);
+      expect(next).toHaveBeenCalledWith(failure);
+      expect(res.statusCode).not.toBe(401);
+    });
+
+    it('should resolve the tenant per request with tenantResolver', async () => {
+      const middleware = contextAuth({
+        required: true,
+        contextOrigins: { vendor: ['https://*.vendor.example.com'] },
+        tenantResolver: { subdomain: 'vendor.example.com' },
+      });
+      const req = {
+        headers: { origin: 'https://acme.vendor.example.com' },
+        cookies: { vendor_access_token: 'shared', acme_vendor_access_token: 'acme-token' },
+      };
+
+      const { next } = await run(middleware, req);
+      expect(next).toHaveBeenCalledWith();
+      expect(req.auth).toMatchObject({ token: 'acme-token', context: 'vendor', tenant: 'acme' });
+    });
+
+    it('should reject a tenant config object passed as tenant', () => {
+      expect(() => contextAuth({ tenant: { subdomain: 'vendor.example.com' } }))
+        .toThrow('tenant must be a tenant ID string');
+    });
+
+    it('should reject missing tokens when required', async () => {
+      const { res, next } = await run(contextAuth({ required: true }), { headers: {}, cookies: {} });
+      expect(next).not.toHaveBeenCalled();
+      expect(res.statusCode).toBe(401);
+      expect(res.body).toEqual({ error: 'Authentication required', code: 'AUTH_REQUIRED' });
+    });
+
+    it('should reject tokens from another context', async () => {
+      const req = {
+        headers: { origin: 'https://customer.example.com' },
+        cookies: { vendor_access_token: 'vendor-token' },
+      };
+      const { res, next } = await run(contextAuth(), req);
+      expect(next).not.toHaveBeenCalled();
+      expect(res.statusCode).toBe(403);
+      expect(res.body.code).toBe('CONTEXT_MISMATCH');
+
+      const { res: res401 } = await run(contextAuth({ mismatchStatus: 401 }), { ...req });
+      expect(res401.statusCode).toBe(401);
+    });
+
+    it('should reject context-less tokens on an expected-context route', async () => {
+      const legacy = { headers: {}, cookies: { accessToken: 'legacy-token' } };
+      const { res, next } = await run(contextAuth({ required: true, expectedContext: 'admin' }), legacy);
+      expect(next).not.toHaveBeenCalled();
+      expect(res.statusCode).toBe(403);
+      expect(res.body.code).toBe('CONTEXT_MISMATCH');
+      expect(legacy.auth).toMatchObject({ token: 'legacy-token', context: null, expectedContext: 'admin' });
+
+      const bearer = { headers: { authorization: 'Bearer header-token' }, cookies: {} };
+      const { res: unverified } = await run(contextAuth({ expectedContext: 'admin' }), bearer);
+      expect(unverified.statusCode).toBe(403);
+      expect(unverified.body.code).toBe('CONTEXT_MISMATCH');
+    });
+
+    it('should still accept legacy cookies when no context is expected', async () => {
+      const req = { headers: {}, cookies: { accessToken: 'legacy-token' } };
+      const { next } = await run(contextAuth({ required: true }), req);
+      expect(next).toHaveBeenCalledWith();
+      expect(req.auth).toMatchObject({ token: 'legacy-token', context: null, expectedContext: null });
+    });
+
+    it('should expose strict isolation conflicts', async () => {
+      const req = { headers: {}, cookies: { customer_access_token: 'c', vendor_access_token: 'v' } };
+      const { res, next } = await run(contextAuth({ isolation: 'strict', required: true }), req);
+      expect(next).not.toHaveBeenCalled();
+      expect(res.statusCode).toBe(401);
+      expect(req.auth.conflict).toEqual(['customer', 'vendor']);
+    });
+
+    it('should prefer the explicit expected context cookie', async () => {
+      const req = {
+        headers: {},
+        cookies: { customer_access_token: 'customer-token', admin_access_token: 'admin-token' },
+      };
+      const { next } = await run(contextAuth({ expectedContext: 'admin' }), req);
+      expect(next).toHaveBeenCalled();
+      expect(req.auth.token).toBe('admin-token');
+      expect(req.auth.expectedContext).toBe('admin');
+    });
+
+    it('should accept an expected context function', async () => {
+      const req = { path: '/vendor/orders', headers: {}, cookies: { vendor_access_token: 'v' } };
+      const middleware = contextAuth({ expectedContext: (r) => r.path.split('/')[1] });
+      const { next } = await run(middleware, req);
+      expect(next).toHaveBeenCalled();
+      expect(req.auth.context).toBe('vendor');
+    });
+
+    it('should verify tokens and attach the payload', async () => {
+      const verify = jest.fn(async (token, context) => ({ sub: '1', token, context }));
+      const req = { headers: { authorization: 'Bearer header-token' }, cookies: {} };
+      const { next } = await run(contextAuth({ verify, expectedContext: 'admin' }), req);
+      expect(next).toHaveBeenCalled();
+      expect(verify).toHaveBeenCalledWith('header-token', 'admin');
+      expect(req.auth.payload).toEqual({ sub: '1', token: 'header-token', context: 'admin' });
+    });
+
+    it('should reject when verify fails', async () => {
+      const req = { headers: { authorization: 'Bearer bad' }, cookies: {} };
+      const failing = contextAuth({ verify: async () => { throw new Error('bad signature'); } });
+      const { res } = await run(failing, req);
+      expect(res.statusCode).toBe(401);
+      expect(res.body.code).toBe('INVALID_TOKEN');
+
+      const { res: falsy } = await run(contextAuth({ verify: async () => null }), { ...req });
+      expect(falsy.body.code).toBe('INVALID_TOKEN');
+    });
+
+    it('should use a custom onReject handler', async () => {
+      const onReject = jest.fn();
+      const req = { headers: {}, cookies: {} };
+      await run(contextAuth({ required: true, onReject }), req);
+      expect(onReject).toHaveBeenCalledWith(req, expect.any(Object), {
+        status: 401,
+        code: 'AUTH_REQUIRED',
+        message: 'Authentication required',
+      });
+    });
+
+    it('should validate options', () => {
+      expect(() => contextAuth({ verify: 'nope' })).toThrow('verify must be a function');
+      expect(() => contextAuth({ mismatchStatus: 500 })).toThrow('mismatchStatus must be 401 or 403');
+    });
+  });
+
+  describe('sendAuthError', () => {
+    it('should write raw http responses', () => {
+      const res = { setHeader: jest.fn(), end: jest.fn() };
+      sendAuthError({}, res, { status: 403, code: 'CONTEXT_MISMATCH', message: 'nope' });
+      expect(res.statusCode).toBe(403);
+      expect(res.setHeader).toHaveBeenCalledWith('Content-Type', 'application/json');
+      expect(res.end).toHaveBeenCalledWith(JSON.stringify({ error: 'nope', code: 'CONTEXT_MISMATCH' }));
+    });
+  });
+});
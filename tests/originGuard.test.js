@@ -0,0 +1,142 @@
+import { jest } from '@jest/globals';
+import { checkRequestOrigin, requireTrustedOrigin } from '../src/originGuard.js';
+import { createContextRegistry } from '../src/contextRegistry.js';
+import { createResponse } from './helpers/response.js';
+
+function run(middleware, req) {
+  const res = createResponse();
+  const next = jest.fn();
+  middleware(req, res, next);
+  return { res, next };
+}
+
+describe('Trusted Origin Enforcement', () => {
+  describe('checkRequestOrigin', () => {
+    it('should trust registered origins', () => {
+      expect(checkRequestOrigin({ headers: { origin: 'https://vendor.example.com' } })).toEqual({
+        trusted: true,
+        origin: 'https://vendor.example.com',
+        reason: 'allowed',
+      });
+    });
+
+    it('should limit origins to the given contexts', () => {
+      const req = { headers: { origin: 'https://vendor.example.com' } };
+      expect(checkRequestOrigin(req, { contexts: ['admin'] })).toMatchObject({
+        trusted: false,
+        reason: 'untrusted-origin',
+      });
+      expect(checkRequestOrigin(req, { contexts: ['admin', 'vendor'] }).trusted).toBe(true);
+    });
+
+    it('should reject unknown and lookalike origins', () => {
+      expect(checkRequestOrigin({ headers: { origin: 'https://evil.com' } }).trusted).toBe(false);
+      expect(checkRequestOrigin({
+        headers: { origin: 'https://vendor.example.com.evil.com' },
+      }).trusted).toBe(false);
+    });
+
+    it('should fall back to the Referer origin', () => {
+      expect(checkRequestOrigin({
+        headers: { referer: 'https://admin.example.com/users/1?tab=roles' },
+      })).toEqual({ trusted: true, origin: 'https://admin.example.com', reason: 'allowed' });
+
+      expect(checkRequestOrigin({ headers: { referer: 'not a url' } }).reason).toBe('missing-origin');
+    });
+
+    it('should reject Origin: null', () => {
+      expect(checkRequestOrigin({
+        headers: { origin: 'null', referer: 'https://admin.example.com/' },
+      })).toEqual({ trusted: false, origin: 'null', reason: 'null-origin' });
+    });
+
+    it('should trust Sec-Fetch-Site: same-origin', () => {
+      expect(checkRequestOrigin({
+        headers: { 'sec-fetch-site': 'same-origin', origin: 'https://api.example.com' },
+      })).toMatchObject({ trusted: true, reason: 'same-origin' });
+    });
+
+    it('should reject browser requests without Origin or Referer', () => {
+      expect(checkRequestOrigin({ headers: { 'sec-fetch-site': 'cross-site' } }, {
+        allowMissingOrigin: true,
+      })).toMatchObject({ trusted: false, reason: 'missing-origin' });
+    });
+
+    it('should allow non-browser callers only when allowlisted', () => {
+      const req = { headers: { 'x-service': 'billing' } };
+
+      expect(checkRequestOrigin(req).trusted).toBe(false);
+      expect(checkRequestOrigin(req, { allowMissingOrigin: true })).toMatchObject({
+        trusted: true,
+        reason: 'missing-origin-allowed',
+      });
+      expect(checkRequestOrigin(req, {
+        allowMissingOrigin: (r) => r.headers['x-service'] === 'billing',
+      }).trusted).toBe(true);
+      expect(checkRequestOrigin(req, {
+        allowMissingOrigin: () => 'yes',
+      }).trusted).toBe(false);
+    });
+
+    it('should bind the origin to the authenticated context', () => {
+      const req = {
+        headers: { origin: 'https://vendor.example.com' },
+        auth: { context: 'admin', expectedContext: null },
+      };
+      expect(checkRequestOrigin(req)).toMatchObject({ trusted: false, reason: 'context-mismatch' });
+
+      req.auth = { context: 'vendor', expectedContext: 'vendor' };
+      expect(checkRequestOrigin(req).trusted).toBe(true);
+    });
+
+    it('should use custom origins and registries', () => {
+      const registry = createContextRegistry({
+        contexts: ['partner'],
+        origins: { partner: ['https://*.partner.example.com'] },
+      });
+      const req = { headers: { origin: 'https://acme.partner.example.com' } };
+
+      expect(checkRequestOrigin(req, { registry }).trusted).toBe(true);
+      expect(checkRequestOrigin(req).trusted).toBe(false);
+      expect(checkRequestOrigin(req, {
+        contextOrigins: { partner: 'https://acme.partner.example.com' },
+      }).trusted).toBe(true);
+    });
+  });
+
+  describe('requireTrustedOrigin', () => {
+    const middleware = requireTrustedOrigin({ contexts: ['vendor'] });
+
+    it('should skip safe methods', () => {
+      const { next } = run(middleware, { method: 'GET', headers: { origin: 'https://evil.com' } });
+      expect(next).toHaveBeenCalled();
+    });
+
+    it('should pass trusted state-changing requests', () => {
+      for (const method of ['POST', 'PUT', 'PATCH', 'DELETE']) {
+        const { next } = run(middleware, { method, headers: { origin: 'https://vendor.example.com' } });
+        expect(next).toHaveBeenCalled();
+      }
+    });
+
+    it('should reject untrusted state-changing requests', () => {
+      const { res, next } = run(middleware, { method: 'post', headers: { origin: 'https://evil.com' } });
+      expect(next).not.toHaveBeenCalled();
+      expect(res.statusCode).toBe(403);
+      expect(res.body).toEqual({ error: 'Untrusted request origin', code: 'UNTRUSTED_ORIGIN' });
+    });
+
+    it('should honor custom methods and onReject', () => {
+      const onReject = jest.fn();
+      const guard = requireTrustedOrigin({ methods: ['get'], onReject });
+
+      run(guard, { method: 'GET', headers: {} });
+      expect(onReject).toHaveBeenCalledWith(
+        expect.any(Object),
+        expect.any(Object),
+        { status: 403, code: 'UNTRUSTED_ORIGIN', message: 'Untrusted request origin' }
+      );
+      expect(run(guard, { method: 'POST', headers: {} }).next).toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,73 @@
+import { matchOrigin, isOriginPattern } from '../src/originMatcher.js';
+
+describe('Origin Matcher', () => {
+  describe('matchOrigin', () => {
+    it('should match exact origins', () => {
+      expect(matchOrigin('https://vendor.example.com', 'https://vendor.example.com')).toBe(true);
+      expect(matchOrigin('https://vendor.example.com/path?q=1', 'https://vendor.example.com/')).toBe(true);
+      expect(matchOrigin('https://VENDOR.example.com:443', 'https://vendor.example.com')).toBe(true);
+      expect(matchOrigin('http://vendor.example.com', 'https://vendor.example.com')).toBe(false);
+    });
+
+    it('should match one subdomain label with a leading wildcard', () => {
+      const pattern = 'https://*.vendor.example.com';
+      expect(matchOrigin('https://acme.vendor.example.com', pattern)).toBe(true);
+      expect(matchOrigin('https://a.b.vendor.example.com', pattern)).toBe(false);
+      expect(matchOrigin('https://vendor.example.com', pattern)).toBe(false);
+    });
+
+    it('should reject lookalike hosts', () => {
+      const pattern = 'https://*.vendor.example.com';
+      expect(matchOrigin('https://vendor.example.com.evil.com', pattern)).toBe(false);
+      expect(matchOrigin('https://acme.vendor.example.com.evil.com', pattern)).toBe(false);
+      expect(matchOrigin('https://acme.vendor.example.com@evil.com', pattern)).toBe(false);
+      expect(matchOrigin('https://acmevendor.example.com', pattern)).toBe(false);
+      expect(matchOrigin('https://evil.com', 'https://vendor.example.com')).toBe(false);
+    });
+
+    it('should be scheme and port aware', () => {
+      const pattern = 'https://*.vendor.example.com';
+      expect(matchOrigin('http://acme.vendor.example.com', pattern)).toBe(false);
+      expect(matchOrigin('https://acme.vendor.example.com:8443', pattern)).toBe(false);
+      expect(matchOrigin('https://acme.vendor.example.com:8443', 'https://*.vendor.example.com:8443')).toBe(true);
+      expect(matchOrigin('https://acme.vendor.example.com', 'https://*.vendor.example.com:443')).toBe(true);
+      expect(matchOrigin('http://localhost:4201', 'http://localhost:*')).toBe(true);
+      expect(matchOrigin('https://localhost:4201', 'http://localhost:*')).toBe(false);
+    });
+
+    it('should only allow the wildcard as the leftmost label', () => {
+      expect(matchOrigin('https://vendor.acme.com', 'https://vendor.*.com')).toBe(false);
+    });
+
+    it('should match RegExp entries against the origin', () => {
+      const pattern = /^https:\/\/pr-\d+\.preview\.example\.com$/g;
+      expect(matchOrigin('https://pr-123.preview.example.com/app', pattern)).toBe(true);
+      expect(matchOrigin('https://pr-123.preview.example.com', pattern)).toBe(true);
+      expect(matchOrigin('https://pr-x.preview.example.com', pattern)).toBe(false);
+    });
+
+    it('should call predicate entries with the origin', () => {
+      const predicate = (origin) => origin.endsWith('.internal.example.com');
+      expect(matchOrigin('https://ops.internal.example.com/x', predicate)).toBe(true);
+      expect(matchOrigin('https://ops.example.com', predicate)).toBe(false);
+      expect(matchOrigin('https://x.com', () => { throw new Error('boom'); })).toBe(false);
+      expect(matchOrigin('https://x.com', () => 'yes')).toBe(false);
+    });
+
+    it('should reject invalid and opaque origins', () => {
+      expect(matchOrigin('null', () => true)).toBe(false);
+      expect(matchOrigin('not a url', 'https://vendor.example.com')).toBe(false);
+      expect(matchOrigin('https://vendor.example.com', 42)).toBe(false);
+    });
+  });
+
+  describe('isOriginPattern', () => {
+    it('should accept strings, RegExps and functions', () => {
+      expect(isOriginPattern('https://x.com')).toBe(true);
+      expect(isOriginPattern(/x/)).toBe(true);
+      expect(isOriginPattern(() => true)).toBe(true);
+      expect(isOriginPattern('')).toBe(false);
+      expect(isOriginPattern(1)).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,151 @@
+import {
+  createTrustedProxyMatcher,
+  isTrustedProxy,
+  getForwardedOrigin,
+  parseForwardedHeader,
+} from '../src/proxyUtils.js';
+import { resolveAuthContext, explainAuthContext, resolveAuthScope } from '../src/contextUtils.js';
+import { extractToken } from '../src/tokenExtractor.js';
+
+const viaProxy = (headers, remoteAddress = '10.0.0.5') => ({
+  headers,
+  socket: { remoteAddress },
+});
+
+describe('Trusted Proxy Utilities', () => {
+  describe('createTrustedProxyMatcher', () => {
+    it('should match addresses, CIDR ranges and presets', () => {
+      const isTrusted = createTrustedProxyMatcher(['10.0.0.0/8', '192.0.2.1', '2001:db8::/32', 'loopback']);
+
+      expect(isTrusted('10.255.0.1')).toBe(true);
+      expect(isTrusted('::ffff:10.1.2.3')).toBe(true);
+      expect(isTrusted('192.0.2.1')).toBe(true);
+      expect(isTrusted('192.0.2.2')).toBe(false);
+      expect(isTrusted('2001:db8::7')).toBe(true);
+      expect(isTrusted('127.0.0.1')).toBe(true);
+      expect(isTrusted('::1')).toBe(true);
+      expect(isTrusted('11.0.0.1')).toBe(false);
+      expect(isTrusted('not-an-ip')).toBe(false);
+      expect(isTrusted(undefined)).toBe(false);
+    });
+
+    it('should reject invalid entries', () => {
+      expect(() => createTrustedProxyMatcher('10.0.0.0/8')).toThrow('must be an array');
+      expect(() => createTrustedProxyMatcher(['10.0.0.0/33'])).toThrow('Invalid trusted proxy');
+      expect(() => createTrustedProxyMatcher(['proxy.internal'])).toThrow('Invalid trusted proxy');
+      expect(() => createTrustedProxyMatcher([42])).toThrow('Invalid trusted proxy');
+    });
+  });
+
+  describe('isTrustedProxy', () => {
+    it('should accept lists and predicates', () => {
+      expect(isTrustedProxy('172.16.3.4', ['uniquelocal'])).toBe(true);
+      expect(isTrustedProxy('8.8.8.8', ['uniquelocal'])).toBe(false);
+      expect(isTrustedProxy('1.2.3.4', (address) => address === '1.2.3.4')).toBe(true);
+      expect(isTrustedProxy('1.2.3.4', () => 'yes')).toBe(false);
+    });
+  });
+
+  describe('parseForwardedHeader', () => {
+    it('should parse elements and quoted values', () => {
+      expect(parseForwardedHeader(
+        'for=192.0.2.60;proto=http;host=example.com, for="[2001:db8::1]:4711";host="a.example.com"'
+      )).toEqual([
+        { for: '192.0.2.60', proto: 'http', host: 'example.com' },
+        { for: '[2001:db8::1]:4711', host: 'a.example.com' },
+      ]);
+    });
+
+    it('should keep quoted delimiters and the first duplicate parameter', () => {
+      expect(parseForwardedHeader('host="a,b;c";host=d')).toEqual([{ host: 'a,b;c' }]);
+      expect(parseForwardedHeader(undefined)).toEqual([]);
+    });
+  });
+
+  describe('getForwardedOrigin', () => {
+    const trusted = ['10.0.0.0/8'];
+
+    it('should ignore forwarded headers from untrusted peers', () => {
+      const req = viaProxy({ 'x-forwarded-host': 'admin.example.com' }, '203.0.113.9');
+      expect(getForwardedOrigin(req, trusted)).toBeNull();
+      expect(getForwardedOrigin(viaProxy({ 'x-forwarded-host': 'admin.example.com' }), undefined)).toBeNull();
+      expect(getForwardedOrigin({ headers: { 'x-forwarded-host': 'admin.example.com' } }, trusted)).toBeNull();
+    });
+
+    it('should read X-Forwarded-Host and X-Forwarded-Proto', () => {
+      expect(getForwardedOrigin(viaProxy({ 'x-forwarded-host': 'vendor.example.com' }), trusted))
+        .toBe('https://vendor.example.com');
+      expect(getForwardedOrigin(viaProxy({
+        'x-forwarded-host': 'spoofed.example.com, localhost:4201',
+        'x-forwarded-proto': 'https, http',
+      }), trusted)).toBe('http://localhost:4201');
+    });
+
+    it('should prefer Forwarded and use the outermost trusted element', () => {
+      const req = viaProxy({
+        forwarded: 'for=198.51.100.1;host=admin.example.com, for=203.0.113.7;host=vendor.example.com;proto=https, for=10.0.0.9;host=internal.local',
+        'x-forwarded-host': 'customer.example.com',
+      });
+      expect(getForwardedOrigin(req, trusted)).toBe('https://vendor.example.com');
+    });
+
+    it('should reject malformed hosts and schemes', () => {
+      expect(getForwardedOrigin(viaProxy({ 'x-forwarded-host': 'evil.com/@admin.example.com' }), trusted)).toBeNull();
+      expect(getForwardedOrigin(viaProxy({ 'x-forwarded-host': 'user@admin.example.com' }), trusted)).toBeNull();
+      expect(getForwardedOrigin(viaProxy({
+        'x-forwarded-host': 'admin.example.com',
+        'x-forwarded-proto': 'javascript',
+      }), trusted)).toBeNull();
+    });
+  });
+
+  describe('context resolution behind a proxy', () => {
+    const trustedProxies = ['10.0.0.0/8'];
+
+    it('should resolve context from the forwarded host of a trusted proxy', () => {
+      const req = viaProxy({ 'x-forwarded-host': 'admin.example.com' });
+
+      expect(resolveAuthContext(req)).toBeNull();
+      expect(resolveAuthContext(req, { trustedProxies })).toBe('admin');
+      expect(explainAuthContext(req, { trustedProxies })).toEqual({
+        context: 'admin',
+        source: 'forwarded',
+        checked: [{ source: 'forwarded', value: 'https://admin.example.com', context: 'admin' }],
+      });
+    });
+
+    it('should not let direct clients spoof their context', () => {
+      const req = viaProxy({ forwarded: 'host=admin.example.com' }, '198.51.100.20');
+      expect(resolveAuthContext(req, { trustedProxies })).toBeNull();
+    });
+
+    it('should prefer Origin over the forwarded host', () => {
+      const req = viaProxy({
+        origin: 'https://vendor.example.com',
+        'x-forwarded-host': 'admin.example.com',
+      });
+      expect(resolveAuthContext(req, { trustedProxies })).toBe('vendor');
+    });
+
+    it('should pass trusted proxies through extractToken and resolveAuthScope', () => {
+      const req = viaProxy({
+        'x-forwarded-host': 'acme.vendor.example.com',
+        cookie: 'acme_vendor_access_token=t',
+      });
+      const contextOrigins = { vendor: ['https://*.vendor.example.com'] };
+
+      const { context, tenant } = resolveAuthScope(req, {
+        contextOrigins,
+        trustedProxies,
+        tenantResolver: { subdomain: 'vendor.example.com' },
+      });
+      expect({ context, tenant }).toEqual({ context: 'vendor', tenant: 'acme' });
+
+      expect(extractToken(req, { contextOrigins, trustedProxies, tenant, isolation: 'strict' })).toEqual({
+        token: 't',
+        source: 'cookie',
+        context: 'vendor',
+      });
+    });
+  });
+});
@@ -0,0 +1,207 @@
+import { jest } from '@jest/globals';
+import {
+  rotateRefreshToken,
+  startRefreshFamily,
+  createMemoryRefreshTokenStore,
+  hashRefreshToken,
+} from '../src/refreshTokens.js';
+import { createCookiePolicy } from '../src/cookieWriter.js';
+import { createResponse } from './helpers/response.js';
+
+function createIssuer() {
+  let counter = 0;
+  return jest.fn(async ({ context }) => {
+    counter += 1;
+    return {
+      accessToken: `${context}-access-${counter}`,
+      refreshToken: `${context}-refresh-${counter}`,
+    };
+  });
+}
+
+function refreshRequest(token, context = 'customer') {
+  return { cookies: { [`${context}_refresh_token`]: token } };
+}
+
+describe('Refresh Token Rotation', () => {
+  let store;
+  let issue;
+
+  beforeEach(() => {
+    store = createMemoryRefreshTokenStore();
+    issue = createIssuer();
+  });
+
+  describe('startRefreshFamily', () => {
+    it('should issue a pair, store the refresh token and write both cookies', async () => {
+      const res = createResponse();
+      const result = await startRefreshFamily(res, 'customer', { store, issue, subject: 'u1' });
+
+      expect(result).toEqual({
+        context: 'customer',
+        subject: 'u1',
+        family: expect.any(String),
+        accessToken: 'customer-access-1',
+        refreshToken: 'customer-refresh-1',
+      });
+      expect(issue).toHaveBeenCalledWith({
+        context: 'customer',
+        subject: 'u1',
+        family: result.family,
+        tenant: undefined,
+      });
+
+      const record = await store.get(hashRefreshToken('customer-refresh-1'));
+      expect(record).toMatchObject({ family: result.family, context: 'customer', subject: 'u1', rotatedAt: null });
+      expect(await store.get('customer-refresh-1')).toBeNull();
+
+      expect(res.cookies()).toEqual([
+        'customer_access_token=customer-access-1; Path=/; Secure; HttpOnly; SameSite=Lax',
+        'customer_refresh_token=customer-refresh-1; Max-Age=2592000; Path=/; Secure; HttpOnly; SameSite=Lax',
+      ]);
+    });
+
+    it('should require a subject and valid options', async () => {
+      await expect(startRefreshFamily(createResponse(), 'customer', { store, issue }))
+        .rejects.toThrow('Subject is required');
+      await expect(startRefreshFamily(createResponse(), 'customer', { store: {}, issue, subject: 'u1' }))
+        .rejects.toThrow('store must implement');
+      await expect(startRefreshFamily(createResponse(), 'customer', { store, subject: 'u1' }))
+        .rejects.toThrow('issue must be a function');
+    });
+  });
+
+  describe('rotateRefreshToken', () => {
+    it('should rotate the refresh token within its family', async () => {
+      const { family } = await startRefreshFamily(createResponse(), 'customer', { store, issue, subject: 'u1' });
+
+      const res = createResponse();
+      const result = await rotateRefreshToken(refreshRequest('customer-refresh-1'), res, {
+        store,
+        issue,
+        context: 'customer',
+      });
+
+      expect(result).toMatchObject({
+        context: 'customer',
+        subject: 'u1',
+        family,
+        accessToken: 'customer-access-2',
+        refreshToken: 'customer-refresh-2',
+      });
+      expect(res.cookies()).toHaveLength(2);
+      expect((await store.get(hashRefreshToken('customer-refresh-1'))).rotatedAt).toEqual(expect.any(Number));
+    });
+
+    it('should resolve the context from the request', async () => {
+      await startRefreshFamily(createResponse(), 'vendor', { store, issue, subject: 'v1' });
+
+      const req = {
+        headers: { origin: 'https://vendor.example.com' },
+        cookies: { vendor_refresh_token: 'vendor-refresh-1' },
+      };
+      const result = await rotateRefreshToken(req, createResponse(), { store, issue });
+      expect(result.context).toBe('vendor');
+    });
+
+    it('should revoke the family when a rotated token is reused', async () => {
+      await startRefreshFamily(createResponse(), 'customer', { store, issue, subject: 'u1' });
+      await rotateRefreshToken(refreshRequest('customer-refresh-1'), createResponse(), {
+        store,
+        issue,
+        context: 'customer',
+      });
+
+      const res = createResponse();
+      await expect(rotateRefreshToken(refreshRequest('customer-refresh-1'), res, {
+        store,
+        issue,
+        context: 'customer',
+      })).rejects.toMatchObject({ code: 'REFRESH_TOKEN_REUSED' });
+
+      expect(res.cookies()).toEqual([
+        expect.stringMatching(/^customer_access_token=; Max-Age=0/),
+        expect.stringMatching(/^customer_refresh_token=; Max-Age=0/),
+      ]);
+
+      // The legitimate successor is revoked as well
+      await expect(rotateRefreshToken(refreshRequest('customer-refresh-2'), createResponse(), {
+        store,
+        issue,
+        context: 'customer',
+      })).rejects.toMatchObject({ code: 'REFRESH_TOKEN_REVOKED' });
+    });
+
+    it('should let only one of two concurrent rotations win', async () => {
+      await startRefreshFamily(createResponse(), 'customer', { store, issue, subject: 'u1' });
+      const options = { store, issue, context: 'customer' };
+
+      const results = await Promise.allSettled([
+        rotateRefreshToken(refreshRequest('customer-refresh-1'), createResponse(), options),
+        rotateRefreshToken(refreshRequest('customer-refresh-1'), createResponse(), options),
+      ]);
+
+      expect(results.map(result => result.status).sort()).toEqual(['fulfilled', 'rejected']);
+      expect(results.find(result => result.status === 'rejected').reason.code).toBe('REFRESH_TOKEN_REUSED');
+    });
+
+    it('should reject missing, unknown and expired tokens', async () => {
+      const options = { store, issue, context: 'customer' };
+
+      await expect(rotateRefreshToken({ cookies: {} }, createResponse(), options))
+        .rejects.toMatchObject({ code: 'REFRESH_TOKEN_MISSING' });
+      await expect(rotateRefreshToken(refreshRequest('forged'), createResponse(), options))
+        .rejects.toMatchObject({ code: 'REFRESH_TOKEN_INVALID' });
+
+      await startRefreshFamily(createResponse(), 'customer', { ...options, subject: 'u1', ttl: -1 });
+      await expect(rotateRefreshToken(refreshRequest('customer-refresh-1'), createResponse(), options))
+        .rejects.toMatchObject({ code: 'REFRESH_TOKEN_EXPIRED' });
+    });
+
+    it('should reject a token presented in another context', async () => {
+      await startRefreshFamily(createResponse(), 'customer', { store, issue, subject: 'u1' });
+
+      await expect(rotateRefreshToken(refreshRequest('customer-refresh-1', 'admin'), createResponse(), {
+        store,
+        issue,
+        context: 'admin',
+      })).rejects.toMatchObject({ code: 'REFRESH_TOKEN_INVALID' });
+    });
+
+    it('should require a resolvable context', async () => {
+      await expect(rotateRefreshToken(refreshRequest('x'), createResponse(), { store, issue }))
+        .rejects.toMatchObject({ name: 'AuthError', code: 'CONTEXT_REQUIRED' });
+    });
+
+    it('should apply the cookie policy and tenant', async () => {
+      const policy = createCookiePolicy({
+        tokenTypes: { refresh: { path: '/auth/refresh' } },
+      });
+      const res = createResponse();
+      await startRefreshFamily(createResponse(), 'vendor', { store, issue, subject: 'v1', tenant: 'acme' });
+
+      await rotateRefreshToken({ cookies: { acme_vendor_refresh_token: 'vendor-refresh-1' } }, res, {
+        store,
+        issue,
+        context: 'vendor',
+        tenant: 'acme',
+        policy,
+        ttl: 3600,
+        accessMaxAge: 900,
+      });
+
+      expect(res.cookies()).toEqual([
+        'acme_vendor_access_token=vendor-access-2; Max-Age=900; Path=/; Secure; HttpOnly; SameSite=Lax',
+        'acme_vendor_refresh_token=vendor-refresh-2; Max-Age=3600; Path=/auth/refresh; Secure; HttpOnly; SameSite=Lax',
+      ]);
+    });
+
+    it('should reject invalid issue results', async () => {
+      await expect(startRefreshFamily(createResponse(), 'customer', {
+        store,
+        issue: async () => ({ accessToken: 'a' }),
+        subject: 'u1',
+      })).rejects.toThrow('issue() must return');
+    });
+  });
+});
@@ -0,0 +1,233 @@
+import { jest } from '@jest/globals';
+import {
+  createRevocationList,
+  createMemoryRevocationBackend,
+  tokenFingerprint,
+} from '../src/revocation.js';
+import { createAuthenticator } from '../src/middleware.js';
+
+function jwt(payload) {
+  const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+  return `${encode({ alg: 'HS256', typ: 'JWT' })}.${encode(payload)}.c2ln`;
+}
+
+describe('Token Revocation', () => {
+  let now;
+
+  beforeEach(() => {
+    now = 1_700_000_000_000;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('createRevocationList', () => {
+    it('should revoke by jti within a context', async () => {
+      const list = createRevocationList();
+      await list.revoke({ jti: 'abc', context: 'vendor' });
+
+      expect(await list.isRevoked({ payload: { jti: 'abc' }, context: 'vendor' })).toBe(true);
+      expect(await list.isRevoked({ payload: { jti: 'abc' }, context: 'customer' })).toBe(false);
+      expect(await list.isRevoked({ payload: { jti: 'other' }, context: 'vendor' })).toBe(false);
+    });
+
+    it('should revoke in every context without a context', async () => {
+      const list = createRevocationList();
+      await list.revoke({ jti: 'abc' });
+
+      expect(await list.isRevoked({ payload: { jti: 'abc' }, context: 'admin' })).toBe(true);
+      expect(await list.isRevoked({ payload: { jti: 'abc' } })).toBe(true);
+    });
+
+    it('should revoke opaque tokens by fingerprint', async () => {
+      const list = createRevocationList();
+      await list.revoke({ token: 'opaque-token', context: 'customer' });
+
+      expect(await list.isRevoked({ token: 'opaque-token', context: 'customer' })).toBe(true);
+      expect(await list.isRevoked({ token: 'other-token', context: 'customer' })).toBe(false);
+
+      await list.revoke({ fingerprint: tokenFingerprint('second') });
+      expect(await list.isRevoked({ token: 'second' })).toBe(true);
+    });
+
+    it('should read the jti of unverified JWTs', async () => {
+      const list = createRevocationList();
+      await list.revoke({ jti: 'j1', context: 'customer' });
+
+      expect(await list.isRevoked({ token: jwt({ jti: 'j1' }), context: 'customer' })).toBe(true);
+    });
+
+    it('should drop entries once the token expires', async () => {
+      const backend = createMemoryRevocationBackend();
+      const list = createRevocationList({ backend, cacheTtl: 0 });
+      const token = jwt({ jti: 'j1', exp: now / 1000 + 60 });
+
+      await list.revoke({ token, jti: 'j1' });
+      expect(await list.isRevoked({ token })).toBe(true);
+
+      now += 61 * 1000;
+      expect(await backend.has('jti:*:j1')).toBe(false);
+    });
+
+    it('should revoke tokens issued before a per-context cutoff', async () => {
+      const list = createRevocationList();
+      await list.revokeBefore('vendor', new Date(now));
+
+      const before = { iat: now / 1000 - 10 };
+      const after = { iat: now / 1000 + 10 };
+      expect(await list.isRevoked({ token: 't1', payload: before, context: 'vendor' })).toBe(true);
+      expect(await list.isRevoked({ token: 't2', payload: after, context: 'vendor' })).toBe(false);
+      expect(await list.isRevoked({ token: 't3', payload: before, context: 'customer' })).toBe(false);
+    });
+
+    it('should date tokens without iat by nbf', async () => {
+      const list = createRevocationList();
+      await list.revokeBefore('vendor', now);
+
+      expect(await list.isRevoked({ token: 't1', payload: { nbf: now / 1000 - 10 }, context: 'vendor' })).toBe(true);
+      expect(await list.isRevoked({ token: 't2', payload: { nbf: now / 1000 + 10 }, context: 'vendor' })).toBe(false);
+    });
+
+    it('should revoke undated and opaque tokens whenever a cutoff applies', async () => {
+      const list = createRevocationList();
+      expect(await list.isRevoked({ token: 't1', payload: {}, context: 'vendor' })).toBe(false);
+      expect(await list.isRevoked({ token: 'opaque-token', context: 'vendor' })).toBe(false);
+
+      await list.revokeBefore('vendor', now);
+      expect(await list.isRevoked({ token: 't1', payload: {}, context: 'vendor' })).toBe(true);
+      expect(await list.isRevoked({ token: 'opaque-token', context: 'vendor' })).toBe(true);
+      expect(await list.isRevoked({ token: 'opaque-token', context: 'admin' })).toBe(false);
+    });
+
+    it('should scope context-less tokens by their context claim', async () => {
+      const list = createRevocationList();
+      await list.revokeBefore('admin', now);
+      const iat = now / 1000 - 10;
+
+      expect(await list.isRevoked({ token: 't1', payload: { iat, type: 'admin' } })).toBe(true);
+      expect(await list.isRevoked({ token: 't2', payload: { iat, type: 'vendor' } })).toBe(false);
+
+      const custom = createRevocationList({ contextClaim: 'ctx' });
+      await custom.revokeBefore('admin', now);
+      expect(await custom.isRevoked({ token: 't3', payload: { iat, ctx: 'admin' } })).toBe(true);
+    });
+
+    it('should apply every context to tokens without any context', async () => {
+      const list = createRevocationList();
+      await list.revokeBefore('admin', now);
+      await list.revoke({ jti: 'j1', context: 'vendor' });
+
+      expect(await list.isRevoked({ token: 't1', payload: { iat: now / 1000 - 10 } })).toBe(true);
+      expect(await list.isRevoked({ token: 't2', payload: { iat: now / 1000 + 10 } })).toBe(false);
+      expect(await list.isRevoked({ token: 't3', payload: { jti: 'j1', iat: now / 1000 + 10 } })).toBe(true);
+    });
+
+    it('should cache backend lookups for cacheTtl seconds', async () => {
+      const backend = createMemoryRevocationBackend();
+      const has = jest.spyOn(backend, 'has');
+      const list = createRevocationList({ backend, cacheTtl: 10 });
+      const other = createRevocationList({ backend });
+      const check = { payload: { jti: 'j1' }, context: 'vendor' };
+
+      expect(await list.isRevoked(check)).toBe(false);
+      expect(await list.isRevoked(check)).toBe(false);
+      expect(has).toHaveBeenCalledTimes(2);
+
+      await other.revoke({ jti: 'j1' });
+      expect(await list.isRevoked(check)).toBe(false);
+
+      now += 11 * 1000;
+      expect(await list.isRevoked(check)).toBe(true);
+    });
+
+    it('should bound the cache', async () => {
+      const backend = createMemoryRevocationBackend();
+      const has = jest.spyOn(backend, 'has');
+      const list = createRevocationList({ backend, cacheSize: 4 });
+      const check = (jti) => list.isRevoked({ payload: { jti }, context: 'vendor' });
+
+      // Two keys per check (vendor and all contexts): 'c' evicts 'a'
+      await check('a');
+      await check('b');
+      await check('c');
+      await check('a');
+      expect(has).toHaveBeenCalledTimes(8);
+    });
+
+    it('should validate options and entries', async () => {
+      expect(() => createRevocationList({ backend: {} })).toThrow('backend must implement has, add, getCutoff, setCutoff');
+      expect(() => createRevocationList({ cacheSize: 0 })).toThrow('cacheSize must be a positive integer');
+      expect(() => createRevocationList({ cacheTtl: -1 })).toThrow('cacheTtl must be a non-negative number of seconds');
+
+      const list = createRevocationList();
+      await expect(list.revoke({ context: 'vendor' })).rejects.toThrow('jti, token or fingerprint is required');
+      await expect(list.revokeBefore(null, now)).rejects.toThrow('Context is required');
+      await expect(list.revokeBefore('vendor', 'yesterday')).rejects.toThrow('Timestamp must be a Date');
+    });
+  });
+
+  describe('createAuthenticator revocation option', () => {
+    it('should reject revoked tokens after verification', async () => {
+      const revocation = createRevocationList();
+      await revocation.revoke({ jti: 'j1', context: 'admin' });
+      const authenticate = createAuthenticator({
+        expectedContext: 'admin',
+        verify: async (token) => ({ jti: token }),
+        revocation,
+      });
+
+      const revoked = await authenticate({ headers: { authorization: 'Bearer j1' } });
+      expect(revoked.error).toEqual({ status: 401, code: 'TOKEN_REVOKED', message: 'Token has been revoked' });
+
+      const valid = await authenticate({ headers: { authorization: 'Bearer j2' } });
+      expect(valid.error).toBeNull();
+    });
+
+    it('should scope cutoffs by the token context', async () => {
+      const revocation = createRevocationList();
+      await revocation.revokeBefore('vendor', now);
+      const authenticate = createAuthenticator({ verify: async () => ({ iat: now / 1000 - 1 }), revocation });
+
+      const vendor = await authenticate({ headers: {}, cookies: { vendor_access_token: 'v' } });
+      expect(vendor.error.code).toBe('TOKEN_REVOKED');
+
+      const customer = await authenticate({ headers: {}, cookies: { customer_access_token: 'c' } });
+      expect(customer.error).toBeNull();
+    });
+
+    it('should apply cutoffs to Bearer tokens without a request context', async () => {
+      const revocation = createRevocationList();
+      await revocation.revokeBefore('admin', now);
+      const authenticate = createAuthenticator({ verify: async () => ({ iat: now / 1000 - 1 }), revocation });
+
+      const { auth, error } = await authenticate({ headers: { authorization: 'Bearer old' } });
+      expect(auth.context).toBeNull();
+      expect(error.code).toBe('TOKEN_REVOKED');
+    });
+
+    it('should fail closed when the backend is unavailable', async () => {
+      const backend = createMemoryRevocationBackend();
+      backend.has = async () => {
+        throw new Error('redis down');
+      };
+      const authenticate = createAuthenticator({
+        expectedContext: 'admin',
+        verify: async () => ({ jti: 'j1' }),
+        revocation: createRevocationList({ backend }),
+      });
+
+      const { error } = await authenticate({ headers: { authorization: 'Bearer t' } });
+      expect(error).toEqual({
+        status: 503,
+        code: 'REVOCATION_UNAVAILABLE',
+        message: 'Token revocation status unavailable',
+      });
+    });
+
+    it('should validate the revocation option', () => {
+      expect(() => createAuthenticator({ revocation: {} })).toThrow('revocation must be a revocation list');
+    });
+  });
+});
@@ -0,0 +1,18 @@
+import { assertSecret, MIN_SECRET_LENGTH } from '../src/secrets.js';
+
+describe('Secret Validation', () => {
+  describe('assertSecret', () => {
+    it('should accept strings and buffers of at least 32 bytes', () => {
+      expect(() => assertSecret('x'.repeat(MIN_SECRET_LENGTH), 'Test secret')).not.toThrow();
+      expect(() => assertSecret(Buffer.alloc(32), 'Test secret')).not.toThrow();
+      expect(() => assertSecret('é'.repeat(16), 'Test secret')).not.toThrow();
+    });
+
+    it('should reject short or missing secrets with the given label', () => {
+      expect(() => assertSecret('short', 'Test secret')).toThrow('Test secret must be at least 32 bytes');
+      expect(() => assertSecret(Buffer.alloc(31), 'Test secret')).toThrow('Test secret must be at least 32 bytes');
+      expect(() => assertSecret(undefined, 'Test secret')).toThrow('Test secret must be at least 32 bytes');
+      expect(() => assertSecret(12345678901234567890123456789012n, 'Test secret')).toThrow('at least 32 bytes');
+    });
+  });
+});
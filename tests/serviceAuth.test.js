@@ -0,0 +1,199 @@
+import { createHmac, generateKeyPairSync, sign } from 'node:crypto';
+import {
+  extractServiceToken,
+  verifyServiceToken,
+  createServiceVerifier,
+} from '../src/serviceAuth.js';
+import { extractToken, explainTokenExtraction } from '../src/tokenExtractor.js';
+import { createAuthenticator } from '../src/middleware.js';
+import { createContextRegistry } from '../src/contextRegistry.js';
+import { csrfProtection } from '../src/csrf.js';
+
+const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+function signToken(payload, alg, key) {
+  const input = `${encode({ alg, typ: 'JWT' })}.${encode(payload)}`;
+  const signature = alg === 'HS256'
+    ? createHmac('sha256', key).update(input).digest()
+    : sign(null, Buffer.from(input), key);
+  return `${input}.${signature.toString('base64url')}`;
+}
+
+const now = () => Math.floor(Date.now() / 1000);
+const billing = generateKeyPairSync('ed25519');
+const searchSecret = 'search-service-secret-with-entropy';
+
+const config = {
+  audience: 'orders-api',
+  services: {
+    billing: { key: billing.publicKey },
+    search: { key: searchSecret },
+  },
+};
+
+const billingToken = (claims = {}) => signToken({
+  sub: 'billing',
+  type: 'service',
+  aud: 'orders-api',
+  exp: now() + 60,
+  ...claims,
+}, 'EdDSA', billing.privateKey);
+
+describe('Service Authentication', () => {
+  describe('extractServiceToken', () => {
+    it('should read the dedicated header', () => {
+      expect(extractServiceToken({ headers: { 'x-service-token': 'abc' } })).toBe('abc');
+      expect(extractServiceToken({ headers: { 'x-service-token': 'Bearer abc' } })).toBe('abc');
+      expect(extractServiceToken({ headers: { 'x-internal': 'abc' } }, { header: 'X-Internal' })).toBe('abc');
+    });
+
+    it('should never read cookies or the Authorization header', () => {
+      expect(extractServiceToken({
+        headers: { authorization: 'Bearer abc' },
+        cookies: { service_access_token: 'abc' },
+      })).toBeNull();
+      expect(extractServiceToken(null)).toBeNull();
+    });
+  });
+
+  describe('verifyServiceToken', () => {
+    it('should verify tokens per service', async () => {
+      await expect(verifyServiceToken(billingToken(), config)).resolves.toMatchObject({
+        context: 'service',
+        service: 'billing',
+        payload: { sub: 'billing' },
+      });
+
+      const searchToken = signToken(
+        { sub: 'search', type: 'service', aud: 'orders-api' },
+        'HS256',
+        searchSecret
+      );
+      await expect(createServiceVerifier(config)(searchToken)).resolves.toMatchObject({ service: 'search' });
+    });
+
+    it('should reject unknown services', async () => {
+      await expect(verifyServiceToken(billingToken({ sub: 'mailer' }), config))
+        .rejects.toMatchObject({ code: 'INVALID_CLAIM' });
+      await expect(verifyServiceToken(billingToken({ sub: 'constructor' }), config))
+        .rejects.toMatchObject({ code: 'INVALID_CLAIM' });
+    });
+
+    it('should reject tokens signed with another service key', async () => {
+      const forged = signToken(
+        { sub: 'billing', type: 'service', aud: 'orders-api' },
+        'HS256',
+        searchSecret
+      );
+      await expect(verifyServiceToken(forged, config)).rejects.toMatchObject({ code: 'UNSUPPORTED_ALGORITHM' });
+    });
+
+    it('should require the service context claim', async () => {
+      await expect(verifyServiceToken(billingToken({ type: 'admin' }), config))
+        .rejects.toMatchObject({ code: 'CONTEXT_MISMATCH' });
+    });
+
+    it('should apply shared claims checks', async () => {
+      await expect(verifyServiceToken(billingToken({ aud: 'other-api' }), config))
+        .rejects.toMatchObject({ code: 'INVALID_CLAIM' });
+      await expect(verifyServiceToken(billingToken({ exp: now() - 1 }), config))
+        .rejects.toMatchObject({ code: 'TOKEN_EXPIRED' });
+    });
+
+    it('should require services', async () => {
+      await expect(verifyServiceToken(billingToken(), {})).rejects.toThrow('services must map');
+    });
+  });
+
+  describe('extractToken', () => {
+    it('should recognize service tokens only when enabled', () => {
+      const req = { headers: { 'x-service-token': 'svc' } };
+
+      expect(extractToken(req)).toEqual({ token: null, source: null, context: null });
+      expect(extractToken(req, { service: true })).toEqual({
+        token: 'svc',
+        source: 'service',
+        context: 'service',
+      });
+    });
+
+    it('should prefer the service header and trace it', () => {
+      const req = { headers: { 'x-service-token': 'svc', authorization: 'Bearer user' } };
+      const { source, trace } = explainTokenExtraction(req, { service: { header: 'x-service-token' } });
+
+      expect(source).toBe('service');
+      expect(trace.steps).toEqual([
+        { source: 'service', outcome: 'found', token: expect.stringMatching(/^\[redacted/) },
+      ]);
+    });
+
+    it('should never read the service context from cookies', () => {
+      const req = {
+        headers: {},
+        cookies: { service_access_token: 's', accessToken: 'legacy', vendor_access_token: 'v' },
+      };
+      expect(extractToken(req, { context: 'service' })).toEqual({ token: null, source: null, context: null });
+    });
+
+    it('should reserve the service context in registries', () => {
+      expect(() => createContextRegistry({ contexts: ['service'], origins: {} }))
+        .toThrow('reserved for service tokens');
+    });
+  });
+
+  describe('createAuthenticator', () => {
+    const authenticate = createAuthenticator({ required: true, services: config });
+
+    it('should authenticate services', async () => {
+      const { auth, error } = await authenticate({ headers: { 'x-service-token': billingToken() } });
+
+      expect(error).toBeNull();
+      expect(auth).toMatchObject({
+        source: 'service',
+        context: 'service',
+        service: 'billing',
+        expectedContext: null,
+        payload: { sub: 'billing' },
+      });
+    });
+
+    it('should reject invalid service tokens', async () => {
+      const { error } = await authenticate({ headers: { 'x-service-token': billingToken({ sub: 'mailer' }) } });
+      expect(error).toMatchObject({ status: 401, code: 'INVALID_TOKEN' });
+    });
+
+    it('should keep services and users on their own routes', async () => {
+      const adminRoute = createAuthenticator({ expectedContext: 'admin', services: config });
+      const serviceRoute = createAuthenticator({ expectedContext: 'service', services: config });
+
+      const serviceRequest = { headers: { 'x-service-token': billingToken() } };
+      expect((await adminRoute(serviceRequest)).error).toMatchObject({ code: 'CONTEXT_MISMATCH' });
+      expect((await serviceRoute(serviceRequest)).error).toBeNull();
+
+      const userRequest = { headers: { authorization: 'Bearer user-token' }, cookies: {} };
+      expect((await serviceRoute(userRequest)).error).toMatchObject({ code: 'CONTEXT_MISMATCH' });
+    });
+
+    it('should ignore the service header without services config', async () => {
+      const { auth, error } = await createAuthenticator({ required: true })({
+        headers: { 'x-service-token': billingToken() },
+      });
+      expect(auth.token).toBeNull();
+      expect(error).toMatchObject({ code: 'AUTH_REQUIRED' });
+    });
+
+    it('should not require CSRF tokens from services', () => {
+      let passed = false;
+      csrfProtection()(
+        {
+          method: 'POST',
+          headers: {},
+          auth: { token: 'svc', source: 'service', context: 'service' },
+        },
+        {},
+        () => { passed = true; }
+      );
+      expect(passed).toBe(true);
+    });
+  });
+});
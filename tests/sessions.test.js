@@ -0,0 +1,246 @@
+import { jest } from '@jest/globals';
+import {
+  createSession,
+  resolveSession,
+  destroySession,
+  destroyUserSessions,
+  createMemorySessionStore,
+  resolveSessionTimeouts,
+  hashSessionId,
+} from '../src/sessions.js';
+import { createAuthenticator } from '../src/middleware.js';
+import { createContextRegistry } from '../src/contextRegistry.js';
+import { createResponse } from './helpers/response.js';
+
+function sessionRequest(id, context = 'admin') {
+  return { headers: {}, cookies: { [`${context}_session_token`]: id } };
+}
+
+describe('Sessions', () => {
+  let store;
+  let now;
+
+  beforeEach(() => {
+    store = createMemorySessionStore();
+    now = 1_700_000_000_000;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('createSession', () => {
+    it('should store the hashed ID and write the session cookie', async () => {
+      const res = createResponse();
+      const { id, session } = await createSession(res, 'admin', { store, subject: 'u1', data: { role: 'owner' } });
+
+      expect(id).toMatch(/^[A-Za-z0-9_-]{43}$/);
+      expect(session).toEqual({
+        context: 'admin',
+        subject: 'u1',
+        data: { role: 'owner' },
+        createdAt: now,
+        lastSeenAt: now,
+        expiresAt: now + 1800 * 1000,
+        absoluteExpiresAt: now + 43200 * 1000,
+      });
+      expect(await store.get(hashSessionId(id))).toEqual(session);
+      expect(await store.get(id)).toBeNull();
+      expect(res.cookies()).toEqual([
+        `admin_session_token=${id}; Max-Age=43200; Path=/; Secure; HttpOnly; SameSite=Strict`,
+      ]);
+    });
+
+    it('should require a context, a subject and a store', async () => {
+      await expect(createSession(createResponse(), 'admin', { store }))
+        .rejects.toThrow('Subject is required');
+      await expect(createSession(createResponse(), null, { store, subject: 'u1' }))
+        .rejects.toThrow('Context is required');
+      await expect(createSession(createResponse(), 'admin', { store: {}, subject: 'u1' }))
+        .rejects.toThrow('store must implement get, set, delete, deleteBySubject');
+    });
+  });
+
+  describe('resolveSession', () => {
+    it('should return the session in the extractToken shape', async () => {
+      const { id } = await createSession(createResponse(), 'admin', { store, subject: 'u1' });
+      const result = await resolveSession(sessionRequest(id), null, { store, context: 'admin' });
+
+      expect(result).toEqual({
+        token: id,
+        source: 'session',
+        context: 'admin',
+        session: expect.objectContaining({ subject: 'u1', context: 'admin' }),
+      });
+    });
+
+    it('should resolve the context from the request', async () => {
+      const { id } = await createSession(createResponse(), 'vendor', { store, subject: 'u1' });
+      const req = { headers: { origin: 'https://vendor.example.com' }, cookies: { vendor_session_token: id } };
+
+      const result = await resolveSession(req, null, { store });
+      expect(result.context).toBe('vendor');
+    });
+
+    it('should slide the idle timeout up to the absolute timeout', async () => {
+      const options = { store, idleTimeout: 600, absoluteTimeout: 1500 };
+      const { id } = await createSession(createResponse(), 'admin', { ...options, subject: 'u1' });
+      const start = now;
+
+      now = start + 500 * 1000;
+      const first = await resolveSession(sessionRequest(id), null, { ...options, context: 'admin' });
+      expect(first.session.expiresAt).toBe(now + 600 * 1000);
+
+      now = start + 1000 * 1000;
+      const second = await resolveSession(sessionRequest(id), null, { ...options, context: 'admin' });
+      expect(second.session.expiresAt).toBe(start + 1500 * 1000);
+
+      now = start + 1500 * 1000;
+      const expired = await resolveSession(sessionRequest(id), null, { ...options, context: 'admin' });
+      expect(expired.session).toBeNull();
+    });
+
+    it('should expire idle sessions and clear their cookie', async () => {
+      const { id } = await createSession(createResponse(), 'admin', { store, subject: 'u1' });
+
+      now += 1801 * 1000;
+      const res = createResponse();
+      const result = await resolveSession(sessionRequest(id), res, { store, context: 'admin' });
+
+      expect(result).toEqual({ token: null, source: null, context: null, session: null });
+      expect(res.cookies()[0]).toMatch(/^admin_session_token=; Max-Age=0;/);
+    });
+
+    it('should apply per-context timeouts', async () => {
+      const options = { store, contexts: { admin: { idleTimeout: 60 } } };
+      const admin = await createSession(createResponse(), 'admin', { ...options, subject: 'u1' });
+      const vendor = await createSession(createResponse(), 'vendor', { ...options, subject: 'u1' });
+
+      now += 120 * 1000;
+      expect((await resolveSession(sessionRequest(admin.id), null, { ...options, context: 'admin' })).session)
+        .toBeNull();
+      expect((await resolveSession(sessionRequest(vendor.id, 'vendor'), null, { ...options, context: 'vendor' })).session)
+        .not.toBeNull();
+    });
+
+    it('should not accept a session in another context', async () => {
+      const { id } = await createSession(createResponse(), 'customer', { store, subject: 'u1' });
+      const req = { headers: {}, cookies: { admin_session_token: id } };
+
+      const result = await resolveSession(req, null, { store, context: 'admin' });
+      expect(result.session).toBeNull();
+      expect(await store.get(hashSessionId(id))).toBeNull();
+    });
+
+    it('should return an empty result without a cookie or context', async () => {
+      const empty = { token: null, source: null, context: null, session: null };
+      expect(await resolveSession({ headers: {}, cookies: {} }, null, { store, context: 'admin' })).toEqual(empty);
+      expect(await resolveSession({ headers: {}, cookies: {} }, null, { store })).toEqual(empty);
+    });
+  });
+
+  describe('destroySession', () => {
+    it('should delete the session and clear its cookie', async () => {
+      const { id } = await createSession(createResponse(), 'admin', { store, subject: 'u1' });
+      const res = createResponse();
+
+      expect(await destroySession(sessionRequest(id), res, { store, context: 'admin' })).toBe(true);
+      expect(await store.get(hashSessionId(id))).toBeNull();
+      expect(res.cookies()[0]).toMatch(/^admin_session_token=; Max-Age=0;/);
+    });
+  });
+
+  describe('destroyUserSessions', () => {
+    it('should destroy every session of a user in one context only', async () => {
+      const a = await createSession(createResponse(), 'admin', { store, subject: 'u1' });
+      const b = await createSession(createResponse(), 'admin', { store, subject: 'u1' });
+      const other = await createSession(createResponse(), 'admin', { store, subject: 'u2' });
+      const vendor = await createSession(createResponse(), 'vendor', { store, subject: 'u1' });
+
+      expect(await destroyUserSessions('admin', 'u1', { store })).toBe(2);
+      expect(await store.get(hashSessionId(a.id))).toBeNull();
+      expect(await store.get(hashSessionId(b.id))).toBeNull();
+      expect(await store.get(hashSessionId(other.id))).not.toBeNull();
+      expect(await store.get(hashSessionId(vendor.id))).not.toBeNull();
+    });
+
+    it('should require a context and a subject', async () => {
+      await expect(destroyUserSessions('admin', undefined, { store })).rejects.toThrow('Subject is required');
+      await expect(destroyUserSessions('', 'u1', { store })).rejects.toThrow('Context is required');
+    });
+  });
+
+  describe('createMemorySessionStore', () => {
+    it('should evict the least recently used session', async () => {
+      const small = createMemorySessionStore({ maxSize: 2 });
+      const record = { context: 'admin', subject: 'u1', expiresAt: now + 1000 };
+
+      await small.set('a', record);
+      await small.set('b', record);
+      await small.get('a');
+      await small.set('c', record);
+
+      expect(await small.get('a')).not.toBeNull();
+      expect(await small.get('b')).toBeNull();
+      expect(await small.get('c')).not.toBeNull();
+    });
+
+    it('should validate maxSize', () => {
+      expect(() => createMemorySessionStore({ maxSize: 0 })).toThrow('maxSize must be a positive integer');
+    });
+  });
+
+  describe('resolveSessionTimeouts', () => {
+    it('should merge defaults, global and per-context timeouts', () => {
+      expect(resolveSessionTimeouts('vendor')).toEqual({ idleTimeout: 1800, absoluteTimeout: 43200 });
+      expect(resolveSessionTimeouts('admin', {
+        absoluteTimeout: 3600,
+        contexts: { admin: { idleTimeout: null } },
+      })).toEqual({ idleTimeout: null, absoluteTimeout: 3600 });
+    });
+
+    it('should reject invalid timeouts', () => {
+      expect(() => resolveSessionTimeouts('admin', { absoluteTimeout: 0 }))
+        .toThrow('absoluteTimeout must be a positive number of seconds');
+      expect(() => resolveSessionTimeouts('admin', { idleTimeout: -1 }))
+        .toThrow('idleTimeout must be a positive number of seconds or null');
+    });
+  });
+
+  describe('createAuthenticator sessions option', () => {
+    it('should authenticate with a session before token extraction', async () => {
+      const { id } = await createSession(createResponse(), 'admin', { store, subject: 'u1' });
+      const verify = jest.fn();
+      const authenticate = createAuthenticator({ required: true, expectedContext: 'admin', verify, sessions: { store } });
+
+      const { auth, error } = await authenticate(sessionRequest(id));
+      expect(error).toBeNull();
+      expect(auth).toMatchObject({ token: id, source: 'session', context: 'admin', expectedContext: 'admin' });
+      expect(auth.payload.subject).toBe('u1');
+      expect(verify).not.toHaveBeenCalled();
+    });
+
+    it('should fall back to token extraction without a live session', async () => {
+      const authenticate = createAuthenticator({ required: true, expectedContext: 'admin', sessions: { store } });
+
+      const { auth } = await authenticate({ headers: { authorization: 'Bearer jwt' }, cookies: { admin_session_token: 'gone' } });
+      expect(auth.source).toBe('header');
+
+      const { error } = await authenticate(sessionRequest('gone'));
+      expect(error.code).toBe('AUTH_REQUIRED');
+    });
+
+    it('should validate the sessions option', () => {
+      expect(() => createAuthenticator({ sessions: {} })).toThrow('sessions.store must be a session store');
+    });
+  });
+
+  it('should work with registries using the default token types', async () => {
+    const registry = createContextRegistry({ origins: { partner: ['https://partner.example.com'] } });
+    const { id } = await createSession(createResponse(), 'partner', { store, subject: 'u1', registry });
+    const req = { headers: {}, cookies: { partner_session_token: id } };
+
+    expect((await resolveSession(req, null, { store, registry, context: 'partner' })).context).toBe('partner');
+  });
+});
@@ -1,4 +1,9 @@
-import { extractToken, extractTokenWithContext } from '../src/tokenExtractor.js';
+import {
+  extractToken,
+  extractTokenWithContext,
+  explainTokenExtraction,
+  redactToken,
+} from '../src/tokenExtractor.js';
 
 describe('Token Extractor', () => {
 
@@ -145,6 +150,72 @@ describe('Token Extractor', () => {
       expect(result.context).toBe('customer');
     });
 
+    it('should read cookies of contexts only defined in contextOrigins', () => {
+      const contextOrigins = { partner: ['https://partner.example.com'] };
+      const req = {
+        headers: {
+          origin: 'https://partner.example.com',
+        },
+        cookies: {
+          partner_access_token: 'partner-token',
+        },
+      };
+      expect(extractToken(req, { contextOrigins })).toEqual({
+        token: 'partner-token',
+        source: 'cookie',
+        context: 'partner',
+      });
+      expect(extractToken({ headers: {}, cookies: req.cookies }, { contextOrigins }).context).toBe('partner');
+    });
+
+    it('should not throw for contextOrigins keys that cannot name a cookie context', () => {
+      const contextOrigins = {
+        super_admin: ['https://super.example.com'],
+        'bad name': ['https://bad.example.com'],
+        service: ['https://service.example.com'],
+      };
+      const req = {
+        headers: { origin: 'https://super.example.com' },
+        cookies: { super_admin_access_token: 'super-token' },
+      };
+      expect(extractToken(req, { contextOrigins })).toEqual({
+        token: 'super-token',
+        source: 'cookie',
+        context: 'super_admin',
+      });
+      expect(extractToken({ headers: { origin: 'https://bad.example.com' }, cookies: {} }, { contextOrigins }).token)
+        .toBeNull();
+    });
+
+    it('should pick up later changes to a contextOrigins map', () => {
+      const contextOrigins = {};
+      const req = { headers: {}, cookies: { partner_access_token: 'partner-token' } };
+      expect(extractToken(req, { contextOrigins, isolation: 'strict' }).token).toBeNull();
+
+      contextOrigins.partner = ['https://partner.example.com'];
+      expect(extractToken(req, { contextOrigins, isolation: 'strict' }).context).toBe('partner');
+    });
+
+    it('should reject a tenant that is not a string', () => {
+      expect(() => extractToken({ headers: {} }, { tenant: { header: 'x-tenant-id' } }))
+        .toThrow('tenant must be a tenant ID string');
+    });
+
+    it('should read tenant-namespaced cookies', () => {
+      const req = {
+        headers: {
+          origin: 'https://vendor.example.com',
+        },
+        cookies: {
+          vendor_access_token: 'shared-token',
+          acme_vendor_access_token: 'acme-token',
+        },
+      };
+      const result = extractToken(req, { tenant: 'acme' });
+      expect(result.token).toBe('acme-token');
+      expect(result.context).toBe('vendor');
+    });
+
     it('should skip context resolution when preferContext is false', () => {
       const req = {
         headers: {},
@@ -229,4 +300,182 @@ describe('Token Extractor', () => {
       expect(result.context).toBe('customer');
     });
   });
+
+  describe('explainTokenExtraction', () => {
+    it('should report every source tried in order', () => {
+      const req = {
+        headers: {
+          authorization: 'Basic abc',
+          origin: 'https://unknown.example.com',
+          referer: 'https://customer.example.com/cart',
+        },
+        cookies: {
+          accessToken: 'legacy-secret',
+        },
+      };
+      const result = explainTokenExtraction(req);
+
+      expect(result.source).toBe('cookie');
+      expect(result.context).toBeNull();
+      expect(result.trace.context).toEqual({
+        context: 'customer',
+        source: 'referer',
+        checked: [
+          { source: 'origin', value: 'https://unknown.example.com', context: null },
+          { source: 'referer', value: 'https://customer.example.com/cart', context: 'customer' },
+        ],
+      });
+      expect(result.trace.steps.map(step => [step.source, step.outcome])).toEqual([
+        ['header', 'skipped'],
+        ['context-cookie', 'not-found'],
+        ['all-contexts', 'not-found'],
+        ['legacy', 'found'],
+      ]);
+      expect(result.trace.steps[0].reason).toBe('Authorization header is not a Bearer token');
+      expect(result.trace.steps[1].probed).toEqual([
+        '__Host-customer_access_token',
+        '__Secure-customer_access_token',
+        'customer_access_token',
+      ]);
+      expect(result.trace.steps[2].probed).toContain('admin_access_token');
+      expect(result.trace.steps[3].matched).toBe('accessToken');
+    });
+
+    it('should redact token values', () => {
+      const req = { headers: { authorization: 'Bearer super-secret-token' } };
+      const result = explainTokenExtraction(req);
+      expect(JSON.stringify(result)).not.toContain('super-secret-token');
+      expect(result.token).toBe(redactToken('super-secret-token'));
+      expect(result.trace.steps).toEqual([
+        { source: 'header', outcome: 'found', token: redactToken('super-secret-token') },
+      ]);
+    });
+
+    it('should report the matched cookie of the all-contexts fallback', () => {
+      const req = { headers: {}, cookies: { '__Secure-vendor_access_token': 'v' } };
+      const { trace } = explainTokenExtraction(req);
+      expect(trace.steps[1]).toEqual({
+        source: 'context-cookie',
+        outcome: 'skipped',
+        reason: 'context not resolved',
+      });
+      expect(trace.steps[2]).toMatchObject({
+        source: 'all-contexts',
+        outcome: 'found',
+        context: 'vendor',
+        matched: '__Secure-vendor_access_token',
+      });
+    });
+
+    it('should report a context passed as an option', () => {
+      const req = { headers: {}, cookies: { admin_access_token: 'a' } };
+      const { trace } = explainTokenExtraction(req, { context: 'admin' });
+      expect(trace.context).toEqual({ context: 'admin', source: 'option', checked: [] });
+      expect(trace.steps[1]).toMatchObject({ source: 'context-cookie', outcome: 'found', matched: 'admin_access_token' });
+    });
+  });
+
+  describe('extractToken trace option', () => {
+    it('should attach a trace without redacting the returned token', () => {
+      const req = { headers: {}, cookies: {} };
+      const result = extractToken(req, { trace: true, preferContext: false });
+      expect(result.token).toBeNull();
+      expect(result.trace.steps[1]).toEqual({
+        source: 'context-cookie',
+        outcome: 'skipped',
+        reason: 'preferContext is false',
+      });
+
+      const found = extractToken({ headers: { authorization: 'Bearer t' } }, { trace: true });
+      expect(found.token).toBe('t');
+    });
+
+    it('should not attach a trace by default', () => {
+      expect(extractToken({ headers: {} })).not.toHaveProperty('trace');
+    });
+  });
+
+  describe('redactToken', () => {
+    it('should keep only length and fingerprint', () => {
+      expect(redactToken('abc')).toMatch(/^\[redacted len=3 sha256=[0-9a-f]{8}\]$/);
+    });
+  });
+
+  describe('isolation policies', () => {
+    const crossContextReq = {
+      headers: { origin: 'https://customer.example.com' },
+      cookies: { vendor_access_token: 'vendor-token', accessToken: 'legacy-token' },
+    };
+
+    it('should keep all fallbacks under the legacy policy', () => {
+      expect(extractToken(crossContextReq)).toEqual({
+        token: 'vendor-token',
+        source: 'cookie',
+        context: 'vendor',
+      });
+    });
+
+    it('should refuse cross-context and legacy cookies once a context resolved', () => {
+      for (const isolation of ['strict', 'lenient']) {
+        expect(extractToken(crossContextReq, { isolation })).toEqual({
+          token: null,
+          source: null,
+          context: null,
+        });
+      }
+    });
+
+    it('should allow fallbacks under lenient when no context resolved', () => {
+      const req = { headers: {}, cookies: { accessToken: 'legacy-token' } };
+      expect(extractToken(req, { isolation: 'lenient' }).token).toBe('legacy-token');
+      expect(extractToken(req, { isolation: 'strict' }).token).toBeNull();
+    });
+
+    it('should allow a single-context cookie under strict when no context resolved', () => {
+      const req = { headers: {}, cookies: { vendor_access_token: 'vendor-token' } };
+      expect(extractToken(req, { isolation: 'strict' })).toEqual({
+        token: 'vendor-token',
+        source: 'cookie',
+        context: 'vendor',
+      });
+    });
+
+    it('should report a conflict under strict', () => {
+      const cookies = { customer_access_token: 'c', vendor_access_token: 'v' };
+      expect(extractToken({ headers: {}, cookies }, { isolation: 'strict' })).toEqual({
+        token: null,
+        source: null,
+        context: null,
+        conflict: ['customer', 'vendor'],
+      });
+
+      const resolved = extractToken(
+        { headers: { origin: 'https://vendor.example.com' }, cookies },
+        { isolation: 'strict' }
+      );
+      expect(resolved).toEqual({
+        token: 'v',
+        source: 'cookie',
+        context: 'vendor',
+        conflict: ['customer', 'vendor'],
+      });
+    });
+
+    it('should still accept Bearer tokens under strict', () => {
+      const req = { headers: { authorization: 'Bearer h' }, cookies: { customer_access_token: 'c', vendor_access_token: 'v' } };
+      expect(extractToken(req, { isolation: 'strict' })).toEqual({ token: 'h', source: 'header', context: null });
+    });
+
+    it('should explain skipped fallbacks', () => {
+      const { trace } = explainTokenExtraction(crossContextReq, { isolation: 'strict' });
+      expect(trace.steps.slice(2)).toEqual([
+        { source: 'all-contexts', outcome: 'skipped', reason: 'isolation "strict": context "customer" resolved' },
+        { source: 'legacy', outcome: 'skipped', reason: 'isolation "strict": context "customer" resolved' },
+      ]);
+    });
+
+    it('should reject unknown policies', () => {
+      expect(() => extractToken({ headers: {} }, { isolation: 'paranoid' })).toThrow('Invalid isolation policy: paranoid');
+    });
+  });
 });
@@ -0,0 +1,176 @@
+import { createHmac, generateKeyPairSync, sign } from 'node:crypto';
+import {
+  verifyContextToken,
+  createTokenVerifier,
+  decodeToken,
+  toKeyObject,
+} from '../src/tokenVerifier.js';
+import { TokenVerificationError } from '../src/errors.js';
+
+const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+function signToken(payload, alg, key, header = {}) {
+  const input = `${encode({ alg, typ: 'JWT', ...header })}.${encode(payload)}`;
+  let signature;
+  if (alg === 'HS256') {
+    signature = createHmac('sha256', key).update(input).digest();
+  } else if (alg === 'ES256') {
+    signature = sign('sha256', Buffer.from(input), { key, dsaEncoding: 'ieee-p1363' });
+  } else if (alg === 'EdDSA') {
+    signature = sign(null, Buffer.from(input), key);
+  } else {
+    signature = sign('sha256', Buffer.from(input), key);
+  }
+  return `${input}.${signature.toString('base64url')}`;
+}
+
+const now = () => Math.floor(Date.now() / 1000);
+const rsa = generateKeyPairSync('rsa', { modulusLength: 2048 });
+const ec = generateKeyPairSync('ec', { namedCurve: 'P-256' });
+const ed = generateKeyPairSync('ed25519');
+const secret = 'customer-secret-with-enough-entropy';
+
+async function expectCode(promise, code) {
+  await expect(promise).rejects.toBeInstanceOf(TokenVerificationError);
+  await expect(promise).rejects.toMatchObject({ code });
+}
+
+describe('Token Verifier', () => {
+  describe('verifyContextToken', () => {
+    it.each([
+      ['HS256', secret, secret],
+      ['RS256', rsa.privateKey, rsa.publicKey.export({ type: 'spki', format: 'pem' })],
+      ['ES256', ec.privateKey, ec.publicKey],
+      ['EdDSA', ed.privateKey, ed.publicKey.export({ format: 'jwk' })],
+    ])('should verify %s tokens', async (alg, signingKey, key) => {
+      const token = signToken({ sub: '1', type: 'admin', exp: now() + 60 }, alg, signingKey);
+      const payload = await verifyContextToken(token, 'admin', { key });
+      expect(payload.sub).toBe('1');
+    });
+
+    it('should reject tampered signatures', async () => {
+      const token = signToken({ type: 'admin' }, 'RS256', rsa.privateKey);
+      const [header, , signature] = token.split('.');
+      const tampered = `${header}.${encode({ type: 'admin', role: 'root' })}.${signature}`;
+      await expectCode(verifyContextToken(tampered, 'admin', { key: rsa.publicKey }), 'INVALID_SIGNATURE');
+    });
+
+    it('should reject expired and not yet active tokens', async () => {
+      const expired = signToken({ type: 'customer', exp: now() - 10 }, 'HS256', secret);
+      await expectCode(verifyContextToken(expired, 'customer', { key: secret }), 'TOKEN_EXPIRED');
+      await expect(verifyContextToken(expired, 'customer', { key: secret, clockTolerance: 30 }))
+        .resolves.toMatchObject({ type: 'customer' });
+
+      const future = signToken({ type: 'customer', nbf: now() + 60 }, 'HS256', secret);
+      await expectCode(verifyContextToken(future, 'customer', { key: secret }), 'TOKEN_NOT_ACTIVE');
+    });
+
+    it('should reject context mismatches', async () => {
+      const token = signToken({ type: 'vendor' }, 'HS256', secret);
+      await expectCode(verifyContextToken(token, 'admin', { key: secret }), 'CONTEXT_MISMATCH');
+
+      const noClaim = signToken({ sub: '1' }, 'HS256', secret);
+      await expectCode(verifyContextToken(noClaim, 'admin', { key: secret }), 'CONTEXT_MISMATCH');
+    });
+
+    it('should use a custom context claim', async () => {
+      const token = signToken({ ctx: 'vendor' }, 'HS256', secret);
+      await expect(verifyContextToken(token, 'vendor', { key: secret, contextClaim: 'ctx' }))
+        .resolves.toEqual({ ctx: 'vendor' });
+    });
+
+    it('should apply per-context issuer, audience and key', async () => {
+      const config = {
+        contexts: {
+          admin: { key: rsa.publicKey, issuer: 'https://auth.example.com', audience: 'admin-api' },
+          customer: { key: secret },
+        },
+      };
+      const admin = signToken(
+        { type: 'admin', iss: 'https://auth.example.com', aud: ['admin-api', 'other'] },
+        'RS256',
+        rsa.privateKey
+      );
+      await expect(verifyContextToken(admin, 'admin', config)).resolves.toMatchObject({ type: 'admin' });
+
+      const wrongIssuer = signToken({ type: 'admin', iss: 'https://evil.com', aud: 'admin-api' }, 'RS256', rsa.privateKey);
+      await expectCode(verifyContextToken(wrongIssuer, 'admin', config), 'INVALID_CLAIM');
+
+      const wrongAudience = signToken({ type: 'admin', iss: 'https://auth.example.com', aud: 'x' }, 'RS256', rsa.privateKey);
+      await expectCode(verifyContextToken(wrongAudience, 'admin', config), 'INVALID_CLAIM');
+
+      const customer = signToken({ type: 'customer' }, 'HS256', secret);
+      await expect(verifyContextToken(customer, 'customer', config)).resolves.toMatchObject({ type: 'customer' });
+    });
+
+    it('should select settings from the claim when context is unknown', async () => {
+      const config = { contexts: { vendor: { key: secret } } };
+      const token = signToken({ type: 'vendor' }, 'HS256', secret);
+      await expect(verifyContextToken(token, null, config)).resolves.toMatchObject({ type: 'vendor' });
+
+      const forged = signToken({ type: 'admin' }, 'HS256', secret);
+      await expectCode(verifyContextToken(forged, null, config), 'INVALID_KEY');
+    });
+
+    it('should prevent algorithm confusion', async () => {
+      const pem = rsa.publicKey.export({ type: 'spki', format: 'pem' });
+      const token = signToken({ type: 'admin' }, 'HS256', pem);
+      await expectCode(verifyContextToken(token, 'admin', { key: pem }), 'UNSUPPORTED_ALGORITHM');
+      await expectCode(
+        verifyContextToken(token, 'admin', { key: pem, algorithms: ['HS256', 'RS256'] }),
+        'INVALID_KEY'
+      );
+    });
+
+    it('should reject disallowed and unsupported algorithms', async () => {
+      const none = `${encode({ alg: 'none' })}.${encode({ type: 'admin' })}.x`;
+      await expectCode(verifyContextToken(none, 'admin', { key: secret }), 'UNSUPPORTED_ALGORITHM');
+
+      const token = signToken({ type: 'admin' }, 'HS256', secret);
+      await expectCode(verifyContextToken(token, 'admin', { key: secret, algorithms: ['RS256'] }), 'UNSUPPORTED_ALGORITHM');
+
+      const crit = signToken({ type: 'admin' }, 'HS256', secret, { crit: ['exp'] });
+      await expectCode(verifyContextToken(crit, 'admin', { key: secret }), 'UNSUPPORTED_ALGORITHM');
+    });
+
+    it('should reject ES256 with a non P-256 key', async () => {
+      const p384 = generateKeyPairSync('ec', { namedCurve: 'P-384' });
+      const token = signToken({ type: 'admin' }, 'ES256', p384.privateKey);
+      await expectCode(verifyContextToken(token, 'admin', { key: p384.publicKey }), 'INVALID_KEY');
+    });
+
+    it('should require a key', async () => {
+      const token = signToken({ type: 'admin' }, 'HS256', secret);
+      await expectCode(verifyContextToken(token, 'admin', {}), 'INVALID_KEY');
+    });
+  });
+
+  describe('decodeToken', () => {
+    it('should reject malformed tokens', () => {
+      expect(() => decodeToken('')).toThrow(TokenVerificationError);
+      expect(() => decodeToken('a.b')).toThrow('Token is not a compact JWS');
+      expect(() => decodeToken(`${encode({ alg: 'HS256' })}.bm90LWpzb24.sig`)).toThrow('Token payload is not valid JSON');
+      expect(() => decodeToken(`${encode([1])}.${encode({})}.sig`)).toThrow('Token header must be a JSON object');
+    });
+  });
+
+  describe('toKeyObject', () => {
+    it('should convert oct JWKs to secret keys', () => {
+      const key = toKeyObject({ kty: 'oct', k: Buffer.from(secret).toString('base64url') });
+      expect(key.type).toBe('secret');
+    });
+
+    it('should reject invalid keys', () => {
+      expect(() => toKeyObject('-----BEGIN PUBLIC KEY-----\nnope\n-----END PUBLIC KEY-----'))
+        .toThrow(TokenVerificationError);
+    });
+  });
+
+  describe('createTokenVerifier', () => {
+    it('should create a contextAuth verify hook', async () => {
+      const verify = createTokenVerifier({ key: secret });
+      const token = signToken({ type: 'customer' }, 'HS256', secret);
+      await expect(verify(token, 'customer')).resolves.toEqual({ type: 'customer' });
+    });
+  });
+});
@@ -0,0 +1,202 @@
+import {
+  AuthError,
+  DEFAULT_CONTEXT_ORIGINS,
+  TokenVerificationError,
+  clearContextCookieHeader,
+  contextAuth,
+  createAuthenticator,
+  createContextRegistry,
+  createMemoryRefreshTokenStore,
+  createMemorySessionStore,
+  createRevocationList,
+  destroyUserSessions,
+  resolveSession,
+  extractContextToken,
+  extractContextTokens,
+  extractToken,
+  extractTokenFromAllContexts,
+  getAuthToken,
+  getContext,
+  issueFlowToken,
+  verifyFlowToken,
+  createMemoryNonceStore,
+  createCookiePolicy,
+  readChunkedCookie,
+  logoutContext,
+  isValidContext,
+  resolveAuthContext,
+  resolveCookieOptions,
+  rotateRefreshToken,
+  setContextCookie,
+  verifyServiceToken,
+  type AuthRequest,
+  type ContextRegistry,
+  type CookieResponse,
+  type ExtractTokenResult,
+} from '../../src/index.js';
+
+type Equal<A, B> = (<G>() => G extends A ? 1 : 2) extends (<G>() => G extends B ? 1 : 2) ? true : false;
+function assertType<T extends true>(): T {
+  return true as T;
+}
+
+declare const req: AuthRequest;
+declare const res: CookieResponse;
+
+// Default contexts and token types
+const defaultContext = resolveAuthContext(req);
+assertType<Equal<typeof defaultContext, 'customer' | 'vendor' | 'admin' | null>>();
+
+extractContextToken(req, 'vendor', 'refresh');
+// @ts-expect-error - unknown context
+extractContextToken(req, 'partner');
+// @ts-expect-error - unknown token type
+setContextCookie(res, 'admin', 'magic_link', 'value');
+
+// Custom registries narrow contexts and token types
+const registry = createContextRegistry({
+  origins: { partner: ['https://partner.example.com'], staff: 'https://staff.example.com' },
+  tokenTypes: ['access', 'refresh', 'magic_link'],
+});
+assertType<Equal<typeof registry, ContextRegistry<'partner' | 'staff', 'access' | 'refresh' | 'magic_link'>>>();
+
+const extended = createContextRegistry({ origins: { ...DEFAULT_CONTEXT_ORIGINS, partner: ['https://partner.example.com'] } });
+assertType<Equal<(typeof extended.contexts)[number], 'customer' | 'vendor' | 'admin' | 'partner'>>();
+
+const customContext = getContext(req, { registry });
+assertType<Equal<typeof customContext, 'partner' | 'staff' | null>>();
+
+extractContextToken(req, 'partner', 'magic_link', { registry });
+// @ts-expect-error - 'vendor' is not part of the registry
+extractContextToken(req, 'vendor', 'access', { registry });
+resolveCookieOptions('staff', 'refresh', { registry });
+
+// Chunked cookies
+const chunkedPolicy = createCookiePolicy({ contexts: { admin: { maxChunks: 3 } } });
+setContextCookie(res, 'admin', 'access', 'value', { policy: chunkedPolicy });
+assertType<Equal<ReturnType<typeof resolveCookieOptions>['maxChunks'], number>>();
+assertType<Equal<ReturnType<typeof readChunkedCookie>, string | null>>();
+
+const unknownValue: unknown = 'staff';
+if (isValidContext(unknownValue, registry)) {
+  assertType<Equal<typeof unknownValue, 'partner' | 'staff'>>();
+}
+
+const fromAll = extractTokenFromAllContexts(req, 'access', ['partner'], { registry });
+if (fromAll.token !== null) {
+  assertType<Equal<typeof fromAll.context, 'partner' | 'staff'>>();
+}
+
+const pair = extractContextTokens(req, 'customer', ['access', 'csrf']);
+assertType<Equal<typeof pair, Record<'access' | 'csrf', string | null>>>();
+
+// extractToken is discriminated on source
+const result = extractToken(req, { registry, trace: true });
+assertType<Equal<typeof result, ExtractTokenResult<'partner' | 'staff'>>>();
+
+switch (result.source) {
+  case null:
+    assertType<Equal<typeof result.token, null>>();
+    break;
+  case 'header':
+    assertType<Equal<typeof result.context, null>>();
+    break;
+  case 'service':
+    assertType<Equal<typeof result.context, 'service'>>();
+    break;
+  case 'cookie':
+    assertType<Equal<typeof result.token, string>>();
+    assertType<Equal<typeof result.context, 'partner' | 'staff' | null>>();
+    break;
+}
+
+result.trace?.steps.forEach((step) => step.outcome);
+getAuthToken(req).conflict?.includes('vendor');
+// @ts-expect-error - unknown isolation policy
+extractToken(req, { isolation: 'loose' });
+
+// Middleware and payload typing
+const authenticate = createAuthenticator({
+  required: true,
+  expectedContext: 'admin',
+  verify: async (token: string) => ({ sub: token, role: 'owner' as const }),
+});
+
+void authenticate(req).then(({ auth, error }) => {
+  if (!error && auth.payload) {
+    assertType<Equal<typeof auth.payload.role, 'owner'>>();
+  }
+  error?.code satisfies 'AUTH_REQUIRED' | 'INVALID_TOKEN' | 'CONTEXT_MISMATCH' | 'TOKEN_REVOKED' | 'REVOCATION_UNAVAILABLE' | undefined;
+});
+
+// @ts-expect-error - mismatchStatus is 401 or 403
+contextAuth({ mismatchStatus: 500 });
+
+// Fetch API
+clearContextCookieHeader(new Headers(), 'customer', 'refresh');
+
+// Refresh rotation and service tokens
+const store = createMemoryRefreshTokenStore();
+void rotateRefreshToken(req, res, {
+  store,
+  registry,
+  issue: async ({ context, subject }) => ({
+    accessToken: `${context}:${subject}`,
+    refreshToken: 'opaque',
+  }),
+}).then((rotated) => {
+  assertType<Equal<typeof rotated.context, 'partner' | 'staff'>>();
+});
+
+void verifyServiceToken('token', { services: { billing: { key: 'secret' } } }).then(({ context, service }) => {
+  assertType<Equal<typeof context, 'service'>>();
+  assertType<Equal<typeof service, string>>();
+});
+
+// Logout
+logoutContext(res, 'vendor', { allTokenTypes: true, includeLegacy: true, clearSiteData: ['cookies'] });
+logoutContext(res, 'staff', { registry, tokenTypes: ['magic_link'] });
+// @ts-expect-error - unknown Clear-Site-Data type
+logoutContext(res, 'vendor', { clearSiteData: ['everything'] });
+
+// Revocation
+const revocation = createRevocationList({ cacheTtl: 10 });
+contextAuth({ revocation, verify: async () => ({ jti: 'j1' }) });
+void revocation.revokeBefore('vendor', new Date());
+// @ts-expect-error - an entry needs an object
+void revocation.revoke('j1');
+
+// Sessions
+const sessionStore = createMemorySessionStore({ maxSize: 100 });
+void resolveSession(req, null, { store: sessionStore, registry, contexts: { staff: { idleTimeout: null } } }).then((found) => {
+  if (found.source === 'session') {
+    assertType<Equal<typeof found.context, 'partner' | 'staff'>>();
+    found.session.absoluteExpiresAt satisfies number;
+  }
+});
+// @ts-expect-error - unknown context
+void destroyUserSessions('partner', 'u1', { store: sessionStore });
+
+// Flow tokens
+const flowSecret = 'flow-secret-flow-secret-flow-secret!';
+issueFlowToken('vendor', 'password_reset', { secret: flowSecret, subject: 'u1' });
+issueFlowToken('staff', 'magic_link', { secret: flowSecret, registry, purposes: ['magic_link'] });
+// @ts-expect-error - unknown purpose
+issueFlowToken('vendor', 'magic_link', { secret: flowSecret });
+void verifyFlowToken('token', {
+  context: 'vendor',
+  purpose: 'otp',
+  secret: flowSecret,
+  nonceStore: createMemoryNonceStore(),
+}).then((claims) => {
+  assertType<Equal<typeof claims.purpose, 'otp'>>();
+});
+// @ts-expect-error - consuming needs a nonce store
+void verifyFlowToken('token', { context: 'vendor', purpose: 'otp', secret: flowSecret });
+
+// Errors
+const error: unknown = new TokenVerificationError('TOKEN_EXPIRED', 'Token expired');
+if (error instanceof TokenVerificationError) {
+  error.code satisfies 'TOKEN_EXPIRED' | 'MALFORMED_TOKEN' | string;
+}
+new AuthError('REFRESH_TOKEN_REUSED', 'Refresh token reuse detected') satisfies Error;